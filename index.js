@@ -21,14 +21,27 @@ const express = require('express');
 const puppeteer = require('puppeteer');
 const cors = require('cors');
 const pLimit = require('p-limit');
-const { execSync, exec } = require('child_process');
+const { execSync, execFile } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const {
+  PDFDocument, PDFDict, PDFName, PDFHexString, PDFArray, PDFNumber, PDFRef, PDFRawStream, PDFObjectCopier,
+  PDFBool, StandardFonts, cmyk, rgb, radians, degrees, decodePDFRawStream,
+} = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const JSZip = require('jszip');
+const MarkdownIt = require('markdown-it');
+const markdownItFootnote = require('markdown-it-footnote');
+const mammoth = require('mammoth');
+const yaml = require('js-yaml');
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '100mb' }));
 
 // ═══════════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -45,19 +58,339 @@ const CONFIG = {
   enablePagedJs: process.env.ENABLE_PAGEDJS !== 'false',
   enableCmykConversion: process.env.ENABLE_CMYK_CONVERSION === 'true',
   pdfXStandard: process.env.PDF_X_STANDARD || 'PDF/X-1a',
+  pdfXOutputIntent: process.env.PDF_X_OUTPUT_INTENT || 'FOGRA39',
+  iccProfileDir: process.env.ICC_PROFILE_DIR || '/app/icc',
+  // Async jobs
+  jobResultTtl: parseInt(process.env.JOB_RESULT_TTL_MS, 10) || 3600000,
+  webhookSecret: process.env.WEBHOOK_SECRET || null,
+  webhookRetries: parseInt(process.env.WEBHOOK_RETRIES, 10) || 3,
+  // Webhook hosts, comma-separated ("hooks.example.com", "*.example.com").
+  // When empty, any host that resolves only to public addresses
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean),
+  // Offline rendering
+  fontDir: process.env.FONT_DIR || path.join(__dirname, 'node_modules', '@fontsource'),
+  fontRegistryDir: process.env.FONT_REGISTRY_DIR || '/app/fonts',
+  templateDir: process.env.TEMPLATE_DIR || '/app/templates',
+  assetDir: process.env.ASSET_DIR || '/app/assets',
+  assetCacheBytes: (parseInt(process.env.ASSET_CACHE_MB, 10) || 128) * 1024 * 1024,
+  localCacheBytes: (parseInt(process.env.LOCAL_CACHE_MB, 10) || 64) * 1024 * 1024,
+  // Origins pages may fetch from, comma-separated; '*' allows any
+  resourceAllowlist: (process.env.RESOURCE_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean),
+  failOnMissingResources: process.env.FAIL_ON_MISSING_RESOURCES === 'true',
+  strictRendering: process.env.STRICT_RENDERING === 'true',
+  // Cover spine
+  paperStocksFile: process.env.PAPER_STOCKS_FILE || null,
+  minSpineTextWidth: parseFloat(process.env.MIN_SPINE_TEXT_WIDTH_MM) || 6.35,
+  // Book assembly
+  bookBodyLimit: process.env.BOOK_BODY_LIMIT || '100mb',
 };
 
+// Book manifests with inline parts may be allowed a larger body than the
+// rest (parts uploaded as HTML assets keep them small); POST /jobs holds
+// other job types to the normal limit. body-parser skips a body already
+// parsed
+const BODY_LIMIT_BYTES = 100 * 1024 * 1024;
+const recordBodySize = (req, res, buffer) => { req.bodySize = buffer.length; };
+app.use(['/generate-book', '/jobs'], express.json({ limit: CONFIG.bookBodyLimit, verify: recordBodySize }));
+app.use(express.json({ limit: BODY_LIMIT_BYTES }));
+
 // Ensure temp directory exists
 if (!fs.existsSync(CONFIG.tempDir)) {
   fs.mkdirSync(CONFIG.tempDir, { recursive: true });
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// RENDER DIAGNOSTICS
+// Every degradation (pagination timeout, RGB fallback, failed resource,
+// missing font) is either a typed RenderError (strict mode) or a
+// machine-readable warning returned with the PDF
+// ═══════════════════════════════════════════════════════════════════
+const RENDER_ERROR_STATUS = {
+  PAGEDJS_TIMEOUT: 504,
+  CMYK_FAILED: 500,
+  RESOURCE_FAILED: 424,
+  RESOURCE_BLOCKED: 403,
+  FONT_MISSING: 422,
+  INK_LIMIT_EXCEEDED: 422,
+  SPOT_NOT_CONVERTED: 422,
+};
+
+// Cap on collected console messages, so a chatty page can't grow a job
+const MAX_DIAGNOSTIC_ENTRIES = 200;
+
+class RenderError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RenderError';
+    this.code = code;
+    this.statusCode = RENDER_ERROR_STATUS[code] || 500;
+    this.details = details;
+    this.warnings = [];
+  }
+}
+
+const createDiagnostics = ({ jobId, strict = false }) => ({
+  jobId,
+  strict,
+  warnings: [],
+  failedRequests: [],
+});
+
+function addWarning(diagnostics, warning) {
+  if (diagnostics.warnings.length >= MAX_DIAGNOSTIC_ENTRIES) return;
+  diagnostics.warnings.push({ ...warning, message: String(warning.message).slice(0, 500) });
+}
+
+// Strict renders fail on the first issue; others record a warning
+function reportIssue(diagnostics, code, message, details = {}) {
+  if (diagnostics.strict) {
+    const error = new RenderError(code, message, details);
+    error.warnings = diagnostics.warnings;
+    throw error;
+  }
+  console.warn(`[Job ${diagnostics.jobId}] ${code}: ${message}`);
+  addWarning(diagnostics, { code, message, ...details });
+}
+
+// Full list goes to async jobs; the header is capped to stay proxy-safe
+const MAX_WARNING_HEADER_ENTRIES = 20;
+
+const warningHeaders = (diagnostics) => ({
+  'X-PDF-Warning-Count': String(diagnostics.warnings.length),
+  'X-PDF-Warnings': jsonHeader(diagnostics.warnings.slice(0, MAX_WARNING_HEADER_ENTRIES)),
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// LOCAL RESOURCES (offline rendering)
+// The polyfill, fonts and stored assets are served to Chromium from disk
+// through request interception under a virtual origin. Other requests
+// reach the network only if CONFIG.resourceAllowlist names their origin.
+// ═══════════════════════════════════════════════════════════════════
+const LOCAL_ORIGIN = 'https://synoptic.local';
+
+// The package "exports" map hides dist/, so resolve it from the CJS entry
+const PAGEDJS_POLYFILL_PATH = path.join(path.dirname(require.resolve('pagedjs')), '..', 'dist', 'paged.polyfill.js');
+
+const CONTENT_TYPES = {
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+};
+
+// Inline content the page may always use
+const ALWAYS_ALLOWED_SCHEMES = ['data:', 'blob:', 'about:'];
+
+// Allowlist entries are origins ("https://cdn.example.com"), optionally
+// with a subdomain wildcard ("https://*.example.com"), or "*"
+function compileResourceAllowlist(entries) {
+  return entries.flatMap((entry) => {
+    if (entry === '*') return [() => true];
+    const match = /^(https?):\/\/(\*\.)?([a-z0-9.-]+)(?::(\d+))?$/i.exec(entry);
+    if (!match) {
+      console.warn(`[Resources] Ignoring invalid RESOURCE_ALLOWLIST entry: ${entry}`);
+      return [];
+    }
+    const [, scheme, wildcard, host, port = ''] = match;
+    const hostname = host.toLowerCase();
+    return [(url) => url.protocol === `${scheme.toLowerCase()}:` && url.port === port &&
+      (wildcard ? url.hostname.endsWith(`.${hostname}`) : url.hostname === hostname)];
+  });
+}
+
+const resourceAllowlist = compileResourceAllowlist(CONFIG.resourceAllowlist);
+
+function isAllowedResource(url) {
+  if (ALWAYS_ALLOWED_SCHEMES.some(scheme => url.startsWith(scheme))) return true;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  return resourceAllowlist.some(allows => allows(parsed));
+}
+
+// Files read from disk kept in memory up to `maxBytes`, least recently
+// used dropped first. Files larger than the whole cache are not kept
+function createFileCache(maxBytes) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const evict = (filePath) => {
+    const cached = entries.get(filePath);
+    if (!cached) return;
+    entries.delete(filePath);
+    totalBytes -= cached.length;
+  };
+
+  const read = (filePath) => {
+    const cached = entries.get(filePath);
+    if (cached) {
+      entries.delete(filePath);
+      entries.set(filePath, cached);
+      return cached;
+    }
+
+    const data = fs.readFileSync(filePath);
+    if (data.length <= maxBytes) {
+      entries.set(filePath, data);
+      totalBytes += data.length;
+      for (const [key, entry] of entries) {
+        if (totalBytes <= maxBytes) break;
+        entries.delete(key);
+        totalBytes -= entry.length;
+      }
+    }
+    return data;
+  };
+
+  return { read, evict };
+}
+
+// The polyfill, bundled fonts and registry fonts, bounded by
+// CONFIG.localCacheBytes; registry files are evicted when their face goes
+const localFileCache = createFileCache(CONFIG.localCacheBytes);
+
+// Maps a LOCAL_ORIGIN URL to a file on disk, refusing path traversal
+function resolveLocalResource(url) {
+  const { pathname } = new URL(url);
+  if (pathname === '/vendor/paged.polyfill.js') return PAGEDJS_POLYFILL_PATH;
+  if (pathname.startsWith('/registry/')) {
+    const name = decodeURIComponent(pathname.slice('/registry/'.length));
+    return fontRegistry.some(face => face.file === name) ? path.join(CONFIG.fontRegistryDir, name) : null;
+  }
+  if (pathname.startsWith('/fonts/')) {
+    const filePath = path.resolve(CONFIG.fontDir, decodeURIComponent(pathname.slice('/fonts/'.length)));
+    if (filePath.startsWith(path.resolve(CONFIG.fontDir) + path.sep)) return filePath;
+  }
+  if (pathname.startsWith('/assets/')) {
+    const asset = assetRegistry.find(a => a.id === pathname.slice('/assets/'.length));
+    return asset ? path.join(CONFIG.assetDir, asset.file) : null;
+  }
+  return null;
+}
+
+// Serves LOCAL_ORIGIN from disk, blocks origins outside the allowlist and
+// records every subresource that fails or is blocked, plus console
+// errors/warnings, so callers can tell a degraded render from a complete one
+async function attachLocalResources(page, diagnostics) {
+  const recordFailure = (url, reason, blocked = false) => {
+    if (diagnostics.failedRequests.length < MAX_DIAGNOSTIC_ENTRIES) {
+      diagnostics.failedRequests.push({ url, reason, ...(blocked && { blocked }) });
+    }
+  };
+  const blocked = new Set();
+
+  page.on('requestfailed', (request) => {
+    if (blocked.has(request.url())) return;
+    recordFailure(request.url(), request.failure()?.errorText || 'failed');
+  });
+  page.on('response', (response) => {
+    if (response.status() >= 400) {
+      recordFailure(response.url(), `HTTP ${response.status()}`);
+    }
+  });
+  page.on('console', (message) => {
+    const type = message.type();
+    if (type !== 'error' && type !== 'warn') return;
+    addWarning(diagnostics, {
+      code: type === 'error' ? 'CONSOLE_ERROR' : 'CONSOLE_WARNING',
+      message: message.text(),
+      url: message.location()?.url || undefined,
+    });
+  });
+  page.on('pageerror', (error) => {
+    addWarning(diagnostics, { code: 'PAGE_ERROR', message: error.message });
+  });
+
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    if (!url.startsWith(`${LOCAL_ORIGIN}/`)) {
+      if (isAllowedResource(url)) {
+        request.continue();
+        return;
+      }
+      if (!blocked.has(url)) {
+        blocked.add(url);
+        recordFailure(url, 'origin not in RESOURCE_ALLOWLIST', true);
+      }
+      request.abort('blockedbyclient');
+      return;
+    }
+
+    const filePath = resolveLocalResource(url);
+    if (!filePath || !fs.existsSync(filePath)) {
+      request.respond({ status: 404, contentType: 'text/plain', body: 'Not found' });
+      return;
+    }
+    const isAsset = path.dirname(filePath) === path.resolve(CONFIG.assetDir);
+    request.respond({
+      status: 200,
+      contentType: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      // Fonts are fetched in CORS mode from the about:blank document
+      headers: { 'Access-Control-Allow-Origin': '*' },
+      body: isAsset ? readAssetFile(filePath) : localFileCache.read(filePath),
+    });
+  });
+
+  return diagnostics;
+}
+
+// Checks subresources, the polyfill and font faces after load. Bundled
+// resources (polyfill, local fonts) always fail the render under
+// CONFIG.failOnMissingResources; everything else follows strict mode.
+async function verifyRequiredResources(page, diagnostics, { usePagedJs = false } = {}) {
+  const required = (code, message, details) => {
+    reportIssue(CONFIG.failOnMissingResources ? { ...diagnostics, strict: true } : diagnostics,
+      code, message, details);
+  };
+
+  for (const { url, reason, blocked } of diagnostics.failedRequests) {
+    const message = `Failed to load ${url} (${reason})`;
+    if (blocked) {
+      reportIssue(diagnostics, 'RESOURCE_BLOCKED', `Blocked ${url}: ${reason}`, { url });
+    } else if (url.startsWith(`${LOCAL_ORIGIN}/assets/`)) {
+      // Stored assets are request content, not bundled resources
+      reportIssue(diagnostics, 'RESOURCE_FAILED', `Unknown asset ${url.slice(`${LOCAL_ORIGIN}/assets/`.length)}`, { url });
+    } else if (url.startsWith(`${LOCAL_ORIGIN}/`)) {
+      required(url.includes('/fonts/') || url.includes('/registry/') ? 'FONT_MISSING' : 'RESOURCE_FAILED', message, { url });
+    } else {
+      reportIssue(diagnostics, 'RESOURCE_FAILED', message, { url });
+    }
+  }
+
+  for (const family of MISSING_FONT_FAMILIES) {
+    required('FONT_MISSING', `Font family "${family}" not installed in ${CONFIG.fontDir}`, { family });
+  }
+
+  const failedFaces = await page.evaluate(() =>
+    [...document.fonts].filter(face => face.status === 'error').map(face => face.family)
+  );
+  for (const family of new Set(failedFaces)) {
+    required('FONT_MISSING', `Font face ${family} failed to load`, { family });
+  }
+
+  if (usePagedJs && !(await page.evaluate(() => typeof window.PagedPolyfill !== 'undefined'))) {
+    required('RESOURCE_FAILED', 'Paged.js polyfill did not load');
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // PAGED.JS SCRIPT (CSS Paged Media Polyfill)
 // This is the "secret sauce" for proper pagination
 // ═══════════════════════════════════════════════════════════════════
 const PAGEDJS_POLYFILL = `
-<script src="https://unpkg.com/pagedjs@0.4.3/dist/paged.polyfill.js"></script>
+<script src="${LOCAL_ORIGIN}/vendor/paged.polyfill.js"></script>
 <script>
   // Wait for Paged.js to finish rendering before signaling ready
   window.PagedPolyfill.on('rendered', () => {
@@ -225,40 +558,291 @@ const escapeHtml = (str) => {
     .replace(/'/g, '&#039;');
 };
 
+// JSON for response headers: non-ASCII escaped so Node accepts the value
+const jsonHeader = (value) =>
+  JSON.stringify(value).replace(/[\u007f-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+// Info keys written by the engine itself (standard, PDF/X and book fields).
+// A custom key of the same name would overwrite them.
+const RESERVED_INFO_KEYS = [
+  'Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer',
+  'CreationDate', 'ModDate', 'Trapped',
+  'GTS_PDFXVersion', 'GTS_PDFXConformance', 'ISBN', 'Edition',
+];
+
+// Custom keys are both PDF names and XMP element names (<pdfx:Key>), so
+// they must be ASCII XML NCNames
+const CUSTOM_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9._-]*$/;
+
+// Raw (unescaped) metadata as written into the PDF itself.
+// Custom fields (ISBN, edition, language, metadata.custom) become extra
+// Info dictionary keys and XMP properties.
+const normalizeMetadata = (metadata, defaults = {}) => {
+  const source = metadata && typeof metadata === 'object' ? metadata : {};
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const custom = {};
+  if (source.custom && typeof source.custom === 'object') {
+    for (const [key, value] of Object.entries(source.custom)) {
+      if (!CUSTOM_KEY_PATTERN.test(key)) {
+        throw new RequestError(
+          `metadata.custom key "${key}" must start with a letter or "_" and contain only letters, digits, ".", "-" and "_"`
+        );
+      }
+      if (RESERVED_INFO_KEYS.some(reserved => reserved.toLowerCase() === key.toLowerCase())) {
+        throw new RequestError(`metadata.custom key "${key}" is reserved`, { reserved: RESERVED_INFO_KEYS });
+      }
+      if (typeof value === 'string' || typeof value === 'number') {
+        custom[key] = String(value);
+      }
+    }
+  }
+
+  return {
+    title: text(source.title),
+    author: text(source.author),
+    subject: text(source.subject),
+    keywords: Array.isArray(source.keywords)
+      ? source.keywords.filter(k => typeof k === 'string' && k.trim()).map(k => k.trim())
+      : [],
+    creator: text(source.creator) || 'Synoptic Studio',
+    producer: text(source.producer) || 'Synoptic Publishing Engine',
+    isbn: text(source.isbn),
+    edition: text(source.edition),
+    language: text(source.language) || text(defaults.language),
+    custom,
+  };
+};
+
 const sanitizeMetadata = (metadata) => {
   if (!metadata || typeof metadata !== 'object') return {};
   
+  const normalized = normalizeMetadata(metadata);
   return {
-    title: escapeHtml(metadata.title || ''),
-    author: escapeHtml(metadata.author || ''),
-    subject: escapeHtml(metadata.subject || ''),
-    keywords: Array.isArray(metadata.keywords) 
-      ? metadata.keywords.map(k => escapeHtml(k)) 
-      : [],
-    creator: escapeHtml(metadata.creator || 'Synoptic Studio'),
-    producer: escapeHtml(metadata.producer || 'Synoptic Publishing Engine'),
+    title: escapeHtml(normalized.title),
+    author: escapeHtml(normalized.author),
+    subject: escapeHtml(normalized.subject),
+    keywords: normalized.keywords.map(k => escapeHtml(k)),
+    creator: escapeHtml(normalized.creator),
+    producer: escapeHtml(normalized.producer),
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// PDF/X STANDARDS & OUTPUT INTENTS
+// Each standard pins the PDF version, transparency handling and the
+// identification strings printers check during preflight
+// ═══════════════════════════════════════════════════════════════════
+const PDFX_STANDARDS = {
+  'PDF/X-1a': {
+    version: 'PDF/X-1a:2001',
+    compatibilityLevel: '1.3',
+    flattenTransparency: true, // X-1a forbids live transparency
+  },
+  'PDF/X-3': {
+    version: 'PDF/X-3:2002',
+    compatibilityLevel: '1.3',
+    flattenTransparency: true,
+  },
+  'PDF/X-4': {
+    version: 'PDF/X-4',
+    compatibilityLevel: '1.6',
+    flattenTransparency: false, // X-4 keeps live transparency
+  },
+};
+
+// Characterized printing conditions from the ICC registry.
+// Profiles are looked up in CONFIG.iccProfileDir; `tac` is the total
+// area coverage (%) each profile separates to.
+const OUTPUT_INTENTS = {
+  FOGRA39: {
+    file: 'CoatedFOGRA39.icc',
+    identifier: 'FOGRA39',
+    condition: 'Offset printing, according to ISO 12647-2:2004/Amd 1, paper type 1 or 2 (coated), screen ruling 60/cm',
+    tac: 330,
+  },
+  GRACoL: {
+    file: 'GRACoL2006_Coated1v2.icc',
+    identifier: 'CGATS TR 006',
+    condition: 'Commercial offset lithography, GRACoL 2006 coated #1 paper',
+    tac: 320,
+  },
+  SWOP: {
+    file: 'USWebCoatedSWOP.icc',
+    identifier: 'CGATS TR 001',
+    condition: 'Publication printing, web offset, SWOP coated #5 paper',
+    tac: 300,
+  },
+  FOGRA29: {
+    file: 'UncoatedFOGRA29.icc',
+    identifier: 'FOGRA29',
+    condition: 'Offset printing, according to ISO 12647-2:2004/Amd 1, paper type 4 (uncoated white), screen ruling 60/cm',
+    tac: 300,
+  },
+  IFRA26: {
+    file: 'ISOnewspaper26v4.icc',
+    identifier: 'IFRA26',
+    condition: 'Coldset offset printing on newsprint, according to ISO 12647-3:2004',
+    tac: 240,
+  },
+};
+
+// Accepts "PDF/X-1a", "PDF/X-1a:2001", "X-1a", "pdfx4"... Returns the
+// canonical key, 'none' for plain CMYK, or null when unrecognised.
+function resolvePdfxStandard(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (normalized === 'none') return 'none';
+  for (const key of Object.keys(PDFX_STANDARDS)) {
+    const short = key.toLowerCase().replace(/[^a-z0-9]/g, ''); // pdfx1a
+    const version = PDFX_STANDARDS[key].version.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (normalized === short || normalized === version || `pdf${normalized}` === short) {
+      return key;
+    }
+  }
+  return null;
+}
+
+// Reads the ICC header: 'acsp' signature at byte 36, colour space at byte 16
+function inspectIccProfile(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 128) return null;
+  if (buffer.toString('ascii', 36, 40) !== 'acsp') return null;
+  return {
+    deviceClass: buffer.toString('ascii', 12, 16),
+    colorSpace: buffer.toString('ascii', 16, 20).trim(),
   };
+}
+
+// Resolves `options.outputIntent` to an ICC file on disk.
+// Accepts a registered name ("FOGRA39") or a custom profile:
+// { icc: <base64>, identifier, condition }
+function resolveOutputIntent(value, jobId) {
+  const intent = value || CONFIG.pdfXOutputIntent;
+
+  if (typeof intent === 'string') {
+    const entry = OUTPUT_INTENTS[intent];
+    if (!entry) {
+      throw new Error(`Unknown output intent "${intent}" (available: ${Object.keys(OUTPUT_INTENTS).join(', ')}, or a custom ICC profile)`);
+    }
+    const profilePath = path.join(CONFIG.iccProfileDir, entry.file);
+    if (!fs.existsSync(profilePath)) {
+      throw new Error(`ICC profile for ${intent} not installed (expected ${profilePath})`);
+    }
+    return {
+      name: intent,
+      profilePath,
+      identifier: entry.identifier,
+      condition: entry.condition,
+      tac: entry.tac,
+      isCustom: false,
+    };
+  }
+
+  if (typeof intent === 'object' && typeof intent.icc === 'string') {
+    const profile = Buffer.from(intent.icc, 'base64');
+    const header = inspectIccProfile(profile);
+    if (!header) {
+      throw new Error('Custom output intent is not a valid ICC profile');
+    }
+    if (header.colorSpace !== 'CMYK') {
+      throw new Error(`Custom output intent must be a CMYK profile (got ${header.colorSpace})`);
+    }
+    const profilePath = path.join(CONFIG.tempDir, `${jobId}_intent.icc`);
+    fs.writeFileSync(profilePath, profile);
+    const identifier = String(intent.identifier || 'Custom');
+    return {
+      name: identifier,
+      profilePath,
+      identifier,
+      condition: String(intent.condition || identifier),
+      tac: typeof intent.tac === 'number' ? intent.tac : null,
+      isCustom: true,
+    };
+  }
+
+  throw new Error('Invalid output intent: expected a profile name or { icc, identifier, condition }');
+}
+
+function listInstalledOutputIntents() {
+  return Object.keys(OUTPUT_INTENTS).filter(name =>
+    fs.existsSync(path.join(CONFIG.iccProfileDir, OUTPUT_INTENTS[name].file))
+  );
+}
+
+// PostScript string literal for pdfmarks. Non-ASCII text goes out as
+// UTF-16BE hex so titles in any script survive the round trip.
+const toPostScriptString = (value) => {
+  const str = String(value);
+  if (/^[\x20-\x7e]*$/.test(str)) {
+    return `(${str.replace(/[\\()]/g, '\\$&')})`;
+  }
+  return `<FEFF${Buffer.from(str, 'utf16le').swap16().toString('hex').toUpperCase()}>`;
 };
 
+// Builds the PDFX_def.ps prefix file Ghostscript runs before the document.
+// It declares the PDF/X version in the Info dictionary and attaches the
+// OutputIntent with the embedded destination profile.
+function buildPdfxDefinition(standard, intent, title) {
+  const psPath = intent.profilePath.replace(/\\/g, '/').replace(/[()]/g, '\\$&');
+  return `%!
+% Generated by Synoptic PDF Engine - ${standard.version}
+[ /GTS_PDFXVersion (${standard.version})${standard.version === 'PDF/X-1a:2001' ? `
+  /GTS_PDFXConformance (PDF/X-1a:2001)` : ''}
+  /Title ${toPostScriptString(title || 'Untitled')}
+  /Trapped /False
+  /DOCINFO pdfmark
+
+/ICCProfile (${psPath}) def
+
+[/_objdef {icc_PDFX} /type /stream /OBJ pdfmark
+[{icc_PDFX} << /N 4 >> /PUT pdfmark
+[{icc_PDFX} ICCProfile (r) file /PUT pdfmark
+
+[/_objdef {OutputIntent_PDFX} /type /dict /OBJ pdfmark
+[{OutputIntent_PDFX} <<
+  /Type /OutputIntent
+  /S /GTS_PDFX
+  /OutputCondition ${toPostScriptString(intent.condition)}
+  /OutputConditionIdentifier ${toPostScriptString(intent.identifier)}
+  /Info ${toPostScriptString(intent.condition)}
+  /RegistryName (http://www.color.org)
+  /DestOutputProfile {icc_PDFX}
+>> /PUT pdfmark
+[{Catalog} << /OutputIntents [ {OutputIntent_PDFX} ] >> /PUT pdfmark
+`;
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // GHOSTSCRIPT PDF/X CONVERSION
-// Converts RGB PDF to print-ready CMYK PDF/X-1a
+// Converts RGB PDF to print-ready CMYK PDF/X-1a, X-3 or X-4
 // ═══════════════════════════════════════════════════════════════════
 async function convertToCMYK(inputPath, outputPath, options = {}) {
-  const pdfxStandard = options.pdfxStandard || CONFIG.pdfXStandard;
-  
-  // Ghostscript command for PDF/X-1a:2001 conversion
-  // This is the industry standard for print-ready files
+  const standardKey = resolvePdfxStandard(options.pdfxStandard || CONFIG.pdfXStandard);
+  if (!standardKey) {
+    throw new Error(`Unsupported PDF/X standard: ${options.pdfxStandard || CONFIG.pdfXStandard}`);
+  }
+
+  const jobId = options.jobId || crypto.randomBytes(8).toString('hex');
+  const standard = PDFX_STANDARDS[standardKey] || null;
+  const colorConversion = options.colorConversion || {};
+  // Plain CMYK uses Ghostscript's default profile unless one is requested
+  const destination = colorConversion.destinationProfile;
+  const intent = standard || destination ? resolveOutputIntent(destination || options.outputIntent, jobId) : null;
+  const sourceProfile = colorConversion.sourceProfile ? resolveSourceProfile(colorConversion.sourceProfile, jobId) : null;
+  const defPath = standard ? path.join(CONFIG.tempDir, `${jobId}_pdfx_def.ps`) : null;
+
+  // Passed to execFile as an array: no shell splits or expands them.
+  // Page boxes come from the input (see applyPageBoxes); X-1a and X-3
+  // transparency is flattened by writing PDF 1.3, which has none.
   const gsArgs = [
-    'gs',
     '-dNOPAUSE',
     '-dBATCH',
     '-dSAFER',
     '-sDEVICE=pdfwrite',
     '-dPDFSETTINGS=/prepress',          // High quality for print
-    '-dColorConversionStrategy=CMYK',    // Convert to CMYK
+    '-sColorConversionStrategy=CMYK',    // Convert to CMYK
     '-dProcessColorModel=/DeviceCMYK',   // Output as CMYK
-    '-dCompatibilityLevel=1.4',          // PDF 1.4 for compatibility
+    `-dCompatibilityLevel=${standard ? standard.compatibilityLevel : '1.4'}`,
     '-dEmbedAllFonts=true',              // Embed all fonts
     '-dSubsetFonts=true',                // Subset fonts to reduce size
     '-dCompressFonts=true',              // Compress fonts
@@ -269,14 +853,45 @@ async function convertToCMYK(inputPath, outputPath, options = {}) {
     '-dGrayImageResolution=300',
     '-dDownsampleMonoImages=true',
     '-dMonoImageResolution=1200',        // Higher for line art
-    `-sOutputFile=${outputPath}`,
-    inputPath,
-  ].join(' ');
+  ];
+
+  if (standard) {
+    gsArgs.push(
+      '-dPDFX',                                       // Enforce PDF/X constraints
+      `--permit-file-read=${intent.profilePath}`,     // Allow -dSAFER to embed the profile
+      `-sOutputICCProfile=${intent.profilePath}`,     // Convert with the output intent profile
+    );
+  } else if (intent) {
+    gsArgs.push(
+      `--permit-file-read=${intent.profilePath}`,
+      `-sOutputICCProfile=${intent.profilePath}`,
+    );
+  }
+
+  gsArgs.push(...colorConversionArgs(colorConversion, sourceProfile));
+  gsArgs.push(`-sOutputFile=${outputPath}`);
+  if (standard) gsArgs.push(defPath);
+  gsArgs.push(inputPath);
+
+  if (standard) {
+    fs.writeFileSync(defPath, buildPdfxDefinition(standard, intent, options.title));
+  }
+
+  const cleanup = () => {
+    const customProfiles = [intent, sourceProfile].filter(profile => profile?.isCustom).map(profile => profile.profilePath);
+    for (const file of [defPath, ...customProfiles]) {
+      if (file && fs.existsSync(file)) {
+        try { fs.unlinkSync(file); } catch (e) { /* ignore */ }
+      }
+    }
+  };
 
   return new Promise((resolve, reject) => {
-    console.log('[Ghostscript] Starting CMYK conversion...');
+    console.log(`[Ghostscript] Starting CMYK conversion (${standard ? standard.version : 'no PDF/X'})...`);
     
-    exec(gsArgs, { timeout: 60000 }, (error, stdout, stderr) => {
+    execFile('gs', gsArgs, { timeout: 60000 }, (error, stdout, stderr) => {
+      cleanup();
+
       if (error) {
         console.error('[Ghostscript] Conversion failed:', stderr);
         reject(new Error(`CMYK conversion failed: ${error.message}`));
@@ -285,634 +900,7005 @@ async function convertToCMYK(inputPath, outputPath, options = {}) {
       
       console.log('[Ghostscript] CMYK conversion complete');
       metrics.cmykConversions++;
-      resolve(outputPath);
+      resolve({
+        outputPath,
+        standard: standard ? standard.version : null,
+        outputIntent: intent ? intent.name : null,
+        outputIntentTac: intent ? intent.tac : null,
+        colorConversion: options.colorConversion || null,
+      });
     });
   });
 }
 
-// Check if Ghostscript is available
-function checkGhostscript() {
-  try {
-    execSync('gs --version', { stdio: 'pipe' });
-    return true;
-  } catch {
-    console.warn('[Ghostscript] Not available - CMYK conversion disabled');
-    return false;
+// What a CMYK request without `pdfxStandard` actually gets: the version
+// string, 'none', or 'unavailable' when the standard or its default
+// output intent profile cannot be applied
+function describeDefaultPdfxStandard() {
+  const key = resolvePdfxStandard(CONFIG.pdfXStandard);
+  if (key === 'none') return 'none';
+  if (!key || !listInstalledOutputIntents().includes(CONFIG.pdfXOutputIntent)) {
+    return 'unavailable';
   }
+  return PDFX_STANDARDS[key].version;
 }
 
-const ghostscriptAvailable = checkGhostscript();
+// Human-readable description used in X-PDF-Color-Space
+const describeColorSpace = (conversion) => {
+  if (!conversion) return 'RGB';
+  if (!conversion.standard) return conversion.outputIntent ? `CMYK; ${conversion.outputIntent}` : 'CMYK';
+  return `CMYK; ${conversion.standard}; ${conversion.outputIntent}`;
+};
 
 // ═══════════════════════════════════════════════════════════════════
-// FONT EMBEDDING CSS
+// CMYK COLOUR CONVERSION OPTIONS
+// Per-request profiles, rendering intent, ink limit, pure black and
+// spot colour handling for the Ghostscript pass
 // ═══════════════════════════════════════════════════════════════════
-const FONT_CSS = `
-  @import url('https://fonts.googleapis.com/css2?family=Geist:wght@400;500;600;700&family=Outfit:wght@400;500;600;700&family=Quicksand:wght@400;500;600;700&family=Spectral:wght@400;500;600;700&family=Crimson+Pro:ital,wght@0,400;0,600;1,400&display=swap');
-  
-  :root {
-    --font-sans: 'Geist', 'Inter', system-ui, -apple-system, sans-serif;
-    --font-display: 'Outfit', 'Geist', sans-serif;
-    --font-heading: 'Quicksand', 'Geist', sans-serif;
-    --font-serif: 'Spectral', 'Georgia', serif;
-    --font-body: 'Crimson Pro', 'Spectral', serif;
-  }
-`;
+const RENDERING_INTENTS = { perceptual: 0, relative: 1, saturation: 2, absolute: 3 };
+const INK_LIMIT_RANGE = { min: 150, max: 400 }; // % total area coverage
+const ICC_FILE_NAME = /^[\w.-]+\.ic[cm]$/i;
 
-// ═══════════════════════════════════════════════════════════════════
-// PAGED.JS CSS EXTENSIONS
-// Professional print CSS that Paged.js enables
-// ═══════════════════════════════════════════════════════════════════
-const PAGEDJS_CSS = `
-  /* Paged.js CSS Paged Media Extensions */
-  
-  /* Mirror margins for book binding */
-  @page {
-    size: var(--page-width, 152mm) var(--page-height, 229mm);
-    margin: 20mm 15mm 20mm 25mm; /* top right bottom left (gutter on left) */
+const isCustomProfile = (value) =>
+  typeof value === 'object' && value !== null && typeof value.icc === 'string';
+
+// Ghostscript has no ink limit of its own: total ink is whatever the
+// destination profile separates to. A limit is only accepted when that
+// profile's TAC (registered, or `tac` on a custom profile) is within it.
+function checkInkLimit(totalInkLimit, destination) {
+  const tac = typeof destination === 'string' ? OUTPUT_INTENTS[destination]?.tac : destination.tac;
+  const name = typeof destination === 'string' ? destination : String(destination.identifier || 'The custom profile');
+  const withinLimit = Object.keys(OUTPUT_INTENTS).filter(key => OUTPUT_INTENTS[key].tac <= totalInkLimit);
+  if (typeof tac !== 'number') {
+    throw new RequestError(`colorConversion.totalInkLimit needs a destination profile with a known TAC; add "tac" to the custom profile`, { withinLimit });
   }
-  
-  @page:left {
-    margin: 20mm 25mm 20mm 15mm; /* Swap margins for verso pages */
+  if (tac > totalInkLimit) {
+    throw new RequestError(`colorConversion.totalInkLimit ${totalInkLimit}% is below the ${tac}% ${name} separates to; choose a destination profile within the limit`, { withinLimit });
   }
-  
-  @page:right {
-    margin: 20mm 15mm 20mm 25mm; /* Recto pages */
+}
+
+// `options.colorConversion`. Profiles are checked here by name only;
+// the files themselves are resolved when Ghostscript runs.
+function resolveColorConversion(value, { outputIntent } = {}) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new RequestError('colorConversion must be an object');
   }
-  
-  @page:first {
-    margin-top: 40mm; /* Extra space on first page */
+
+  const { sourceProfile, destinationProfile, renderingIntent, totalInkLimit, blackThreshold, preserveSpots } = value;
+
+  if (sourceProfile !== undefined && !isCustomProfile(sourceProfile) &&
+      !(typeof sourceProfile === 'string' && ICC_FILE_NAME.test(sourceProfile))) {
+    throw new RequestError('colorConversion.sourceProfile must be an .icc file name in the profile directory or { icc: <base64> }');
   }
-  
-  /* Running headers */
-  @page:left {
-    @top-left {
-      content: string(author);
-      font-family: var(--font-heading);
-      font-size: 9pt;
-      text-transform: uppercase;
-      letter-spacing: 0.1em;
-      color: #777;
-    }
-    @bottom-center {
-      content: counter(page);
-      font-family: var(--font-serif);
-      font-size: 10pt;
-    }
+  if (destinationProfile !== undefined && !isCustomProfile(destinationProfile) && !OUTPUT_INTENTS[destinationProfile]) {
+    throw new RequestError(`Unknown colorConversion.destinationProfile: ${destinationProfile}`, {
+      available: Object.keys(OUTPUT_INTENTS),
+    });
   }
-  
-  @page:right {
-    @top-right {
-      content: string(title);
-      font-family: var(--font-heading);
-      font-size: 9pt;
-      text-transform: uppercase;
-      letter-spacing: 0.1em;
-      color: #777;
-    }
-    @bottom-center {
-      content: counter(page);
-      font-family: var(--font-serif);
-      font-size: 10pt;
-    }
+  if (renderingIntent !== undefined && !(renderingIntent in RENDERING_INTENTS)) {
+    throw new RequestError(`Unknown colorConversion.renderingIntent: ${renderingIntent}`, {
+      supported: Object.keys(RENDERING_INTENTS),
+    });
   }
-  
-  /* Named strings for running headers */
-  h1.book-title {
-    string-set: title content(text);
+  if (totalInkLimit !== undefined && !(typeof totalInkLimit === 'number' &&
+      totalInkLimit >= INK_LIMIT_RANGE.min && totalInkLimit <= INK_LIMIT_RANGE.max)) {
+    throw new RequestError(`colorConversion.totalInkLimit must be between ${INK_LIMIT_RANGE.min} and ${INK_LIMIT_RANGE.max} (%)`);
   }
-  
-  .author-name {
-    string-set: author content(text);
+  if (totalInkLimit !== undefined) {
+    checkInkLimit(totalInkLimit, destinationProfile ?? outputIntent ?? CONFIG.pdfXOutputIntent);
   }
-  
-  /* Chapter breaks always start on right page */
-  .chapter-start {
-    break-before: right;
-    page-break-before: right;
+  if (blackThreshold !== undefined && !(typeof blackThreshold === 'number' && blackThreshold >= 0 && blackThreshold <= 0.5)) {
+    throw new RequestError('colorConversion.blackThreshold must be between 0 and 0.5');
   }
-  
-  /* Prevent orphans and widows (typographic best practice) */
-  p {
-    orphans: 2;
-    widows: 2;
+  if (preserveSpots !== undefined && typeof preserveSpots !== 'boolean' &&
+      !(Array.isArray(preserveSpots) && preserveSpots.every(name => typeof name === 'string' && name))) {
+    throw new RequestError('colorConversion.preserveSpots must be true, false or a list of spot colour names');
   }
-  
-  /* Keep headings with following content */
-  h1, h2, h3, h4, h5, h6 {
-    break-after: avoid;
-    page-break-after: avoid;
+
+  return {
+    sourceProfile: sourceProfile ?? null,
+    destinationProfile: destinationProfile ?? null,
+    renderingIntent: renderingIntent ?? null,
+    blackPointCompensation: value.blackPointCompensation === true,
+    totalInkLimit: totalInkLimit ?? null,
+    pureBlackText: value.pureBlackText === true,
+    pureBlackVector: value.pureBlackVector === true,
+    blackThreshold: blackThreshold ?? 0,
+    preserveSpots: preserveSpots ?? true,
+  };
+}
+
+// RGB profile the PDF's DeviceRGB content is interpreted in (Ghostscript
+// assumes sRGB otherwise)
+function resolveSourceProfile(value, jobId) {
+  let profile;
+  let profilePath;
+  if (typeof value === 'string') {
+    profilePath = path.join(CONFIG.iccProfileDir, value);
+    if (!fs.existsSync(profilePath)) {
+      throw new Error(`Source ICC profile not installed (expected ${profilePath})`);
+    }
+    profile = fs.readFileSync(profilePath);
+  } else {
+    profile = Buffer.from(value.icc, 'base64');
   }
-  
-  /* Prevent breaks inside important elements */
-  .block, .callout, .image-block, table {
-    break-inside: avoid;
-    page-break-inside: avoid;
+
+  const header = inspectIccProfile(profile);
+  if (!header) throw new Error('Source profile is not a valid ICC profile');
+  if (header.colorSpace !== 'RGB') {
+    throw new Error(`Source profile must be an RGB profile (got ${header.colorSpace})`);
   }
-  
-  /* Cross-references (future feature) */
+  if (typeof value === 'string') return { profilePath, isCustom: false };
+
+  profilePath = path.join(CONFIG.tempDir, `${jobId}_source.icc`);
+  fs.writeFileSync(profilePath, profile);
+  return { profilePath, isCustom: true };
+}
+
+// Ghostscript switches for the conversion options that map onto it directly
+function colorConversionArgs(conversion, sourceProfile) {
+  const args = [];
+  if (sourceProfile) {
+    args.push(`--permit-file-read=${sourceProfile.profilePath}`, `-sDefaultRGBProfile=${sourceProfile.profilePath}`);
+  }
+  if (conversion.renderingIntent) args.push(`-dRenderIntent=${RENDERING_INTENTS[conversion.renderingIntent]}`);
+  if (conversion.blackPointCompensation) args.push('-dBlackPtComp=1');
+  if (conversion.preserveSpots === false) {
+    args.push('-dPreserveSeparation=false', '-dPreserveDeviceN=false');
+  }
+  return args;
+}
+
+const DEVICE_COMPONENTS = { DeviceGray: 1, DeviceRGB: 3, DeviceCMYK: 4 };
+
+// Separation space with its tint transform, when that transform is a
+// Type 2 (exponential) function into a device space and can be evaluated
+function readSeparation(context, value) {
+  if (value instanceof PDFRef) value = context.lookup(value);
+  if (!(value instanceof PDFArray) || pdfName(value.lookup(0)) !== 'Separation') return null;
+
+  const name = pdfName(value.lookup(1));
+  const alternate = pdfName(value.lookup(2));
+  const fn = value.lookup(3);
+  const dict = fn instanceof PDFDict ? fn : fn?.dict;
+  const numbers = (key, fallback) => {
+    const array = dict?.lookup(PDFName.of(key));
+    return array instanceof PDFArray ? array.asArray().map(pdfNumber) : fallback;
+  };
+  const c0 = numbers('C0', [0]);
+  const c1 = numbers('C1', [1]);
+  const exponent = pdfNumber(dict?.lookup(PDFName.of('N'))) ?? 1;
+
+  if (pdfNumber(dict?.lookup(PDFName.of('FunctionType'))) !== 2 || DEVICE_COMPONENTS[alternate] !== c0.length ||
+      c1.length !== c0.length || [...c0, ...c1].some(n => n === undefined)) {
+    return { name, convertible: false };
+  }
+  return {
+    name,
+    convertible: true,
+    alternate,
+    tint: (t) => c0.map((low, k) => low + Math.pow(Math.min(Math.max(t, 0), 1), exponent) * (c1[k] - low)),
+  };
+}
+
+const formatComponent = (value) => String(Math.round(value * 10000) / 10000);
+
+// Rewrites colour operators in one content stream: RGB/grey black becomes
+// 0/0/0/100 CMYK in text objects and/or vector paint, and fills/strokes in
+// spot colours that are not preserved switch to their alternate space.
+// Returns the new bytes, or null when nothing changed.
+function rewriteColorOperators(bytes, resources, context, conversion, stats) {
+  const PURE_BLACK = { fill: '0 0 0 1 k', stroke: '0 0 0 1 K' };
+  const colorSpaces = resources?.lookupMaybe(PDFName.of('ColorSpace'), PDFDict);
+  const wantPure = (inText) => (inText ? conversion.pureBlackText : conversion.pureBlackVector);
+  const targetOf = (op) => (op === op.toLowerCase() ? 'fill' : 'stroke');
+
+  let state = { fill: {}, stroke: {} };
+  const saved = [];
+  let inText = false;
+  let changed = false;
+  const chunks = [];
+  let last = 0;
+
+  const replace = (start, end, text) => {
+    chunks.push(bytes.subarray(last, start), Buffer.from(text, 'latin1'));
+    last = end;
+    changed = true;
+  };
+  const source = (start, end) => Buffer.from(bytes.subarray(start, end)).toString('latin1');
+
+  // Entering or leaving a text object: a black set outside it may need
+  // the other treatment inside
+  const switchBlack = (start, end, op) => {
+    const injected = [];
+    for (const key of ['fill', 'stroke']) {
+      const current = state[key];
+      if (!current.black || current.pure === wantPure(inText)) continue;
+      injected.push(wantPure(inText) ? PURE_BLACK[key] : current.original);
+      if (wantPure(inText)) stats.pureBlack++;
+      state[key] = { ...current, pure: wantPure(inText) };
+    }
+    if (injected.length) replace(start, end, `${op} ${injected.join(' ')}`);
+  };
+
+  for (const { op, operands, start, end } of parseContentStream(bytes)) {
+    switch (op) {
+      case 'q':
+        saved.push(state);
+        state = { ...state };
+        break;
+      case 'Q':
+        state = saved.pop() || state;
+        break;
+      case 'BT':
+        inText = true;
+        switchBlack(start, end, op);
+        break;
+      case 'ET':
+        inText = false;
+        switchBlack(start, end, op);
+        break;
+
+      case 'rg': case 'RG': case 'g': case 'G': {
+        const key = targetOf(op);
+        const black = (conversion.pureBlackText || conversion.pureBlackVector) &&
+          operands.length > 0 && operands.every(v => typeof v === 'number' && v <= conversion.blackThreshold);
+        const pure = black && wantPure(inText);
+        state[key] = {
+          black,
+          pure,
+          original: source(start, end),
+          space: op.toLowerCase() === 'rg' ? 'DeviceRGB' : 'DeviceGray',
+        };
+        if (pure) {
+          replace(start, end, PURE_BLACK[key]);
+          stats.pureBlack++;
+        }
+        break;
+      }
+
+      case 'cs': case 'CS': {
+        const key = targetOf(op);
+        state[key] = {};
+        const name = operands[0]?.name;
+        if (!Array.isArray(conversion.preserveSpots) || !name) break;
+        const separation = readSeparation(context, colorSpaces?.get(PDFName.of(name)));
+        if (!separation || ['All', 'None'].includes(separation.name) ||
+            conversion.preserveSpots.includes(separation.name)) break;
+        if (!separation.convertible) {
+          stats.unconvertedSpots.add(separation.name);
+          break;
+        }
+        state[key] = { separation };
+        stats.convertedSpots.add(separation.name);
+        replace(start, end, `/${separation.alternate} ${op}`);
+        break;
+      }
+
+      case 'sc': case 'scn': case 'SC': case 'SCN': {
+        const current = state[targetOf(op)];
+        if (current.separation && operands.length === 1) {
+          replace(start, end, `${current.separation.tint(operands[0]).map(formatComponent).join(' ')} ${op}`);
+        } else if (current.pure) {
+          // The rewritten black left the colour space as DeviceCMYK
+          replace(start, end, `/${current.space} ${op.toLowerCase() === op ? 'cs' : 'CS'} ${source(start, end)}`);
+          state[targetOf(op)] = {};
+        }
+        break;
+      }
+
+      case 'k': case 'K':
+        state[targetOf(op)] = {};
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!changed) return null;
+  chunks.push(bytes.subarray(last));
+  return Buffer.concat(chunks);
+}
+
+// Applies the content-stream rewrites to every page and form XObject
+// before the PDF goes to Ghostscript
+async function prepareColorConversion(pdfBuffer, conversion, diagnostics) {
+  const rewriteBlack = conversion.pureBlackText || conversion.pureBlackVector;
+  if (!rewriteBlack && !Array.isArray(conversion.preserveSpots)) return pdfBuffer;
+
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context } = pdfDoc;
+  const stats = { pureBlack: 0, convertedSpots: new Set(), unconvertedSpots: new Set() };
+  const visited = new Set();
+
+  const rewriteForms = (resources) => {
+    const xobjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xobjects) return;
+    for (const ref of xobjects.values()) {
+      if (!(ref instanceof PDFRef) || visited.has(ref.toString())) continue;
+      visited.add(ref.toString());
+      const stream = context.lookup(ref);
+      if (!(stream instanceof PDFRawStream) || pdfName(stream.dict.lookup(PDFName.of('Subtype'))) !== 'Form') continue;
+
+      const formResources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+      const rewritten = rewriteColorOperators(readStreamBytes(stream), formResources, context, conversion, stats);
+      if (rewritten) {
+        const dict = stream.dict.clone(context);
+        dict.delete(PDFName.of('Filter'));
+        dict.delete(PDFName.of('DecodeParms'));
+        context.assign(ref, PDFRawStream.of(dict, rewritten));
+      }
+      rewriteForms(formResources);
+    }
+  };
+
+  for (const page of pdfDoc.getPages()) {
+    const resources = page.node.Resources();
+    const rewritten = rewriteColorOperators(readPageContent(page), resources, context, conversion, stats);
+    if (rewritten) {
+      page.node.set(PDFName.of('Contents'), context.register(context.flateStream(rewritten)));
+    }
+    rewriteForms(resources);
+  }
+
+  if (stats.unconvertedSpots.size) {
+    reportIssue(diagnostics, 'SPOT_NOT_CONVERTED',
+      `Spot colours kept because their tint transform cannot be evaluated: ${[...stats.unconvertedSpots].join(', ')}`);
+  }
+  console.log(`[Color ${diagnostics.jobId}] ${stats.pureBlack} black operator(s) set to pure K, ` +
+    `${stats.convertedSpots.size} spot colour(s) converted`);
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// Measures the converted PDF against `totalInkLimit`. The profile keeps
+// converted colour within it; DeviceCMYK content (CMYK images, spot
+// alternates) passes through unchanged and can still exceed it
+async function verifyInkLimit(pdf, conversion, diagnostics) {
+  const limit = conversion.colorConversion.totalInkLimit;
+  let coverage;
+  try {
+    coverage = await measureInkCoverage(pdf, { maxInk: limit, inkResolution: PREFLIGHT_DEFAULTS.inkResolution }, diagnostics.jobId);
+  } catch (error) {
+    console.warn(`[Color ${diagnostics.jobId}] Ink limit not verified: ${error.message}`);
+    addWarning(diagnostics, { code: 'INK_LIMIT_UNVERIFIED', message: error.message });
+    return { limit, maxCoverage: null, status: 'unverified' };
+  }
+  if (coverage.status === 'fail') {
+    const pages = coverage.pages.filter(page => page.status === 'fail');
+    const maxCoverage = Math.max(...pages.map(page => page.maxCoverage));
+    const profile = conversion.outputIntentTac ? ` (${conversion.outputIntent} separates up to ${conversion.outputIntentTac}%)` : '';
+    reportIssue(diagnostics, 'INK_LIMIT_EXCEEDED',
+      `${pages.length} page(s) exceed the ${limit}% total ink limit, up to ${maxCoverage}%${profile}`,
+      { pages: pages.slice(0, 20).map(page => page.page) });
+  }
+  return { limit, maxCoverage: Math.max(0, ...coverage.pages.map(page => page.maxCoverage)), status: coverage.status };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SPOT COLOURS
+// Chromium only prints RGB, so each declared spot gets reserved sentinel
+// RGB values exposed as CSS variables. After printing, fills and strokes
+// in those values are rewritten to real Separation colour spaces.
+// ═══════════════════════════════════════════════════════════════════
+const MAX_SPOT_COLORS = 32;
+const SPOT_TINTS = Array.from({ length: 20 }, (_, i) => (i + 1) * 5); // 5% ... 100%
+const PROCESS_COLORANTS = ['Cyan', 'Magenta', 'Yellow', 'Black', 'All', 'None'];
+const LAB_D50 = { WhitePoint: [0.9642, 1, 0.8249], Range: [-128, 127, -128, 127] };
+
+const spotSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// rgb(1, 2 + index, tint%) never comes out of ordinary stylesheets
+const spotSentinel = (index, tint) => [1, 2 + index, tint];
+
+const spotVariable = (spot, tint) => (tint === 100 ? `--spot-${spot.slug}` : `--spot-${spot.slug}-${tint}`);
+
+// Screen approximation of the alternate, used by /preview
+function spotDisplayColor(spot, tint) {
+  if (spot.lab) {
+    const [l, a, b] = spot.lab;
+    return tint === 100 ? `lab(${l} ${a} ${b})` : `color-mix(in lab, lab(${l} ${a} ${b}) ${tint}%, white)`;
+  }
+  const [c, m, y, k] = spot.cmyk.map(v => (v / 100) * (tint / 100));
+  const channel = (v) => Math.round(255 * (1 - v) * (1 - k));
+  return `rgb(${channel(c)} ${channel(m)} ${channel(y)})`;
+}
+
+// `options.spotColors`: [{ name, cmyk: [c, m, y, k] | lab: [L, a, b], overprint }]
+// CMYK values are percentages; Lab is CIELAB D50.
+function resolveSpotColors(value) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || value.length > MAX_SPOT_COLORS) {
+    throw new RequestError(`spotColors must be an array of at most ${MAX_SPOT_COLORS} spot colours`);
+  }
+
+  const spots = value.map((entry, index) => {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name || name.length > 63 || !/^[\x20-\x7e]+$/.test(name)) {
+      throw new RequestError(`spotColors[${index}].name must be 1-63 printable ASCII characters`);
+    }
+    if (PROCESS_COLORANTS.includes(name)) {
+      throw new RequestError(`spotColors[${index}].name "${name}" is reserved for process colorants`);
+    }
+    const inRange = (values, ranges) => Array.isArray(values) && values.length === ranges.length &&
+      values.every((v, k) => typeof v === 'number' && v >= ranges[k][0] && v <= ranges[k][1]);
+    const hasCmyk = entry.cmyk !== undefined;
+    if (hasCmyk === (entry.lab !== undefined)) {
+      throw new RequestError(`spotColors[${index}] needs exactly one alternate: cmyk or lab`);
+    }
+    if (hasCmyk && !inRange(entry.cmyk, [[0, 100], [0, 100], [0, 100], [0, 100]])) {
+      throw new RequestError(`spotColors[${index}].cmyk must be four percentages`);
+    }
+    if (!hasCmyk && !inRange(entry.lab, [[0, 100], [-128, 127], [-128, 127]])) {
+      throw new RequestError(`spotColors[${index}].lab must be [L 0-100, a, b -128-127]`);
+    }
+    return {
+      name,
+      slug: spotSlug(name) || `spot-${index + 1}`,
+      index,
+      cmyk: hasCmyk ? entry.cmyk : null,
+      lab: hasCmyk ? null : entry.lab,
+      overprint: entry.overprint === true,
+    };
+  });
+
+  for (const key of ['name', 'slug']) {
+    const seen = new Set();
+    for (const spot of spots) {
+      if (seen.has(spot[key])) throw new RequestError(`Duplicate spot colour ${key}: ${spot[key]}`);
+      seen.add(spot[key]);
+    }
+  }
+
+  const declarations = (color) => spots.flatMap(spot => SPOT_TINTS.map(tint =>
+    `${spotVariable(spot, tint)}: ${color(spot, tint)};`)).join('\n          ');
+  return {
+    spots,
+    css: `:root {\n          ${declarations((spot, tint) => `rgb(${spotSentinel(spot.index, tint).join(' ')})`)}\n        }`,
+    displayCss: `:root {\n          ${declarations(spotDisplayColor)}\n        }`,
+    variables: Object.fromEntries(spots.map(spot => [spot.name, spotVariable(spot, 100)])),
+  };
+}
+
+// Separation colour space: a Type 2 function from 0 (no ink) to the
+// full-strength alternate
+function buildSeparation(context, spot) {
+  const alternate = spot.cmyk
+    ? { space: PDFName.of('DeviceCMYK'), c0: [0, 0, 0, 0], c1: spot.cmyk.map(v => v / 100) }
+    : { space: context.obj([PDFName.of('Lab'), context.obj(LAB_D50)]), c0: [100, 0, 0], c1: spot.lab };
+  const tintTransform = context.obj({ FunctionType: 2, Domain: [0, 1], C0: alternate.c0, C1: alternate.c1, N: 1 });
+  return context.register(context.obj([PDFName.of('Separation'), PDFName.of(spot.name), alternate.space, tintTransform]));
+}
+
+// Spot and tint for an `rg`/`RG` operand triple, if it is a sentinel
+function matchSpotSentinel(operands, spots) {
+  if (operands.length !== 3 || !operands.every(v => typeof v === 'number')) return null;
+  const bytes = operands.map(v => v * 255);
+  if (bytes.some(v => Math.abs(v - Math.round(v)) > 0.05)) return null;
+  const [r, g, b] = bytes.map(Math.round);
+  const spot = spots[g - 2];
+  if (r !== 1 || !spot || !SPOT_TINTS.includes(b)) return null;
+  return { spot, tint: b / 100 };
+}
+
+// Rewrites sentinel `rg`/`RG` colours in one content stream. `usage`
+// collects the spot indexes and overprint states the new stream uses.
+function rewriteSpotOperators(bytes, spots, usage) {
+  const targetOf = (op) => (op === op.toLowerCase() ? 'fill' : 'stroke');
+  let state = { fill: null, stroke: null, overprint: '00' };
+  const saved = [];
+  let changed = false;
+  const chunks = [];
+  let last = 0;
+
+  const replace = (start, end, text) => {
+    chunks.push(bytes.subarray(last, start), Buffer.from(text, 'latin1'));
+    last = end;
+    changed = true;
+  };
+
+  // Overprint follows the current fill and stroke colour
+  const overprintSwitch = () => {
+    const wanted = `${state.stroke?.overprint ? 1 : 0}${state.fill?.overprint ? 1 : 0}`;
+    if (wanted === state.overprint) return '';
+    state.overprint = wanted;
+    usage.overprint.add(wanted);
+    return ` /SynOP${wanted} gs`; // stroke and fill overprint, 0/1 each
+  };
+
+  for (const { op, operands, start, end } of parseContentStream(bytes)) {
+    switch (op) {
+      case 'q':
+        saved.push(state);
+        state = { ...state };
+        break;
+      case 'Q':
+        state = saved.pop() || state;
+        break;
+
+      case 'rg': case 'RG': {
+        const key = targetOf(op);
+        const match = matchSpotSentinel(operands, spots);
+        if (match) {
+          usage.spots.add(match.spot.index);
+          state[key] = { overprint: match.spot.overprint };
+          const [space, color] = key === 'fill' ? ['cs', 'scn'] : ['CS', 'SCN'];
+          replace(start, end, `/SynSpot${match.spot.index} ${space} ${match.tint} ${color}${overprintSwitch()}`);
+        } else {
+          state[key] = null;
+          const switchOff = overprintSwitch();
+          if (switchOff) replace(start, end, `${Buffer.from(bytes.subarray(start, end)).toString('latin1')}${switchOff}`);
+        }
+        break;
+      }
+
+      case 'sc': case 'scn': case 'SC': case 'SCN':
+        // The spot left the colour space as a Separation; restore DeviceRGB
+        if (state[targetOf(op)] && operands.length === 3) {
+          const space = targetOf(op) === 'fill' ? 'cs' : 'CS';
+          state[targetOf(op)] = null;
+          replace(start, end, `/DeviceRGB ${space} ${Buffer.from(bytes.subarray(start, end)).toString('latin1')}${overprintSwitch()}`);
+        }
+        break;
+
+      case 'g': case 'G': case 'k': case 'K': case 'cs': case 'CS': {
+        state[targetOf(op)] = null;
+        const switchOff = overprintSwitch();
+        if (switchOff) replace(start, end, `${Buffer.from(bytes.subarray(start, end)).toString('latin1')}${switchOff}`);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (!changed) return null;
+  chunks.push(bytes.subarray(last));
+  return Buffer.concat(chunks);
+}
+
+// Adds the Separation and overprint resources a rewritten stream refers to
+function addSpotResources(context, resources, usage, resourceFor) {
+  const category = (name) => {
+    let dict = resources.lookupMaybe(PDFName.of(name), PDFDict);
+    if (!dict) {
+      dict = context.obj({});
+      resources.set(PDFName.of(name), dict);
+    }
+    return dict;
+  };
+  if (usage.spots.size) {
+    const colorSpaces = category('ColorSpace');
+    for (const index of usage.spots) colorSpaces.set(PDFName.of(`SynSpot${index}`), resourceFor.spot(index));
+  }
+  if (usage.overprint.size) {
+    const extGStates = category('ExtGState');
+    for (const key of usage.overprint) extGStates.set(PDFName.of(`SynOP${key}`), resourceFor.overprint(key));
+  }
+}
+
+// Rewrites sentinel colours on every page and form XObject. Returns the
+// PDF and the names of the spots that were used.
+async function applySpotColors(pdfBuffer, spotColors, jobId) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context } = pdfDoc;
+  const { spots } = spotColors;
+  const refs = new Map();
+  const shared = (key, create) => {
+    if (!refs.has(key)) refs.set(key, create());
+    return refs.get(key);
+  };
+  // Each Separation and overprint state is written once and shared
+  const resourceFor = {
+    spot: (index) => shared(`spot${index}`, () => buildSeparation(context, spots[index])),
+    overprint: (key) => shared(`op${key}`, () => context.register(context.obj({
+      Type: 'ExtGState', OP: key[0] === '1', op: key[1] === '1', OPM: 1,
+    }))),
+  };
+  const used = new Set();
+  const visited = new Set();
+  const rewrite = (bytes) => {
+    const usage = { spots: new Set(), overprint: new Set() };
+    const rewritten = rewriteSpotOperators(bytes, spots, usage);
+    usage.spots.forEach(index => used.add(index));
+    return { rewritten, usage };
+  };
+
+  const rewriteForms = (resources) => {
+    const xobjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xobjects) return;
+    for (const ref of xobjects.values()) {
+      if (!(ref instanceof PDFRef) || visited.has(ref.toString())) continue;
+      visited.add(ref.toString());
+      const stream = context.lookup(ref);
+      if (!(stream instanceof PDFRawStream) || pdfName(stream.dict.lookup(PDFName.of('Subtype'))) !== 'Form') continue;
+
+      const formResources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+      const { rewritten, usage } = rewrite(readStreamBytes(stream));
+      if (rewritten) {
+        const dict = stream.dict.clone(context);
+        dict.delete(PDFName.of('Filter'));
+        dict.delete(PDFName.of('DecodeParms'));
+        context.assign(ref, PDFRawStream.of(dict, rewritten));
+        addSpotResources(context, formResources, usage, resourceFor);
+      }
+      rewriteForms(formResources);
+    }
+  };
+
+  for (const page of pdfDoc.getPages()) {
+    const resources = page.node.Resources();
+    const { rewritten, usage } = rewrite(readPageContent(page));
+    if (rewritten) {
+      page.node.set(PDFName.of('Contents'), context.register(context.flateStream(rewritten)));
+      addSpotResources(context, resources, usage, resourceFor);
+    }
+    rewriteForms(resources);
+  }
+
+  const names = spots.filter(spot => used.has(spot.index)).map(spot => spot.name);
+  const unused = spots.filter(spot => !used.has(spot.index)).map(spot => spot.name);
+  console.log(`[Spot ${jobId}] Separations: ${names.join(', ') || 'none'}${unused.length ? ` (unused: ${unused.join(', ')})` : ''}`);
+
+  return { pdf: Buffer.from(await pdfDoc.save({ useObjectStreams: false })), used: names };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PDF METADATA (Info dictionary + XMP packet)
+// Written after Ghostscript so the values survive the CMYK pass
+// ═══════════════════════════════════════════════════════════════════
+const xmpDate = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+function buildXmpPacket(meta, { pdfxVersion, pdfua = false, createDate, documentId }) {
+  const now = xmpDate(new Date());
+  const created = xmpDate(createDate);
+  const langAlt = (value) =>
+    `<rdf:Alt><rdf:li xml:lang="x-default">${escapeHtml(value)}</rdf:li></rdf:Alt>`;
+
+  const properties = [
+    `<xmp:CreateDate>${created}</xmp:CreateDate>`,
+    `<xmp:ModifyDate>${now}</xmp:ModifyDate>`,
+    `<xmp:MetadataDate>${now}</xmp:MetadataDate>`,
+    `<xmp:CreatorTool>${escapeHtml(meta.creator)}</xmp:CreatorTool>`,
+    `<pdf:Producer>${escapeHtml(meta.producer)}</pdf:Producer>`,
+    '<dc:format>application/pdf</dc:format>',
+    `<xmpMM:DocumentID>uuid:${documentId}</xmpMM:DocumentID>`,
+    `<xmpMM:InstanceID>uuid:${crypto.randomUUID()}</xmpMM:InstanceID>`,
+  ];
+
+  if (meta.title) properties.push(`<dc:title>${langAlt(meta.title)}</dc:title>`);
+  if (meta.author) {
+    properties.push(`<dc:creator><rdf:Seq><rdf:li>${escapeHtml(meta.author)}</rdf:li></rdf:Seq></dc:creator>`);
+  }
+  if (meta.subject) properties.push(`<dc:description>${langAlt(meta.subject)}</dc:description>`);
+  if (meta.keywords.length) {
+    properties.push(`<pdf:Keywords>${escapeHtml(meta.keywords.join(', '))}</pdf:Keywords>`);
+    properties.push(`<dc:subject><rdf:Bag>${meta.keywords.map(k => `<rdf:li>${escapeHtml(k)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`);
+  }
+  if (meta.language) {
+    properties.push(`<dc:language><rdf:Bag><rdf:li>${escapeHtml(meta.language)}</rdf:li></rdf:Bag></dc:language>`);
+  }
+  if (meta.isbn) {
+    properties.push(`<prism:isbn>${escapeHtml(meta.isbn)}</prism:isbn>`);
+    properties.push(`<dc:identifier>urn:isbn:${escapeHtml(meta.isbn)}</dc:identifier>`);
+  }
+  if (meta.edition) properties.push(`<prism:edition>${escapeHtml(meta.edition)}</prism:edition>`);
+  // Custom Info keys are mirrored under the pdfx namespace (Adobe convention)
+  for (const [key, value] of Object.entries(meta.custom)) {
+    properties.push(`<pdfx:${key}>${escapeHtml(value)}</pdfx:${key}>`);
+  }
+  if (pdfxVersion) {
+    properties.push(`<pdfxid:GTS_PDFXVersion>${escapeHtml(pdfxVersion)}</pdfxid:GTS_PDFXVersion>`);
+    properties.push(`<pdfx:GTS_PDFXVersion>${escapeHtml(pdfxVersion)}</pdfx:GTS_PDFXVersion>`);
+  }
+  if (pdfua) properties.push('<pdfuaid:part>1</pdfuaid:part>');
+
+  // Trailing whitespace lets editors update the packet in place
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:pdfx="http://ns.adobe.com/pdfx/1.3/"
+        xmlns:pdfxid="http://www.npes.org/pdfx/ns/id/"
+        xmlns:pdfuaid="http://www.aiim.org/pdfua/ns/id/"
+        xmlns:prism="http://prismstandard.org/namespaces/basic/2.0/">
+      ${properties.join('\n      ')}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+${' '.repeat(2048)}
+<?xpacket end="w"?>`;
+}
+
+// Writes the Info dictionary and XMP metadata stream into a PDF buffer.
+// Any PDF/X identification Ghostscript wrote is kept and mirrored in XMP.
+async function writePdfMetadata(pdfBuffer, metadata, { pdfua = false } = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const info = pdfDoc.getInfoDict();
+  const now = new Date();
+  const createDate = pdfDoc.getCreationDate() || now;
+
+  if (metadata.title) pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  if (metadata.author) pdfDoc.setAuthor(metadata.author);
+  if (metadata.subject) pdfDoc.setSubject(metadata.subject);
+  if (metadata.keywords.length) pdfDoc.setKeywords(metadata.keywords);
+  pdfDoc.setCreator(metadata.creator);
+  pdfDoc.setProducer(metadata.producer);
+  pdfDoc.setCreationDate(createDate);
+  pdfDoc.setModificationDate(now);
+
+  const customInfo = { ...metadata.custom };
+  if (metadata.isbn) customInfo.ISBN = metadata.isbn;
+  if (metadata.edition) customInfo.Edition = metadata.edition;
+  for (const [key, value] of Object.entries(customInfo)) {
+    info.set(PDFName.of(key), PDFHexString.fromText(value));
+  }
+
+  if (metadata.language) {
+    pdfDoc.catalog.set(PDFName.of('Lang'), PDFHexString.fromText(metadata.language));
+  }
+
+  const pdfxEntry = info.lookup(PDFName.of('GTS_PDFXVersion'));
+  const pdfxVersion = pdfxEntry ? pdfxEntry.decodeText() : null;
+
+  const xmp = buildXmpPacket(metadata, {
+    pdfxVersion,
+    pdfua,
+    createDate,
+    documentId: crypto.randomUUID(),
+  });
+  const xmpStream = pdfDoc.context.stream(new Uint8Array(Buffer.from(xmp, 'utf8')), {
+    Type: 'Metadata',
+    Subtype: 'XML',
+  });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmpStream));
+
+  // Classic xref tables keep PDF 1.3 (PDF/X-1a, X-3) output valid
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PRINTER'S MARKS & PAGE BOXES
+// Marks are drawn in a slug area added around the BleedBox, so the
+// trimmed page is untouched. Works on any page.pdf output, with or
+// without Paged.js.
+// ═══════════════════════════════════════════════════════════════════
+const MM_TO_PT = 72 / 25.4;
+
+const MARKS_DEFAULTS = {
+  crop: true,
+  bleed: true,
+  registration: true,
+  colorBar: true,
+  slug: true,
+  offset: 3,      // mm between the bleed edge and the start of each mark
+  length: 5,      // mm, crop/bleed mark length
+  slugSize: 12,   // mm of slug area on each side of the BleedBox
+  lineWidth: 0.25,
+};
+
+// `options.marks`: true for the full set, or an object overriding MARKS_DEFAULTS
+function resolveMarksOptions(value) {
+  if (!value) return null;
+  const marks = value === true ? { ...MARKS_DEFAULTS } : { ...MARKS_DEFAULTS, ...value };
+  for (const key of ['offset', 'length', 'slugSize', 'lineWidth']) {
+    const n = parseFloat(marks[key]);
+    marks[key] = Number.isFinite(n) && n >= 0 ? n : MARKS_DEFAULTS[key];
+  }
+  // The marks must fit inside the slug
+  marks.slugSize = Math.max(marks.slugSize, marks.offset + marks.length + 2);
+  return marks;
+}
+
+// Registration colour prints on every plate
+const REGISTRATION = cmyk(1, 1, 1, 1);
+
+const COLOR_BAR_PATCHES = [
+  cmyk(1, 0, 0, 0), cmyk(0, 1, 0, 0), cmyk(0, 0, 1, 0), cmyk(0, 0, 0, 1),
+  cmyk(1, 1, 0, 0), cmyk(1, 0, 1, 0), cmyk(0, 1, 1, 0),
+  cmyk(0, 0, 0, 0.75), cmyk(0, 0, 0, 0.5), cmyk(0, 0, 0, 0.25),
+  cmyk(0.5, 0, 0, 0), cmyk(0, 0.5, 0, 0), cmyk(0, 0, 0.5, 0),
+];
+
+function drawCornerMarks(page, box, distance, length, thickness, dashArray) {
+  const corners = [
+    [box.left, box.bottom, -1, -1],
+    [box.right, box.bottom, 1, -1],
+    [box.left, box.top, -1, 1],
+    [box.right, box.top, 1, 1],
+  ];
+  for (const [x, y, dx, dy] of corners) {
+    // Horizontal mark in line with the edge, vertical mark in line with the side
+    page.drawLine({
+      start: { x: x + dx * distance, y },
+      end: { x: x + dx * (distance + length), y },
+      thickness, color: REGISTRATION, dashArray,
+    });
+    page.drawLine({
+      start: { x, y: y + dy * distance },
+      end: { x, y: y + dy * (distance + length) },
+      thickness, color: REGISTRATION, dashArray,
+    });
+  }
+}
+
+function drawRegistrationTarget(page, cx, cy, radius, thickness) {
+  page.drawCircle({ x: cx, y: cy, size: radius, borderColor: REGISTRATION, borderWidth: thickness });
+  page.drawCircle({ x: cx, y: cy, size: radius / 2, color: REGISTRATION });
+  page.drawLine({ start: { x: cx - radius * 1.5, y: cy }, end: { x: cx + radius * 1.5, y: cy }, thickness, color: REGISTRATION });
+  page.drawLine({ start: { x: cx, y: cy - radius * 1.5 }, end: { x: cx, y: cy + radius * 1.5 }, thickness, color: REGISTRATION });
+}
+
+// Letters without a canonical decomposition to a base letter
+const SLUG_FALLBACKS = { 'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'Ħ': 'H', 'ħ': 'h', 'ı': 'i' };
+
+// Reduces slug text to characters the (WinAnsi) Helvetica can encode:
+// accents the font lacks are dropped, anything else becomes "?"
+function encodableSlugText(font, text) {
+  const supported = new Set(font.getCharacterSet());
+  return Array.from(text, (char) => {
+    if (supported.has(char.codePointAt(0))) return char;
+    if (SLUG_FALLBACKS[char]) return SLUG_FALLBACKS[char];
+    const base = char.normalize('NFD').replace(/\p{M}+/gu, '');
+    return base && Array.from(base).every(c => supported.has(c.codePointAt(0))) ? base : '?';
+  }).join('');
+}
+
+// Sets MediaBox/BleedBox/TrimBox on every page and, when `marks` is given,
+// grows the MediaBox by the slug and draws the requested marks in it.
+// `bleed` (mm) is the distance between the page edge and the trim line.
+async function applyPageBoxes(pdfBuffer, { bleed = 0, marks = null, jobId = '', title = '' } = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const pages = pdfDoc.getPages();
+  const bleedPt = (parseFloat(bleed) || 0) * MM_TO_PT;
+  const font = marks && marks.slug ? await pdfDoc.embedFont(StandardFonts.Helvetica) : null;
+  const stamp = new Date().toISOString().replace('T', ' ').slice(0, 16);
+
+  pages.forEach((page, index) => {
+    const { x, y, width, height } = page.getMediaBox();
+    const bleedBox = { left: x, bottom: y, right: x + width, top: y + height };
+    const trimBox = {
+      left: bleedBox.left + bleedPt,
+      bottom: bleedBox.bottom + bleedPt,
+      right: bleedBox.right - bleedPt,
+      top: bleedBox.top - bleedPt,
+    };
+
+    page.setBleedBox(x, y, width, height);
+    page.setTrimBox(trimBox.left, trimBox.bottom, trimBox.right - trimBox.left, trimBox.top - trimBox.bottom);
+
+    if (!marks) {
+      page.setCropBox(x, y, width, height);
+      return;
+    }
+
+    const slug = marks.slugSize * MM_TO_PT;
+    page.setMediaBox(x - slug, y - slug, width + slug * 2, height + slug * 2);
+    page.setCropBox(x - slug, y - slug, width + slug * 2, height + slug * 2);
+
+    const offset = marks.offset * MM_TO_PT;
+    const length = marks.length * MM_TO_PT;
+
+    if (marks.crop) {
+      // Crop marks stand off the trim corner by the bleed plus the offset
+      drawCornerMarks(page, trimBox, bleedPt + offset, length, marks.lineWidth);
+    }
+    if (marks.bleed && bleedPt > 0) {
+      drawCornerMarks(page, bleedBox, offset, length * 0.6, marks.lineWidth, [2, 1]);
+    }
+    if (marks.registration) {
+      const radius = Math.min(length / 2, 2.5 * MM_TO_PT);
+      const gap = offset + radius * 1.5;
+      const midX = (bleedBox.left + bleedBox.right) / 2;
+      const midY = (bleedBox.bottom + bleedBox.top) / 2;
+      drawRegistrationTarget(page, midX, bleedBox.top + gap, radius, marks.lineWidth);
+      drawRegistrationTarget(page, midX, bleedBox.bottom - gap, radius, marks.lineWidth);
+      drawRegistrationTarget(page, bleedBox.left - gap, midY, radius, marks.lineWidth);
+      drawRegistrationTarget(page, bleedBox.right + gap, midY, radius, marks.lineWidth);
+    }
+    if (marks.colorBar) {
+      const patch = Math.min(4 * MM_TO_PT, slug - offset);
+      const barY = bleedBox.top + offset;
+      // Start past the crop marks on the left-hand side
+      let barX = bleedBox.left + bleedPt + offset + length;
+      for (const color of COLOR_BAR_PATCHES) {
+        if (barX + patch > (bleedBox.left + bleedBox.right) / 2 - 3 * MM_TO_PT) break;
+        page.drawRectangle({ x: barX, y: barY, width: patch, height: patch, color });
+        barX += patch;
+      }
+    }
+    if (marks.slug && font) {
+      const label = [
+        title ? title.slice(0, 60) : null,
+        jobId ? `Job ${jobId}` : null,
+        stamp,
+        `Page ${index + 1} of ${pages.length}`,
+      ].filter(Boolean).join('  |  ');
+      page.drawText(encodableSlugText(font, label), {
+        x: bleedBox.left + bleedPt + offset + length,
+        y: bleedBox.bottom - offset - 6,
+        size: 6,
+        font,
+        color: REGISTRATION,
+      });
+    }
+  });
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// Check if Ghostscript is available
+function checkGhostscript() {
+  try {
+    execSync('gs --version', { stdio: 'pipe' });
+    return true;
+  } catch {
+    console.warn('[Ghostscript] Not available - CMYK conversion disabled');
+    return false;
+  }
+}
+
+const ghostscriptAvailable = checkGhostscript();
+
+// ═══════════════════════════════════════════════════════════════════
+// IMPOSITION
+// Lays the finished interior out on press sheets: 2-up and 4-up,
+// saddle-stitch booklets and folded signatures for perfect binding.
+// Runs last, on the final (possibly CMYK) PDF, placing each TrimBox.
+// ═══════════════════════════════════════════════════════════════════
+const IMPOSITION_LAYOUTS = ['2-up', '4-up', 'booklet', 'signature'];
+const IMPOSITION_BLANKS = ['end', 'before-last'];
+const IMPOSITION_ORDERS = ['sequential', 'repeat'];
+
+// Portrait sizes in mm; whichever orientation holds the layout is used
+const SHEET_SIZES = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 },
+  SRA3: { width: 320, height: 450 },
+  SRA2: { width: 450, height: 640 },
+  letter: { width: 215.9, height: 279.4 },
+  tabloid: { width: 279.4, height: 431.8 },
+};
+
+// Grid and fold sequence per signature size. 'V' folds the left half over
+// the right, 'H' the top half over the bottom; the last fold is vertical
+// so it becomes the spine.
+const SIGNATURE_FOLDS = {
+  8: { columns: 2, rows: 2, folds: ['H', 'V'] },
+  16: { columns: 4, rows: 2, folds: ['V', 'H', 'V'] },
+  32: { columns: 4, rows: 4, folds: ['H', 'V', 'H', 'V'] },
+};
+
+const COLLATION_BLACK = cmyk(0, 0, 0, 1);
+
+function resolveSheetSize(value) {
+  if (value === undefined || value === null || value === 'auto') return null;
+  if (typeof value === 'string') {
+    if (!SHEET_SIZES[value]) {
+      throw new RequestError(`Unknown sheet size: ${value}`, { supported: ['auto', ...Object.keys(SHEET_SIZES)] });
+    }
+    return { name: value, ...SHEET_SIZES[value] };
+  }
+  const width = Number(value.width);
+  const height = Number(value.height);
+  if (!(width > 0 && width <= 2000 && height > 0 && height <= 2000)) {
+    throw new RequestError('imposition.sheet must be a sheet name or { width, height } in mm (up to 2000)');
+  }
+  return { name: null, width, height };
+}
+
+function resolveImpositionLength(value, fallback, field) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'number' || !(value >= 0 && value <= 50)) {
+    throw new RequestError(`imposition.${field} must be 0-50 (mm)`);
+  }
+  return value;
+}
+
+// `options.imposition`: a layout name, or { layout, signature, sheet,
+// gutter, margin, marks, creep, paperStock, blanks, order }. The trim
+// size is checked against the sheet here so a render is never wasted.
+function resolveImpositionOptions(value, { width, height }) {
+  if (value === undefined || value === null || value === false) return null;
+  const source = typeof value === 'string' ? { layout: value } : value;
+  if (!IMPOSITION_LAYOUTS.includes(source.layout)) {
+    throw new RequestError(`Unknown imposition layout: ${source.layout}`, { supported: IMPOSITION_LAYOUTS });
+  }
+  const folded = source.layout === 'booklet' || source.layout === 'signature';
+
+  let signature = null;
+  if (source.layout === 'signature') {
+    signature = source.signature ?? 16;
+    if (!SIGNATURE_FOLDS[signature]) {
+      throw new RequestError(`imposition.signature must be one of ${Object.keys(SIGNATURE_FOLDS).join(', ')} pages`);
+    }
+  } else if (source.signature !== undefined) {
+    throw new RequestError('imposition.signature applies to the signature layout');
+  }
+
+  // Creep: explicit mm per sheet, or the caliper of a paper stock
+  let creep = 0;
+  if (source.creep !== undefined || source.paperStock !== undefined) {
+    if (source.layout !== 'booklet') {
+      throw new RequestError('imposition.creep and imposition.paperStock apply to the booklet layout');
+    }
+    if (source.creep !== undefined) {
+      if (typeof source.creep !== 'number' || !(source.creep >= 0 && source.creep <= 2)) {
+        throw new RequestError('imposition.creep must be 0-2 (mm per sheet)');
+      }
+      creep = source.creep;
+    } else {
+      const stock = paperStocks[source.paperStock];
+      if (!stock) {
+        throw new RequestError(`Unknown paper stock: ${source.paperStock}`, { supported: Object.keys(paperStocks) });
+      }
+      creep = stock.caliper;
+    }
+  }
+
+  const blanks = source.blanks ?? 'end';
+  if (!IMPOSITION_BLANKS.includes(blanks)) {
+    throw new RequestError(`imposition.blanks must be one of: ${IMPOSITION_BLANKS.join(', ')}`);
+  }
+  const order = source.order ?? 'sequential';
+  if (!IMPOSITION_ORDERS.includes(order)) {
+    throw new RequestError(`imposition.order must be one of: ${IMPOSITION_ORDERS.join(', ')}`);
+  }
+  if (folded && order !== 'sequential') {
+    throw new RequestError('imposition.order applies to the 2-up and 4-up layouts');
+  }
+
+  const options = {
+    layout: source.layout,
+    signature,
+    sheet: resolveSheetSize(source.sheet),
+    // Folded layouts butt pages together at the folds by default
+    gutter: resolveImpositionLength(source.gutter, folded ? 0 : 5, 'gutter'),
+    margin: resolveImpositionLength(source.margin, 10, 'margin'),
+    marks: source.marks !== false,
+    creep,
+    blanks,
+    order,
+  };
+  impositionGeometry(options, width, height);
+  return options;
+}
+
+// Folds a signature sheet and reads the pages off the stack. Each cell
+// gets the page (within the signature) printed on each side, whether it
+// goes on upside down, and which of its edges lies on the spine. Sides
+// are seen from the front; the back is turned over left to right.
+function foldSignature({ columns, rows, folds }) {
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      cells.push({ column, row, x: column + 0.5, y: row + 0.5, layer: 0, flipX: 1, flipY: 1 });
+    }
+  }
+
+  let width = columns;
+  let height = rows;
+  let layers = 1;
+  folds.forEach((fold, foldIndex) => {
+    const axis = fold === 'V' ? 'x' : 'y';
+    const mid = (fold === 'V' ? width : height) / 2;
+    for (const cell of cells) {
+      if (foldIndex === folds.length - 1) {
+        // Edge on the final fold, relative to the unfolded cell
+        const towardsFold = cell.x < mid ? 'right' : 'left';
+        cell.spine = cell.flipX > 0 ? towardsFold : (towardsFold === 'right' ? 'left' : 'right');
+      }
+      if (cell[axis] < mid) {
+        // The folded-over half lands on top, in reverse and face down
+        cell[axis] = mid - cell[axis];
+        cell.layer = layers - 1 - cell.layer;
+        if (axis === 'x') cell.flipX *= -1; else cell.flipY *= -1;
+      } else {
+        cell[axis] -= mid;
+        cell.layer += layers;
+      }
+    }
+    layers *= 2;
+    if (axis === 'x') width = mid; else height = mid;
+  });
+
+  // Layer n carries pages 2n+1 (uppermost face) and 2n+2. A page reads
+  // upright when its drawing, seen through the folds, is the identity;
+  // the only other outcome on a diagonal fold matrix is a half turn.
+  const orientation = (flipX, flipY) => {
+    if (flipX !== flipY) throw new Error('Signature fold produced a mirrored page');
+    return flipX < 0;
+  };
+  return cells.map((cell) => {
+    const faceUp = cell.flipX * cell.flipY > 0;
+    return {
+      column: cell.column,
+      row: cell.row,
+      spine: cell.spine,
+      front: faceUp ? cell.layer * 2 : cell.layer * 2 + 1,
+      back: faceUp ? cell.layer * 2 + 1 : cell.layer * 2,
+      // Both faces of a cell turn the same way once the back is turned over
+      rotate: faceUp ? orientation(cell.flipX, cell.flipY) : orientation(-cell.flipX, cell.flipY),
+    };
+  });
+}
+
+// Grid size and the column boundaries that are spine folds
+function impositionGrid(options) {
+  switch (options.layout) {
+    case '2-up': return { columns: 2, rows: 1, spines: new Set() };
+    case '4-up': return { columns: 2, rows: 2, spines: new Set() };
+    case 'booklet': return { columns: 2, rows: 1, spines: new Set([0]) };
+    default: {
+      const folds = SIGNATURE_FOLDS[options.signature];
+      const cells = foldSignature(folds);
+      const spines = new Set(cells.filter(cell => cell.row === 0 && cell.spine === 'right').map(cell => cell.column));
+      return { columns: folds.columns, rows: folds.rows, spines, cells };
+    }
+  }
+}
+
+// Cell offsets and sheet size in mm. No gutter opens across a spine fold.
+function impositionGeometry(options, pageWidth, pageHeight) {
+  const { columns, rows, spines, cells } = impositionGrid(options);
+  const xs = [0];
+  for (let column = 1; column < columns; column++) {
+    xs.push(xs[column - 1] + pageWidth + (spines.has(column - 1) ? 0 : options.gutter));
+  }
+  const ys = [0];
+  for (let row = 1; row < rows; row++) {
+    ys.push(ys[row - 1] + pageHeight + options.gutter);
+  }
+  const blockWidth = xs[columns - 1] + pageWidth;
+  const blockHeight = ys[rows - 1] + pageHeight;
+
+  let sheet;
+  if (!options.sheet) {
+    sheet = { name: null, width: blockWidth + options.margin * 2, height: blockHeight + options.margin * 2 };
+  } else {
+    const short = Math.min(options.sheet.width, options.sheet.height);
+    const long = Math.max(options.sheet.width, options.sheet.height);
+    const orientations = blockWidth > blockHeight
+      ? [{ width: long, height: short }, { width: short, height: long }]
+      : [{ width: short, height: long }, { width: long, height: short }];
+    const fit = orientations.find(size => size.width >= blockWidth - 0.01 && size.height >= blockHeight - 0.01);
+    if (!fit) {
+      const round = (mm) => Math.round(mm * 10) / 10;
+      throw new RequestError(
+        `The ${options.layout} layout of ${round(pageWidth)}x${round(pageHeight)}mm pages needs a ` +
+        `${round(blockWidth)}x${round(blockHeight)}mm sheet; ${options.sheet.name || 'the sheet'} is ` +
+        `${round(short)}x${round(long)}mm`,
+        { required: { width: round(blockWidth), height: round(blockHeight) } }
+      );
+    }
+    sheet = { name: options.sheet.name, ...fit };
+  }
+
+  return {
+    columns, rows, spines, cells, xs, ys, blockWidth, blockHeight, sheet,
+    left: (sheet.width - blockWidth) / 2,
+    top: (sheet.height - blockHeight) / 2,
+  };
+}
+
+// Interior page order with blank pages (null) padded to a multiple of
+// `multiple`, at the end or just before the back cover
+function padPages(pageCount, multiple, blanks) {
+  const pages = Array.from({ length: pageCount }, (_, index) => index);
+  const missing = (multiple - (pageCount % multiple)) % multiple;
+  const padding = new Array(missing).fill(null);
+  if (blanks === 'before-last' && pageCount > 1) {
+    pages.splice(pageCount - 1, 0, ...padding);
+  } else {
+    pages.push(...padding);
+  }
+  return { pages, blankPages: missing };
+}
+
+// Sheet sides in print order. Each cell is { column, row, page, rotate,
+// spine, creep, collation }; `page` is a 0-based interior page or null.
+function impositionSides(options, geometry, pageCount) {
+  const sides = [];
+
+  if (options.layout === '2-up' || options.layout === '4-up') {
+    const perSide = geometry.columns * geometry.rows;
+    const count = options.order === 'repeat' ? pageCount : Math.ceil(pageCount / perSide);
+    for (let side = 0; side < count; side++) {
+      const cells = [];
+      for (let slot = 0; slot < perSide; slot++) {
+        const page = options.order === 'repeat' ? side : side * perSide + slot;
+        cells.push({
+          column: slot % geometry.columns,
+          row: Math.floor(slot / geometry.columns),
+          page: page < pageCount ? page : null,
+        });
+      }
+      sides.push(cells);
+    }
+    return { sides, blankPages: 0 };
+  }
+
+  if (options.layout === 'booklet') {
+    const { pages, blankPages } = padPages(pageCount, 4, options.blanks);
+    const last = pages.length - 1;
+    // Sheet k from the outside: inner sheets are pushed out at the fore-edge
+    // by the sheets wrapped around them, so their pages move to the spine
+    for (let sheet = 0; sheet < pages.length / 4; sheet++) {
+      const creep = sheet * options.creep;
+      const cell = (column, index) => ({
+        column, row: 0, page: pages[index], spine: column === 0 ? 'right' : 'left', creep,
+      });
+      sides.push([cell(0, last - sheet * 2), cell(1, sheet * 2)]);
+      sides.push([cell(0, sheet * 2 + 1), cell(1, last - sheet * 2 - 1)]);
+    }
+    return { sides, blankPages };
+  }
+
+  const size = options.signature;
+  const { pages, blankPages } = padPages(pageCount, size, options.blanks);
+  const { columns } = geometry;
+  for (let signature = 0; signature < pages.length / size; signature++) {
+    const at = (page) => pages[signature * size + page];
+    const front = geometry.cells.map(cell => ({
+      column: cell.column, row: cell.row, page: at(cell.front), rotate: cell.rotate, spine: cell.spine,
+      folio: cell.front,
+    }));
+    // Turned left to right: columns and spine edges swap sides
+    const back = geometry.cells.map(cell => ({
+      column: columns - 1 - cell.column, row: cell.row, page: at(cell.back), rotate: cell.rotate,
+      spine: cell.spine === 'left' ? 'right' : 'left',
+      folio: cell.back,
+    }));
+    // The outer side carries the first and last pages; a collation mark
+    // straddles the spine between them, one step lower per signature
+    const outer = front.some(cell => cell.folio === 0) ? front : back;
+    const first = outer.find(cell => cell.folio === 0);
+    const lastPage = outer.find(cell => cell.folio === size - 1);
+    if (first.row === lastPage.row && Math.abs(first.column - lastPage.column) === 1) {
+      first.collation = signature;
+    }
+    sides.push(outer, outer === front ? back : front);
+  }
+  return { sides, blankPages };
+}
+
+function drawImpositionMarks(page, geometry, options, sheetHeight) {
+  const { xs, ys, columns, rows, left, top, blockWidth, blockHeight } = geometry;
+  const folded = options.layout === 'booklet' || options.layout === 'signature';
+  const offset = 2;
+  const length = Math.min(5, Math.min(left, top) - offset - 1);
+  if (length < 2) return false;
+
+  const pageWidth = blockWidth - xs[columns - 1];
+  const pageHeight = blockHeight - ys[rows - 1];
+  const pt = (mm) => mm * MM_TO_PT;
+  const toY = (mm) => sheetHeight - pt(top + mm);
+  const lineWidth = 0.25;
+
+  // Cut marks: every cell edge on n-up sheets, the block edges on folded ones
+  const cutXs = folded ? [0, blockWidth] : xs.flatMap(x => [x, x + pageWidth]);
+  const cutYs = folded ? [0, blockHeight] : ys.flatMap(y => [y, y + pageHeight]);
+  // Fold marks (dashed) run through the middle of every internal boundary
+  const foldXs = folded ? xs.slice(1).map((x, index) => (xs[index] + pageWidth + x) / 2) : [];
+  const foldYs = folded ? ys.slice(1).map((y, index) => (ys[index] + pageHeight + y) / 2) : [];
+
+  const vertical = (x, dashArray) => {
+    const px = pt(left + x);
+    page.drawLine({ start: { x: px, y: toY(-offset) }, end: { x: px, y: toY(-offset - length) }, thickness: lineWidth, color: REGISTRATION, dashArray });
+    page.drawLine({ start: { x: px, y: toY(blockHeight + offset) }, end: { x: px, y: toY(blockHeight + offset + length) }, thickness: lineWidth, color: REGISTRATION, dashArray });
+  };
+  const horizontal = (y, dashArray) => {
+    const py = toY(y);
+    page.drawLine({ start: { x: pt(left - offset), y: py }, end: { x: pt(left - offset - length), y: py }, thickness: lineWidth, color: REGISTRATION, dashArray });
+    page.drawLine({ start: { x: pt(left + blockWidth + offset), y: py }, end: { x: pt(left + blockWidth + offset + length), y: py }, thickness: lineWidth, color: REGISTRATION, dashArray });
+  };
+  for (const x of new Set(cutXs.map(x => Math.round(x * 100) / 100))) vertical(x);
+  for (const y of new Set(cutYs.map(y => Math.round(y * 100) / 100))) horizontal(y);
+  for (const x of foldXs) vertical(x, [3, 2]);
+  for (const y of foldYs) horizontal(y, [3, 2]);
+  return true;
+}
+
+// Imposes every page of `pdfBuffer` on new sheets. Catalog metadata and
+// the output intent are carried over, so PDF/X files stay identified.
+// Falls back to the unimposed PDF (with IMPOSITION_FAILED) if the actual
+// trim size no longer fits the sheet.
+async function imposePdf(pdfBuffer, options, { diagnostics }) {
+  const source = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const sourcePages = source.getPages();
+  const trim = sourcePages[0].getTrimBox();
+  const pageWidth = trim.width / MM_TO_PT;
+  const pageHeight = trim.height / MM_TO_PT;
+
+  let geometry;
+  try {
+    geometry = impositionGeometry(options, pageWidth, pageHeight);
+  } catch (error) {
+    if (!(error instanceof RequestError)) throw error;
+    reportIssue(diagnostics, 'IMPOSITION_FAILED', `${error.message}; returning single pages`);
+    return { pdf: pdfBuffer, stats: null };
+  }
+  if (sourcePages.some(page => {
+    const box = page.getTrimBox();
+    return Math.abs(box.width - trim.width) > 0.5 || Math.abs(box.height - trim.height) > 0.5;
+  })) {
+    addWarning(diagnostics, {
+      code: 'IMPOSITION_PAGE_SIZE',
+      message: 'Pages differ in trim size; they were scaled to the first page',
+    });
+  }
+
+  const { sides, blankPages } = impositionSides(options, geometry, sourcePages.length);
+  const { xs, ys, columns, rows, left, top, sheet } = geometry;
+
+  const sheetDoc = await PDFDocument.create({ updateMetadata: false });
+  sheetDoc.context.header = source.context.header;
+  const copier = PDFObjectCopier.for(source.context, sheetDoc.context);
+  for (const key of ['OutputIntents', 'Metadata', 'Lang']) {
+    const entry = source.catalog.get(PDFName.of(key));
+    if (entry) sheetDoc.catalog.set(PDFName.of(key), copier.copy(entry));
+  }
+  if (source.context.trailerInfo.Info) {
+    sheetDoc.context.trailerInfo.Info = copier.copy(source.context.trailerInfo.Info);
+  }
+
+  // Bleed is kept where there is room for it: half a gutter, or the
+  // sheet margin at the edge of the block. Never across a spine fold.
+  const gap = (index, count, offsets, size) => {
+    if (index < 0 || index >= count - 1) return null;
+    return offsets[index + 1] - offsets[index] - size;
+  };
+  const allowance = (bleed, space) => (space === null ? Math.min(bleed, top, left) : Math.min(bleed, space / 2));
+
+  const embedded = new Map();
+  const embed = async (index, box) => {
+    const key = `${index}:${box.left.toFixed(2)}:${box.bottom.toFixed(2)}:${box.right.toFixed(2)}:${box.top.toFixed(2)}`;
+    if (!embedded.has(key)) {
+      const [page] = await sheetDoc.embedPages([sourcePages[index]], [box]);
+      embedded.set(key, page);
+    }
+    return embedded.get(key);
+  };
+
+  const pt = (mm) => mm * MM_TO_PT;
+  const sheetWidth = pt(sheet.width);
+  const sheetHeight = pt(sheet.height);
+  let marksSkipped = false;
+
+  for (const cells of sides) {
+    const page = sheetDoc.addPage([sheetWidth, sheetHeight]);
+    page.setTrimBox(0, 0, sheetWidth, sheetHeight);
+    page.setBleedBox(0, 0, sheetWidth, sheetHeight);
+
+    for (const cell of cells) {
+      if (cell.page === null) continue;
+      const sourcePage = sourcePages[cell.page];
+      const pageTrim = sourcePage.getTrimBox();
+      const bleedBox = sourcePage.getBleedBox();
+      const bleed = Math.max(0, (pageTrim.x - bleedBox.x) / MM_TO_PT);
+
+      // Physical edges of the cell on the sheet, in mm
+      const spine = cell.spine || null;
+      const edge = (side, space) => (spine === side ? 0 : allowance(bleed, space));
+      const allowLeft = edge('left', gap(cell.column - 1, columns, xs, pageWidth));
+      const allowRight = edge('right', gap(cell.column, columns, xs, pageWidth));
+      const allowTop = edge('top', gap(cell.row - 1, rows, ys, pageHeight));
+      const allowBottom = edge('bottom', gap(cell.row, rows, ys, pageHeight));
+      // Creep moves the content toward the spine
+      const shift = (cell.creep || 0) * (spine === 'right' ? 1 : spine === 'left' ? -1 : 0);
+
+      // The same region in the page's own coordinates (a half turn swaps sides)
+      const [l, r, b, t, dx] = cell.rotate
+        ? [allowRight, allowLeft, allowTop, allowBottom, -shift]
+        : [allowLeft, allowRight, allowBottom, allowTop, shift];
+      const scale = pageTrim.width / pt(pageWidth);
+      const box = {
+        left: pageTrim.x - pt(l + dx) * scale,
+        right: pageTrim.x + pageTrim.width + pt(r - dx) * scale,
+        bottom: pageTrim.y - pt(b) * scale,
+        top: pageTrim.y + pageTrim.height + pt(t) * scale,
+      };
+      const form = await embed(cell.page, box);
+
+      const x = pt(left + xs[cell.column]);
+      const y = sheetHeight - pt(top + ys[cell.row] + pageHeight);
+      const width = pt(pageWidth + allowLeft + allowRight);
+      const height = pt(pageHeight + allowTop + allowBottom);
+      if (cell.rotate) {
+        page.drawPage(form, {
+          x: x + pt(pageWidth + allowRight), y: y + pt(pageHeight + allowTop), width, height, rotate: degrees(180),
+        });
+      } else {
+        page.drawPage(form, { x: x - pt(allowLeft), y: y - pt(allowBottom), width, height });
+      }
+
+      if (cell.collation !== undefined) {
+        const step = 4;
+        const steps = Math.max(1, Math.floor((pageHeight - 10) / step));
+        const offset = 5 + (cell.collation % steps) * step;
+        const spineX = spine === 'right' ? x + pt(pageWidth) : x;
+        page.drawRectangle({
+          x: spineX - pt(1.5),
+          y: cell.rotate ? y + pt(offset) : y + pt(pageHeight - offset - step),
+          width: pt(3),
+          height: pt(step),
+          color: COLLATION_BLACK,
+        });
+      }
+    }
+
+    if (options.marks && !drawImpositionMarks(page, geometry, options, sheetHeight)) marksSkipped = true;
+  }
+
+  if (marksSkipped) {
+    addWarning(diagnostics, {
+      code: 'IMPOSITION_MARKS_SKIPPED',
+      message: 'The sheet margin is too narrow for cut and fold marks',
+    });
+  }
+
+  const round = (mm) => Math.round(mm * 10) / 10;
+  return {
+    pdf: Buffer.from(await sheetDoc.save({ useObjectStreams: false })),
+    stats: {
+      layout: options.layout,
+      ...(options.signature && { signature: options.signature, signatures: sides.length / 2 }),
+      sheets: ['booklet', 'signature'].includes(options.layout) ? sides.length / 2 : sides.length,
+      sides: sides.length,
+      blankPages,
+      sheet: { ...(sheet.name && { name: sheet.name }), width: round(sheet.width), height: round(sheet.height) },
+      ...(options.creep > 0 && { creep: round((sides.length / 2 - 1) * options.creep) }),
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// FONT EMBEDDING CSS
+// ═══════════════════════════════════════════════════════════════════
+// Families bundled through @fontsource packages (see CONFIG.fontDir).
+// Each style maps to one @fontsource CSS file: "<weight>" or "<weight>-italic".
+const LOCAL_FONTS = [
+  { family: 'Geist', package: 'geist', styles: ['400', '500', '600', '700'] },
+  { family: 'Outfit', package: 'outfit', styles: ['400', '500', '600', '700'] },
+  { family: 'Quicksand', package: 'quicksand', styles: ['400', '500', '600', '700'] },
+  { family: 'Spectral', package: 'spectral', styles: ['400', '500', '600', '700'] },
+  { family: 'Crimson Pro', package: 'crimson-pro', styles: ['400', '600', '400-italic'] },
+];
+
+const MISSING_FONT_FAMILIES = [];
+
+// Reads the @fontsource stylesheets once at startup and points their
+// url(./files/...) sources at LOCAL_ORIGIN. Only woff2 is kept.
+function buildLocalFontCss() {
+  const rules = [];
+  for (const font of LOCAL_FONTS) {
+    const packageDir = path.join(CONFIG.fontDir, font.package);
+    const stylesheets = font.styles.map(style => path.join(packageDir, `${style}.css`));
+    if (!stylesheets.every(file => fs.existsSync(file))) {
+      console.warn(`[Fonts] ${font.family} not found in ${packageDir}`);
+      MISSING_FONT_FAMILIES.push(font.family);
+      continue;
+    }
+    for (const file of stylesheets) {
+      rules.push(fs.readFileSync(file, 'utf8')
+        .replace(/url\(\.\/files\/([^)]+\.woff2)\) format\('woff2'\)(, url\([^)]+\) format\('woff'\))?/g,
+          (match, name) => `url(${LOCAL_ORIGIN}/fonts/${font.package}/files/${name}) format('woff2')`));
+    }
+  }
+  return rules.join('\n');
+}
+
+const FONT_CSS = `
+  ${buildLocalFontCss()}
+  
+  :root {
+    --font-sans: 'Geist', 'Inter', system-ui, -apple-system, sans-serif;
+    --font-display: 'Outfit', 'Geist', sans-serif;
+    --font-heading: 'Quicksand', 'Geist', sans-serif;
+    --font-serif: 'Spectral', 'Georgia', serif;
+    --font-body: 'Crimson Pro', 'Spectral', serif;
+  }
+`;
+
+// ═══════════════════════════════════════════════════════════════════
+// FONT REGISTRY
+// Licensed typefaces uploaded once, stored in CONFIG.fontRegistryDir and
+// referenced per request with `options.fonts: ['Family Name']`
+// ═══════════════════════════════════════════════════════════════════
+const FONT_REGISTRY_MANIFEST = path.join(CONFIG.fontRegistryDir, 'fonts.json');
+
+const FONT_FORMATS = {
+  ttf: { extension: '.ttf', css: 'truetype' },
+  otf: { extension: '.otf', css: 'opentype' },
+  woff2: { extension: '.woff2', css: 'woff2' },
+};
+
+const FONT_FAMILY_PATTERN = /^[\p{L}\p{N} _.-]{1,64}$/u;
+
+let fontRegistry = [];
+
+function loadFontRegistry() {
+  try {
+    if (!fs.existsSync(CONFIG.fontRegistryDir)) {
+      fs.mkdirSync(CONFIG.fontRegistryDir, { recursive: true });
+    }
+    if (fs.existsSync(FONT_REGISTRY_MANIFEST)) {
+      fontRegistry = JSON.parse(fs.readFileSync(FONT_REGISTRY_MANIFEST, 'utf8'));
+    }
+    console.log(`[Fonts] Registry loaded: ${fontRegistry.length} face(s)`);
+  } catch (err) {
+    console.error('[Fonts] Failed to load font registry:', err.message);
+    fontRegistry = [];
+  }
+}
+
+// Faces with identical files share one file on disk
+function removeUnreferencedFontFile(face) {
+  if (fontRegistry.some(f => f.file === face.file)) return;
+  const filePath = path.join(CONFIG.fontRegistryDir, face.file);
+  localFileCache.evict(filePath);
+  if (fs.existsSync(filePath)) {
+    try { fs.unlinkSync(filePath); } catch (e) { /* ignore */ }
+  }
+}
+
+function saveFontRegistry() {
+  const tempPath = `${FONT_REGISTRY_MANIFEST}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(fontRegistry, null, 2));
+  fs.renameSync(tempPath, FONT_REGISTRY_MANIFEST);
+}
+
+// Identifies the font container from its magic number
+function detectFontFormat(buffer) {
+  if (buffer.length < 12) return null;
+  const tag = buffer.toString('latin1', 0, 4);
+  if (tag === 'wOF2') return 'woff2';
+  if (tag === 'OTTO') return 'otf';
+  if (buffer.readUInt32BE(0) === 0x00010000 || tag === 'true') return 'ttf';
+  return null;
+}
+
+// PostScript name (name table, nameID 6) of a TTF/OTF file, used to match
+// embedded PDF fonts back to registry faces. WOFF2 is compressed: null.
+function readPostScriptName(buffer) {
+  try {
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      if (buffer.toString('latin1', record, record + 4) !== 'name') continue;
+      const table = buffer.readUInt32BE(record + 8);
+      const count = buffer.readUInt16BE(table + 2);
+      const strings = table + buffer.readUInt16BE(table + 4);
+      for (let n = 0; n < count; n++) {
+        const entry = table + 6 + n * 12;
+        if (buffer.readUInt16BE(entry + 6) !== 6) continue;
+        const platform = buffer.readUInt16BE(entry);
+        const length = buffer.readUInt16BE(entry + 8);
+        const offset = strings + buffer.readUInt16BE(entry + 10);
+        const raw = buffer.subarray(offset, offset + length);
+        // Windows/Unicode platforms store UTF-16BE, Mac stores Latin-1
+        return platform === 1 ? raw.toString('latin1') : Buffer.from(raw).swap16().toString('utf16le');
+      }
+    }
+  } catch {
+    // Malformed table directory: fall back to family-name matching
+  }
+  return null;
+}
+
+const normalizeFontName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function findRegisteredFamily(family) {
+  const wanted = normalizeFontName(family);
+  return fontRegistry.filter(face => normalizeFontName(face.family) === wanted);
+}
+
+// Turns `options.fonts` into @font-face rules served from LOCAL_ORIGIN.
+// Unknown families are a client error.
+function resolveRegisteredFonts(families) {
+  if (families === undefined || families === null) return { families: [], css: '' };
+  if (!Array.isArray(families) || !families.every(f => typeof f === 'string')) {
+    throw new RequestError('options.fonts must be an array of registered family names');
+  }
+
+  const unknown = families.filter(family => findRegisteredFamily(family).length === 0);
+  if (unknown.length) {
+    throw new RequestError(`Unknown font families: ${unknown.join(', ')}`, {
+      registered: [...new Set(fontRegistry.map(face => face.family))],
+    });
+  }
+
+  const rules = families.flatMap(findRegisteredFamily).map(face => `
+  @font-face {
+    font-family: '${face.family.replace(/'/g, "\\'")}';
+    src: url(${LOCAL_ORIGIN}/registry/${face.file}) format('${FONT_FORMATS[face.format].css}');
+    font-weight: ${face.weight};
+    font-style: ${face.style};
+    font-display: block;
+  }`);
+
+  return { families, css: rules.join('\n') };
+}
+
+// Lists every font dictionary in the PDF with its embedding status.
+// Subset prefixes ("ABCDEF+") are stripped from the names.
+async function inspectPdfFonts(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const fonts = new Map();
+
+  for (const [, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFDict)) continue;
+    if (object.lookup(PDFName.of('Type')) !== PDFName.of('Font')) continue;
+
+    const subtype = object.lookup(PDFName.of('Subtype'))?.toString();
+    // Type0 parents are reported through their descendant CIDFont
+    if (subtype === '/Type0') continue;
+
+    const baseFont = object.lookup(PDFName.of('BaseFont'));
+    const name = baseFont ? baseFont.decodeText?.() || baseFont.toString().replace(/^\//, '') : 'Type3';
+    const descriptor = object.lookup(PDFName.of('FontDescriptor'));
+    const embedded = subtype === '/Type3' || (descriptor instanceof PDFDict &&
+      ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key))));
+
+    const cleanName = name.replace(/^[A-Z]{6}\+/, '');
+    fonts.set(cleanName, (fonts.get(cleanName) || false) || embedded);
+  }
+
+  return [...fonts.entries()].map(([name, embedded]) => ({ name, embedded }));
+}
+
+// Which requested registry families ended up embedded, and which fell back
+async function buildFontReport(pdfBuffer, requestedFamilies) {
+  const pdfFonts = await inspectPdfFonts(pdfBuffer);
+  const report = {
+    embedded: pdfFonts.filter(f => f.embedded).map(f => f.name),
+    notEmbedded: pdfFonts.filter(f => !f.embedded).map(f => f.name),
+    fallback: [],
+  };
+
+  for (const family of requestedFamilies) {
+    const prefixes = [family, ...findRegisteredFamily(family).map(face => face.postScriptName)]
+      .filter(Boolean)
+      .map(normalizeFontName);
+    const used = pdfFonts.some(f => f.embedded &&
+      prefixes.some(prefix => normalizeFontName(f.name).startsWith(prefix)));
+    if (!used) report.fallback.push(family);
+  }
+
+  return report;
+}
+
+loadFontRegistry();
+
+// ═══════════════════════════════════════════════════════════════════
+// ASSET STORE
+// Images and SVGs uploaded once to CONFIG.assetDir and named by the
+// SHA-256 of their content. `asset://<sha256>` in html or css becomes a
+// LOCAL_ORIGIN URL answered from disk, so renders neither carry the image
+// in the request body nor fetch it from the network. HTML assets are book
+// parts, referenced from /generate-book manifests.
+// ═══════════════════════════════════════════════════════════════════
+const ASSET_MANIFEST = path.join(CONFIG.assetDir, 'assets.json');
+
+const ASSET_TYPES = {
+  png: { extension: '.png', contentType: 'image/png' },
+  jpeg: { extension: '.jpg', contentType: 'image/jpeg' },
+  gif: { extension: '.gif', contentType: 'image/gif' },
+  webp: { extension: '.webp', contentType: 'image/webp' },
+  svg: { extension: '.svg', contentType: 'image/svg+xml' },
+  html: { extension: '.html', contentType: 'text/html' },
+};
+
+const ASSET_URL_PATTERN = /asset:\/\/([0-9a-fA-F]{64})/g;
+
+let assetRegistry = [];
+
+function loadAssetRegistry() {
+  try {
+    if (!fs.existsSync(CONFIG.assetDir)) {
+      fs.mkdirSync(CONFIG.assetDir, { recursive: true });
+    }
+    if (fs.existsSync(ASSET_MANIFEST)) {
+      assetRegistry = JSON.parse(fs.readFileSync(ASSET_MANIFEST, 'utf8'));
+    }
+    console.log(`[Assets] Store loaded: ${assetRegistry.length} asset(s)`);
+  } catch (err) {
+    console.error('[Assets] Failed to load asset store:', err.message);
+    assetRegistry = [];
+  }
+}
+
+function saveAssetRegistry() {
+  const tempPath = `${ASSET_MANIFEST}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(assetRegistry, null, 2));
+  fs.renameSync(tempPath, ASSET_MANIFEST);
+}
+
+// Identifies the image from its magic number; SVG is XML whose root
+// element is <svg>
+function detectAssetType(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  const tag = buffer.toString('latin1', 0, 12);
+  if (tag.startsWith('GIF87a') || tag.startsWith('GIF89a')) return 'gif';
+  if (tag.startsWith('RIFF') && tag.slice(8) === 'WEBP') return 'webp';
+  const head = buffer.toString('utf8', 0, 4096).replace(/^\uFEFF/, '');
+  if (/^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(head)) return 'svg';
+  return null;
+}
+
+// Rewrites asset:// references to the URLs request interception serves.
+// Unknown hashes are left to 404, which the render reports.
+const resolveAssetUrls = (text) =>
+  text.replace(ASSET_URL_PATTERN, (match, id) => `${LOCAL_ORIGIN}/assets/${id.toLowerCase()}`);
+
+// Assets never change under their hash, so recently used ones are kept
+// in memory up to CONFIG.assetCacheBytes
+const assetCache = createFileCache(CONFIG.assetCacheBytes);
+
+const readAssetFile = (filePath) => assetCache.read(filePath);
+const evictAssetFile = (filePath) => assetCache.evict(filePath);
+
+loadAssetRegistry();
+
+// ═══════════════════════════════════════════════════════════════════
+// PAGED.JS CSS EXTENSIONS
+// Professional print CSS that Paged.js enables
+// ═══════════════════════════════════════════════════════════════════
+const PAGEDJS_CSS = `
+  /* Paged.js CSS Paged Media Extensions */
+  
+  /* Margins, running heads and folios come from the page template */
+  
+  /* Chapter breaks always start on right page */
+  .chapter-start {
+    break-before: right;
+    page-break-before: right;
+  }
+  
+  /* Prevent orphans and widows (typographic best practice) */
+  p {
+    orphans: 2;
+    widows: 2;
+  }
+  
+  /* Keep headings with following content */
+  h1, h2, h3, h4, h5, h6 {
+    break-after: avoid;
+    page-break-after: avoid;
+  }
+  
+  /* Prevent breaks inside important elements */
+  .block, .callout, .image-block, table {
+    break-inside: avoid;
+    page-break-inside: avoid;
+  }
+  
+  /* Footnotes: <span class="footnote"> moves to the foot of its page.
+     Notes too long for the page continue under the rule on the next. */
+  .footnote {
+    float: footnote;
+    font-size: 8pt;
+    line-height: 1.3;
+    text-align: left;
+    text-indent: 0;
+  }
+  
+  /* A note referenced again: the later calls link back to it */
+  .footnote-ref {
+    color: inherit;
+    text-decoration: none;
+  }
+  
+  /* Sidenotes sit in the outside margin, which must be wide enough */
+  .sidenote {
+    float: right;
+    clear: right;
+    width: var(--sidenote-width, 11mm);
+    margin-right: calc(-1 * var(--sidenote-width, 11mm) - 3mm);
+    font-size: 7pt;
+    line-height: 1.25;
+  }
+  
+  .pagedjs_left_page .sidenote {
+    float: left;
+    clear: left;
+    margin-right: 0;
+    margin-left: calc(-1 * var(--sidenote-width, 11mm) - 3mm);
+  }
+  
+  /* Cross-references (clickable with options.navigation) */
   a.page-ref::after {
     content: " (page " target-counter(attr(href), page) ")";
   }
-`;
+`;
+
+// ═══════════════════════════════════════════════════════════════════
+// PAGE TEMPLATES
+// Named page layouts (margins, running heads, folios) turned into the
+// @page rules Paged.js lays out with. Built-ins ship with the service;
+// custom templates live in CONFIG.templateDir, one immutable entry per
+// version, and are selected with `options.template`.
+// ═══════════════════════════════════════════════════════════════════
+const TEMPLATE_MANIFEST = path.join(CONFIG.templateDir, 'templates.json');
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const HEAD_SOURCES = ['title', 'author', 'chapter', 'section', 'metadata-title', 'metadata-author', 'none'];
+const HEAD_POSITIONS = ['outside', 'center', 'inside'];
+const FOLIO_POSITIONS = ['bottom-center', 'bottom-outside', 'top-outside', 'top-center', 'none'];
+const FOLIO_STYLES = ['decimal', 'lower-roman', 'upper-roman', 'decimal-leading-zero'];
+const MAX_TEMPLATE_CSS_LENGTH = 64 * 1024;
+
+// `classic` is the layout PAGEDJS_CSS used to hard-code, and stays the default
+const BUILT_IN_TEMPLATES = {
+  classic: {
+    description: 'Mirror margins, 40 mm first-page drop, author and title heads, centred folio',
+    size: null,
+    margins: { top: 20, bottom: 20, inner: 25, outer: 15 },
+    gutter: 0,
+    firstPageTop: 40,
+    mirror: true,
+    runningHeads: { verso: 'author', recto: 'title', position: 'outside' },
+    folio: { position: 'bottom-center', style: 'decimal' },
+    frontMatter: null,
+    css: '',
+  },
+  'trade-paperback': {
+    description: '6 x 9 in trade paperback: centred title and chapter heads, outside folio, roman front matter',
+    size: { width: 152, height: 229 },
+    margins: { top: 18, bottom: 22, inner: 22, outer: 16 },
+    gutter: 0,
+    firstPageTop: 60,
+    mirror: true,
+    runningHeads: { verso: 'title', recto: 'chapter', position: 'center' },
+    folio: { position: 'bottom-outside', style: 'decimal' },
+    frontMatter: { style: 'lower-roman' },
+    css: '',
+  },
+  academic: {
+    description: 'Royal octavo monograph: chapter and section heads, folio at the top outside corner',
+    size: { width: 156, height: 234 },
+    margins: { top: 22, bottom: 24, inner: 24, outer: 20 },
+    gutter: 0,
+    firstPageTop: null,
+    mirror: true,
+    runningHeads: { verso: 'chapter', recto: 'section', position: 'inside' },
+    folio: { position: 'top-outside', style: 'decimal' },
+    frontMatter: { style: 'lower-roman' },
+    css: '',
+  },
+  'a4-report': {
+    description: 'Single-sided A4 report: document title head and folio on the right',
+    size: { width: 210, height: 297 },
+    margins: { top: 25, bottom: 25, inner: 30, outer: 20 },
+    gutter: 0,
+    firstPageTop: null,
+    mirror: false,
+    runningHeads: { verso: 'none', recto: 'metadata-title', position: 'outside' },
+    folio: { position: 'bottom-outside', style: 'decimal' },
+    frontMatter: null,
+    css: '',
+  },
+  magazine: {
+    description: 'Magazine page: tight margins, publication and section heads, justified text',
+    size: { width: 210, height: 280 },
+    margins: { top: 15, bottom: 18, inner: 18, outer: 12 },
+    gutter: 0,
+    firstPageTop: null,
+    mirror: true,
+    runningHeads: { verso: 'metadata-title', recto: 'section', position: 'outside' },
+    folio: { position: 'bottom-outside', style: 'decimal' },
+    frontMatter: null,
+    css: `
+  p {
+    text-align: justify;
+    hyphens: auto;
+  }`,
+  },
+};
+
+const TEMPLATE_FIELDS = [...Object.keys(BUILT_IN_TEMPLATES.classic)];
+
+let templateRegistry = [];
+
+function loadTemplateRegistry() {
+  try {
+    if (!fs.existsSync(CONFIG.templateDir)) {
+      fs.mkdirSync(CONFIG.templateDir, { recursive: true });
+    }
+    if (fs.existsSync(TEMPLATE_MANIFEST)) {
+      templateRegistry = JSON.parse(fs.readFileSync(TEMPLATE_MANIFEST, 'utf8'));
+    }
+    console.log(`[Templates] Registry loaded: ${templateRegistry.length} version(s)`);
+  } catch (err) {
+    console.error('[Templates] Failed to load template registry:', err.message);
+    templateRegistry = [];
+  }
+}
+
+function saveTemplateRegistry() {
+  const tempPath = `${TEMPLATE_MANIFEST}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(templateRegistry, null, 2));
+  fs.renameSync(tempPath, TEMPLATE_MANIFEST);
+}
+
+// Every live version of a template, oldest first; built-ins have one.
+// Deleted versions keep their number so it is never reused.
+function listTemplateVersions(name) {
+  if (BUILT_IN_TEMPLATES[name]) {
+    return [{ name, version: 1, builtIn: true, description: BUILT_IN_TEMPLATES[name].description, definition: BUILT_IN_TEMPLATES[name] }];
+  }
+  return templateRegistry.filter(entry => entry.name === name && !entry.deletedAt).sort((a, b) => a.version - b.version);
+}
+
+function listTemplateNames() {
+  const custom = templateRegistry.filter(entry => !entry.deletedAt).map(entry => entry.name);
+  return [...Object.keys(BUILT_IN_TEMPLATES), ...new Set(custom)];
+}
+
+const isLength = (value, max) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Applies `source` over a complete definition and validates the result.
+// Nested objects merge one level deep, so { margins: { top: 30 } } works.
+function buildTemplateDefinition(source, base, field = 'template') {
+  if (!isPlainObject(source)) {
+    throw new RequestError(`${field} must be an object`);
+  }
+  const unknown = Object.keys(source).filter(key => !TEMPLATE_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new RequestError(`Unknown ${field} fields: ${unknown.join(', ')}`, { supported: TEMPLATE_FIELDS });
+  }
+
+  const definition = { ...base };
+  for (const [key, value] of Object.entries(source)) {
+    definition[key] = isPlainObject(value) && isPlainObject(base[key]) ? { ...base[key], ...value } : value;
+  }
+
+  const { size, margins, gutter, firstPageTop, mirror, runningHeads, folio, css } = definition;
+  if (size !== null && !(isPlainObject(size) && isLength(size.width, 1000) && isLength(size.height, 1000) && size.width > 0 && size.height > 0)) {
+    throw new RequestError(`${field}.size must be null or { width, height } in mm`);
+  }
+  if (!isPlainObject(margins) || !['top', 'bottom', 'inner', 'outer'].every(side => isLength(margins[side], 100))) {
+    throw new RequestError(`${field}.margins needs top, bottom, inner and outer, each 0-100 mm`);
+  }
+  if (!isLength(gutter, 50)) {
+    throw new RequestError(`${field}.gutter must be 0-50 mm`);
+  }
+  if (firstPageTop !== null && !isLength(firstPageTop, 150)) {
+    throw new RequestError(`${field}.firstPageTop must be null or 0-150 mm`);
+  }
+  if (typeof mirror !== 'boolean') {
+    throw new RequestError(`${field}.mirror must be a boolean`);
+  }
+  if (!isPlainObject(runningHeads) || !HEAD_SOURCES.includes(runningHeads.verso) || !HEAD_SOURCES.includes(runningHeads.recto)) {
+    throw new RequestError(`${field}.runningHeads.verso and .recto must be one of: ${HEAD_SOURCES.join(', ')}`);
+  }
+  if (!HEAD_POSITIONS.includes(runningHeads.position)) {
+    throw new RequestError(`Unknown ${field}.runningHeads.position: ${runningHeads.position}`, { supported: HEAD_POSITIONS });
+  }
+  if (!isPlainObject(folio) || !FOLIO_POSITIONS.includes(folio.position)) {
+    throw new RequestError(`Unknown ${field}.folio.position: ${folio?.position}`, { supported: FOLIO_POSITIONS });
+  }
+  if (!FOLIO_STYLES.includes(folio.style)) {
+    throw new RequestError(`Unknown ${field}.folio.style: ${folio.style}`, { supported: FOLIO_STYLES });
+  }
+  if (definition.frontMatter === false) definition.frontMatter = null;
+  if (definition.frontMatter !== null && !(isPlainObject(definition.frontMatter) && FOLIO_STYLES.includes(definition.frontMatter.style))) {
+    throw new RequestError(`${field}.frontMatter must be null or { style } with one of: ${FOLIO_STYLES.join(', ')}`);
+  }
+  if (typeof css !== 'string' || css.length > MAX_TEMPLATE_CSS_LENGTH || css.includes('</')) {
+    throw new RequestError(`${field}.css must be a string of at most ${MAX_TEMPLATE_CSS_LENGTH} characters without "</"`);
+  }
+  if (typeof definition.description !== 'string' || definition.description.length > 200) {
+    throw new RequestError(`${field}.description must be a string of at most 200 characters`);
+  }
+
+  const boxes = templateMarginBoxes(definition);
+  for (const side of ['verso', 'recto']) {
+    if (runningHeads[side] !== 'none' && boxes.head[side] === boxes.folio[side]) {
+      throw new RequestError(`${field}.runningHeads.position and ${field}.folio.position both use the ${boxes.folio[side]} margin box`);
+    }
+  }
+
+  return definition;
+}
+
+// Margin boxes for heads and folio; without mirroring every page is a recto
+function templateMarginBoxes({ runningHeads, folio }) {
+  const head = {
+    outside: { verso: 'top-left', recto: 'top-right' },
+    center: { verso: 'top-center', recto: 'top-center' },
+    inside: { verso: 'top-right', recto: 'top-left' },
+  }[runningHeads.position];
+  const folioBoxes = {
+    'bottom-center': { verso: 'bottom-center', recto: 'bottom-center' },
+    'bottom-outside': { verso: 'bottom-left', recto: 'bottom-right' },
+    'top-outside': { verso: 'top-left', recto: 'top-right' },
+    'top-center': { verso: 'top-center', recto: 'top-center' },
+    none: { verso: null, recto: null },
+  }[folio.position];
+  return { head, folio: folioBoxes };
+}
+
+// `options.template`: a name, or { name, version, params }
+function resolveTemplate(value) {
+  if (value === undefined || value === null) {
+    return { name: 'classic', version: 1, definition: BUILT_IN_TEMPLATES.classic, requested: false };
+  }
+  const source = typeof value === 'string' ? { name: value } : value;
+  if (!isPlainObject(source)) {
+    throw new RequestError('template must be a template name or { name, version, params }');
+  }
+
+  const name = source.name ?? 'classic';
+  const versions = listTemplateVersions(name);
+  if (!versions.length) {
+    throw new RequestError(`Unknown template: ${name}`, { available: listTemplateNames() });
+  }
+  const entry = source.version === undefined
+    ? versions[versions.length - 1]
+    : versions.find(candidate => candidate.version === source.version);
+  if (!entry) {
+    throw new RequestError(`Unknown version ${source.version} of template ${name}`, { versions: versions.map(v => v.version) });
+  }
+
+  const definition = source.params === undefined
+    ? entry.definition
+    : buildTemplateDefinition(source.params, entry.definition, 'template.params');
+  return { name, version: entry.version, definition, requested: true };
+}
+
+// CSS string literal; "<" is escaped so the value can't close <style>
+const cssString = (value) => `"${String(value).replace(/[\\"]/g, '\\$&').replace(/[\r\n]+/g, ' ').replace(/</g, '\\3c ')}"`;
+
+const HEAD_STYLE = `
+      font-family: var(--font-heading);
+      font-size: 9pt;
+      text-transform: uppercase;
+      letter-spacing: 0.1em;
+      color: #777;`;
+
+const FOLIO_STYLE = `
+      font-family: var(--font-serif);
+      font-size: 10pt;`;
+
+const STRING_SETS = {
+  title: 'h1.book-title {\n    string-set: title content(text);\n  }',
+  author: '.author-name {\n    string-set: author content(text);\n  }',
+  chapter: 'h1 {\n    string-set: chapter content(text);\n  }',
+  section: 'h2 {\n    string-set: section content(text);\n  }',
+};
+
+// @page rules for a template. Everything for the unnamed @page goes in
+// one block: Paged.js keeps only the last block's @footnote rules. The
+// size is the trim; Paged.js adds the bleed around it on the sheet.
+function buildTemplateCss({ definition }, metadata = {}, { width = 152, height = 229, bleed = 0 } = {}) {
+  const { margins, gutter, firstPageTop, mirror, runningHeads, folio, frontMatter } = definition;
+  const inner = margins.inner + gutter;
+  const rectoMargins = `${margins.top}mm ${margins.outer}mm ${margins.bottom}mm ${inner}mm`;
+  const versoMargins = `${margins.top}mm ${inner}mm ${margins.bottom}mm ${margins.outer}mm`;
+  const boxes = templateMarginBoxes(definition);
+
+  const headContent = (source) => ({
+    'metadata-title': cssString(metadata.title || ''),
+    'metadata-author': cssString(metadata.author || ''),
+    none: null,
+  }[source] ?? (source in STRING_SETS ? `string(${source})` : null));
+  const folioContent = (style) => (style === 'decimal' ? 'counter(page)' : `counter(page, ${style})`);
+  const box = (name, content, style) => (name && content ? `
+    @${name} {
+      content: ${content};${style}
+    }` : '');
+  const marginBoxes = (side, folioStyle, heads = true) => [
+    heads ? box(boxes.head[side], headContent(runningHeads[side]), HEAD_STYLE) : box(boxes.head[side], 'none', ''),
+    box(boxes.folio[side], folioContent(folioStyle), FOLIO_STYLE),
+  ].join('');
+
+  const sides = mirror ? ['verso', 'recto'] : ['recto'];
+  const pseudo = { verso: ':left', recto: ':right' };
+  const rules = [`
+  @page {
+    size: ${width}mm ${height}mm;
+    bleed: ${bleed}mm;
+    margin: ${rectoMargins};${mirror ? '' : marginBoxes('recto', folio.style)}
+
+    /* Footnote area with a separator rule */
+    @footnote {
+      margin-top: 4mm;
+      padding-top: 2mm;
+      border-top: 0.5pt solid #777;
+    }
+  }`];
+
+  if (mirror) {
+    rules.push(`
+  @page:left {
+    margin: ${versoMargins};${marginBoxes('verso', folio.style)}
+  }
+  
+  @page:right {
+    margin: ${rectoMargins};${marginBoxes('recto', folio.style)}
+  }`);
+  }
+  if (firstPageTop !== null) {
+    rules.push(`
+  @page:first {
+    margin-top: ${firstPageTop}mm;
+  }`);
+  }
+
+  // Front matter: its own named page with roman folios and no heads;
+  // numbering restarts at 1 on the first element after it
+  if (frontMatter) {
+    for (const side of sides) {
+      rules.push(`
+  @page front-matter${mirror ? pseudo[side] : ''} {${marginBoxes(side, frontMatter.style, false)}
+  }`);
+    }
+    rules.push(`
+  .front-matter {
+    page: front-matter;
+  }
+  
+  .front-matter + :not(.front-matter) {
+    counter-reset: page 1;
+  }`);
+  }
+
+  const sources = new Set(sides.map(side => runningHeads[side]));
+  for (const [source, rule] of Object.entries(STRING_SETS)) {
+    if (sources.has(source)) rules.push(`\n  ${rule}`);
+  }
+
+  return `\n  /* Page template */${rules.join('\n  ')}\n${definition.css ? `${definition.css}\n` : ''}`;
+}
+
+loadTemplateRegistry();
+
+// ═══════════════════════════════════════════════════════════════════
+// HEALTH CHECK ENDPOINT
+// ═══════════════════════════════════════════════════════════════════
+app.get('/health', (req, res) => res.json({ 
+  status: 'ok',
+  version: '3.1.0',
+  engine: 'Puppeteer/Chromium + Paged.js + Ghostscript',
+  capabilities: ['generate', 'generate-cover', 'generate-book', 'preview', 'analyze', 'preflight', 'jobs', 'fonts', 'templates', 'assets', 'imposition', 'accessible-pdf', 'input-formats', 'cmyk-conversion', 'paged-media'],
+  features: {
+    pagedJs: CONFIG.enablePagedJs,
+    cmykConversion: CONFIG.enableCmykConversion && ghostscriptAvailable,
+    pdfXStandard: describeDefaultPdfxStandard(),
+    pdfXStandards: Object.values(PDFX_STANDARDS).map(s => s.version),
+    pdfXOutputIntent: CONFIG.pdfXOutputIntent,
+    outputIntents: listInstalledOutputIntents(),
+    ghostscriptAvailable,
+    registeredFonts: fontRegistry.length,
+    storedAssets: assetRegistry.length,
+    resourceAllowlist: CONFIG.resourceAllowlist,
+    templates: listTemplateNames(),
+    paperStocks: Object.keys(paperStocks),
+    sheetSizes: Object.keys(SHEET_SIZES),
+    inputFormats: INPUT_FORMATS,
+  },
+  metrics: {
+    totalRequests: metrics.totalRequests,
+    successfulRequests: metrics.successfulRequests,
+    failedRequests: metrics.failedRequests,
+    activeJobs: metrics.activeJobs,
+    queuedJobs: concurrencyLimiter.pendingCount,
+    browserConnected: browserManager.browser?.isConnected() || false,
+    pageCount: browserManager.pageCount,
+    cmykConversions: metrics.cmykConversions,
+    pagedJsRenders: metrics.pagedJsRenders,
+    asyncJobs: jobs.size,
+  },
+  config: {
+    maxConcurrentJobs: CONFIG.maxConcurrentJobs,
+    defaultTimeoutMs: CONFIG.defaultTimeout,
+    maxTimeoutMs: CONFIG.maxTimeout,
+    browserRestartThreshold: CONFIG.browserRestartThreshold,
+    authenticationEnabled: !!CONFIG.serviceSecret,
+    jobResultTtlMs: CONFIG.jobResultTtl,
+  },
+}));
+
+// ═══════════════════════════════════════════════════════════════════
+// REQUEST VALIDATION & JOB ERRORS
+// ═══════════════════════════════════════════════════════════════════
+
+// Thrown while parsing a request body; reported as a 4xx before queuing
+class RequestError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+const sendRequestError = (res, error) => {
+  if (!(error instanceof RequestError)) throw error;
+  return res.status(error.statusCode).json({ error: error.message, ...error.details });
+};
+
+const resolveTimeout = (options) => Math.min(
+  options.timeout || CONFIG.defaultTimeout,
+  CONFIG.maxTimeout
+);
+
+const resolveStrict = (options) => options.strict === true || CONFIG.strictRendering;
+
+function validatePdfxStandard(convertCMYK, pdfxStandard) {
+  if (convertCMYK && !resolvePdfxStandard(pdfxStandard)) {
+    throw new RequestError(`Unsupported pdfxStandard: ${pdfxStandard}`, {
+      supported: [...Object.keys(PDFX_STANDARDS), 'none'],
+    });
+  }
+}
+
+// Status code + JSON body for a failed render (sync response or job status)
+function describeJobError(error, jobId) {
+  if (error instanceof RequestError) {
+    return { statusCode: error.statusCode, body: { error: error.message, jobId, ...error.details } };
+  }
+  if (error instanceof RenderError) {
+    return {
+      statusCode: error.statusCode,
+      body: {
+        error: error.message,
+        code: error.code,
+        jobId,
+        details: error.details,
+        warnings: error.warnings,
+      },
+    };
+  }
+
+  const isTimeout = error.message.includes('timeout') || error.message.includes('Timeout');
+  return {
+    statusCode: isTimeout ? 504 : 500,
+    body: {
+      error: error.message,
+      code: isTimeout ? 'TIMEOUT' : 'GENERATION_ERROR',
+      jobId,
+      hint: isTimeout ? 'Consider increasing the timeout for large documents' : undefined,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    },
+  };
+}
+
+// Runs a render through the concurrency limiter and answers on the
+// still-open HTTP connection
+async function respondWithRender(res, jobId, label, render) {
+  const jobPromise = concurrencyLimiter(async () => {
+    metrics.activeJobs++;
+    try {
+      const result = await render();
+      res.set(result.headers);
+      metrics.successfulRequests++;
+      res.send(result.body || result.pdf);
+    } catch (error) {
+      metrics.failedRequests++;
+      console.error(`[${label} ${jobId}] PDF generation error:`, error.message);
+      const { statusCode, body } = describeJobError(error, jobId);
+      res.status(statusCode).json(body);
+    } finally {
+      metrics.activeJobs--;
+    }
+  });
+
+  metrics.queuedJobs = concurrencyLimiter.pendingCount;
+
+  try {
+    await jobPromise;
+  } catch (err) {
+    // Error already handled
+  }
+}
+
+// Shared tail of every render: page boxes/marks, spot colours, optional
+// Ghostscript CMYK pass, outline and links, then Info + XMP metadata.
+// `watermark`, `trim` and `screen` are used by the output profiles;
+// `accessibility` is the PDF/UA report of an accessible render.
+async function finalizePdf(pdf, {
+  jobId, label, bleed, marks, metadata, cmyk, cmykRequested, spotColors, navigation = null,
+  accessibility = null, watermark = null, trim = false, screen = null, diagnostics, onProgress,
+}) {
+  let tempPdfPath = null;
+  let cmykPdfPath = null;
+
+  try {
+    // Page boxes (and printer's marks in the slug, if requested)
+    onProgress('finalizing');
+    let finalPdf = await applyPageBoxes(pdf, { bleed, marks, jobId, title: metadata.title });
+    let conversion = null;
+    let spots = null;
+    let navigationStats = null;
+
+    // Before Ghostscript, which would otherwise convert the sentinels as RGB
+    if (spotColors) {
+      ({ pdf: finalPdf, used: spots } = await applySpotColors(finalPdf, spotColors, jobId));
+    }
+    if (watermark) {
+      finalPdf = await drawProofWatermark(finalPdf, watermark);
+    }
+
+    if (cmykRequested && !cmyk) {
+      reportIssue(diagnostics, 'CMYK_FAILED', ghostscriptAvailable
+        ? 'CMYK conversion is disabled on this server; returning RGB'
+        : 'Ghostscript is not installed; returning RGB');
+    }
+
+    // CMYK Conversion via Ghostscript
+    if (cmyk) {
+      onProgress('converting');
+      console.log(`[${label} ${jobId}] Starting CMYK conversion...`);
+      tempPdfPath = path.join(CONFIG.tempDir, `${jobId}_rgb.pdf`);
+      cmykPdfPath = path.join(CONFIG.tempDir, `${jobId}_cmyk.pdf`);
+
+      try {
+        const source = cmyk.colorConversion
+          ? await prepareColorConversion(finalPdf, cmyk.colorConversion, diagnostics)
+          : finalPdf;
+        fs.writeFileSync(tempPdfPath, source);
+
+        conversion = await convertToCMYK(tempPdfPath, cmykPdfPath, {
+          jobId,
+          pdfxStandard: cmyk.pdfxStandard,
+          outputIntent: cmyk.outputIntent,
+          colorConversion: cmyk.colorConversion,
+          title: metadata.title,
+        });
+        finalPdf = fs.readFileSync(cmykPdfPath);
+        console.log(`[${label} ${jobId}] CMYK conversion successful (${conversion.standard || 'no PDF/X'})`);
+
+        if (cmyk.colorConversion?.totalInkLimit) {
+          onProgress('inkcheck');
+          conversion.inkCoverage = await verifyInkLimit(finalPdf, conversion, diagnostics);
+        }
+      } catch (cmykError) {
+        if (cmykError instanceof RenderError) throw cmykError;
+        console.error(`[${label} ${jobId}] CMYK conversion failed:`, cmykError.message);
+        // Non-strict renders fall back to the RGB PDF
+        reportIssue(diagnostics, 'CMYK_FAILED', cmykError.message);
+      }
+    }
+
+    if (trim) {
+      finalPdf = await cropToTrimBox(finalPdf);
+    }
+    if (screen) {
+      finalPdf = await optimizeForScreen(finalPdf, screen, { jobId, diagnostics });
+    }
+    if (navigation) {
+      ({ pdf: finalPdf, stats: navigationStats } = await applyNavigation(finalPdf, navigation, {
+        bleed,
+        pdfx: Boolean(conversion?.standard),
+        diagnostics,
+      }));
+    }
+
+    if (accessibility) {
+      finalPdf = await markAccessiblePdf(finalPdf);
+    }
+
+    // Document Info + XMP (after Ghostscript, which rewrites both). The
+    // PDF/UA claim is only made when the report found no failures.
+    finalPdf = await writePdfMetadata(finalPdf, metadata, { pdfua: Boolean(accessibility) && accessibility.status !== 'fail' });
+
+    return { pdf: finalPdf, conversion, spots, navigation: navigationStats };
+  } finally {
+    if (tempPdfPath && fs.existsSync(tempPdfPath)) {
+      try { fs.unlinkSync(tempPdfPath); } catch (e) { /* ignore */ }
+    }
+    if (cmykPdfPath && fs.existsSync(cmykPdfPath)) {
+      try { fs.unlinkSync(cmykPdfPath); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// OUTPUT PROFILES
+// One Paged.js layout, several editions: every profile post-processes
+// the same Chromium PDF through finalizePdf
+// ═══════════════════════════════════════════════════════════════════
+// `marks: true` means the profile honours options.marks; `impose: true`
+// adds an imposed copy of the edition when options.imposition is set
+const OUTPUT_PROFILES = {
+  'print-pdfx': { description: 'CMYK PDF/X with bleed', cmyk: true, marks: true, impose: true, trim: false },
+  screen: { description: 'RGB, cropped to the TrimBox, downsampled images', cmyk: false, marks: false, impose: false, trim: true, imageResolution: 150 },
+  'proof-watermarked': { description: 'RGB with bleed and a watermark', cmyk: false, marks: true, impose: true, trim: false, watermark: 'PROOF' },
+};
+
+// `options.outputs`: profile names, or { profile, imageResolution, watermark }
+function resolveOutputProfiles(value) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new RequestError('outputs must be a non-empty array of output profiles', {
+      available: Object.keys(OUTPUT_PROFILES),
+    });
+  }
+
+  const seen = new Set();
+  return value.map((entry) => {
+    const source = typeof entry === 'string' ? { profile: entry } : entry || {};
+    const profile = OUTPUT_PROFILES[source.profile];
+    if (!profile) {
+      throw new RequestError(`Unknown output profile: ${source.profile}`, { available: Object.keys(OUTPUT_PROFILES) });
+    }
+    if (seen.has(source.profile)) {
+      throw new RequestError(`Duplicate output profile: ${source.profile}`);
+    }
+    seen.add(source.profile);
+
+    const resolved = { name: source.profile, ...profile };
+    if (source.imageResolution !== undefined) {
+      if (!profile.imageResolution || !(typeof source.imageResolution === 'number' &&
+          source.imageResolution >= 72 && source.imageResolution <= 600)) {
+        throw new RequestError(`imageResolution applies to the screen profile and must be 72-600`);
+      }
+      resolved.imageResolution = source.imageResolution;
+    }
+    if (source.watermark !== undefined) {
+      if (!profile.watermark || typeof source.watermark !== 'string' || !/^[\x20-\x7e]{1,40}$/.test(source.watermark)) {
+        throw new RequestError('watermark applies to the proof-watermarked profile and must be 1-40 ASCII characters');
+      }
+      resolved.watermark = source.watermark;
+    }
+    return resolved;
+  });
+}
+
+// Diagonal overlay across each TrimBox, centred on the page
+async function drawProofWatermark(pdfBuffer, text) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  for (const page of pdfDoc.getPages()) {
+    const box = page.getTrimBox();
+    const angle = Math.atan2(box.height, box.width);
+    const size = (Math.hypot(box.width, box.height) * 0.6) / font.widthOfTextAtSize(text, 1);
+    const halfWidth = font.widthOfTextAtSize(text, size) / 2;
+    const halfHeight = font.heightAtSize(size, { descender: false }) / 2;
+    // drawText rotates around the baseline origin; offset it so the text's
+    // centre lands on the page centre
+    page.drawText(text, {
+      x: box.x + box.width / 2 - halfWidth * Math.cos(angle) + halfHeight * Math.sin(angle),
+      y: box.y + box.height / 2 - halfWidth * Math.sin(angle) - halfHeight * Math.cos(angle),
+      size,
+      font,
+      color: rgb(0.8, 0.1, 0.1),
+      opacity: 0.2,
+      rotate: radians(angle),
+    });
+  }
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// Screen editions have no bleed: every box becomes the TrimBox
+async function cropToTrimBox(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  for (const page of pdfDoc.getPages()) {
+    const { x, y, width, height } = page.getTrimBox();
+    page.setMediaBox(x, y, width, height);
+    page.setCropBox(x, y, width, height);
+    page.setBleedBox(x, y, width, height);
+  }
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// Ghostscript pass for screen editions: RGB, downsampled and deduplicated
+// images. Links and bookmarks are carried over. Without Ghostscript the
+// PDF is returned as is, with a warning.
+async function optimizeForScreen(pdfBuffer, { imageResolution }, { jobId, diagnostics }) {
+  const skip = (reason) => {
+    console.warn(`[Job ${jobId}] Screen optimisation skipped: ${reason}`);
+    addWarning(diagnostics, { code: 'SCREEN_OPTIMIZATION_SKIPPED', message: reason });
+    return pdfBuffer;
+  };
+  if (!ghostscriptAvailable) return skip('Ghostscript is not installed; images were not downsampled');
+
+  const inputPath = path.join(CONFIG.tempDir, `${jobId}_screen_in.pdf`);
+  const outputPath = path.join(CONFIG.tempDir, `${jobId}_screen.pdf`);
+  fs.writeFileSync(inputPath, pdfBuffer);
+
+  const gsArgs = [
+    '-q', '-dNOPAUSE', '-dBATCH', '-dSAFER',
+    '-sDEVICE=pdfwrite',
+    '-dPDFSETTINGS=/ebook',
+    '-sColorConversionStrategy=RGB',
+    '-dCompatibilityLevel=1.6',
+    '-dAutoRotatePages=/None',
+    '-dDetectDuplicateImages=true',
+    '-dDownsampleColorImages=true',
+    `-dColorImageResolution=${imageResolution}`,
+    '-dDownsampleGrayImages=true',
+    `-dGrayImageResolution=${imageResolution}`,
+    '-dDownsampleMonoImages=true',
+    `-dMonoImageResolution=${imageResolution * 2}`,
+    `-sOutputFile=${outputPath}`,
+    inputPath,
+  ];
+
+  try {
+    await new Promise((resolve, reject) => {
+      execFile('gs', gsArgs, { timeout: 60000 }, (error, stdout, stderr) => {
+        if (error) {
+          console.error('[Ghostscript] Screen optimisation failed:', stderr);
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+    return fs.readFileSync(outputPath);
+  } catch (error) {
+    return skip(error.message);
+  } finally {
+    for (const file of [inputPath, outputPath]) {
+      if (fs.existsSync(file)) {
+        try { fs.unlinkSync(file); } catch (e) { /* ignore */ }
+      }
+    }
+  }
+}
+
+// Derives every requested edition from one Chromium PDF and packs them
+// into a ZIP with a manifest
+async function renderOutputProfiles(pdf, params, { jobId, diagnostics, onProgress, navigation, bookMatter }) {
+  const baseName = (params.safeMetadata.title || 'export').replace(/[^a-zA-Z0-9-_]/g, '_');
+  const editions = [];
+
+  for (const output of params.outputs) {
+    console.log(`[Job ${jobId}] Building ${output.name} edition`);
+    const { pdf: editionPdf, conversion, spots, navigation: navigationStats } = await finalizePdf(pdf, {
+      jobId,
+      label: 'Job',
+      bleed: params.bleed,
+      marks: output.marks ? params.marks : null,
+      metadata: params.pdfMetadata,
+      cmyk: output.cmyk,
+      cmykRequested: output.cmykRequested,
+      spotColors: params.spotColors,
+      navigation: (params.navigation || output.name === 'screen') ? navigation : null,
+      watermark: output.watermark || null,
+      trim: output.trim,
+      screen: output.imageResolution ? { imageResolution: output.imageResolution } : null,
+      diagnostics,
+      onProgress,
+    });
+    editions.push({ output, pdf: editionPdf, conversion, spots, navigationStats, filename: `${baseName}-${output.name}.pdf` });
+  }
+
+  // Imposed sheets ride along with the single-page print editions
+  const imposed = [];
+  if (params.imposition) {
+    onProgress('imposing');
+    for (const edition of editions.filter(entry => entry.output.impose)) {
+      const { pdf: sheets, stats } = await imposePdf(edition.pdf, params.imposition, { diagnostics });
+      if (!stats) continue;
+      edition.imposition = { filename: `${baseName}-${edition.output.name}-imposed.pdf`, ...stats };
+      imposed.push({ filename: edition.imposition.filename, pdf: sheets });
+    }
+  }
+
+  // Font, page count and preflight checks look at the print edition first
+  const primary = editions.find(edition => edition.output.name === 'print-pdfx') || editions[0];
+  const fontReport = await buildFontReport(primary.pdf, params.fonts.families);
+  for (const family of fontReport.fallback) {
+    reportIssue(diagnostics, 'FONT_MISSING', `Registered font "${family}" was not embedded; a fallback font was used`, { family });
+  }
+  const pageCount = (await PDFDocument.load(primary.pdf, { updateMetadata: false })).getPageCount();
+
+  let preflight = null;
+  if (params.preflight) {
+    onProgress('preflight');
+    preflight = await runPreflight(primary.pdf, {
+      ...params.preflight,
+      expectCmyk: params.preflight.expectCmyk ?? primary.output.cmykRequested,
+      pdfxStandard: params.preflight.pdfxStandard ||
+        (primary.conversion?.standard ? resolvePdfxStandard(primary.conversion.standard) : undefined),
+    }, jobId);
+  }
+
+  const manifest = {
+    jobId,
+    pageCount,
+    outputs: editions.map(({ output, pdf: editionPdf, conversion, spots, navigationStats, imposition, filename }) => ({
+      profile: output.name,
+      filename,
+      size: editionPdf.length,
+      colorSpace: describeColorSpace(conversion),
+      trimmed: output.trim,
+      ...(output.watermark && { watermark: output.watermark }),
+      ...(spots && { spotColors: spots }),
+      ...(navigationStats && { navigation: navigationStats }),
+      ...(imposition && { imposition }),
+    })),
+    ...(bookMatter && { bookMatter }),
+    ...(preflight && { preflight }),
+    warnings: diagnostics.warnings,
+  };
+
+  const zip = new JSZip();
+  for (const edition of [...editions, ...imposed]) zip.file(edition.filename, edition.pdf);
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+  // PDFs are already compressed
+  const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+
+  return {
+    pdf: archive,
+    filename: `${baseName}.zip`,
+    pageCount,
+    preflight,
+    warnings: diagnostics.warnings,
+    headers: {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${baseName}.zip"`,
+      'X-PDF-Title': params.safeMetadata.title,
+      'X-PDF-Outputs': jsonHeader(manifest.outputs.map(({ profile, filename, colorSpace }) => ({ profile, filename, colorSpace }))),
+      'X-PDF-Paged-JS': params.usePagedJs ? 'true' : 'false',
+      ...(params.usePagedJs && { 'X-PDF-Template': `${params.template.name}@${params.template.version}` }),
+      'X-PDF-Page-Count': String(pageCount),
+      ...(preflight && { 'X-PDF-Preflight': jsonHeader(summarizePreflight(preflight)) }),
+      'X-PDF-Fonts': jsonHeader(fontReport),
+      ...warningHeaders(diagnostics),
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PDF NAVIGATION
+// Outline and internal links are measured in the DOM before printing and
+// written with pdf-lib after Ghostscript, which would otherwise drop or
+// break them. Positions are kept relative to the TrimBox so they survive
+// marks, CMYK conversion and screen cropping.
+// ═══════════════════════════════════════════════════════════════════
+const PAGE_MODES = ['UseNone', 'UseOutlines', 'UseThumbs', 'FullScreen'];
+const PAGE_LAYOUTS = ['SinglePage', 'OneColumn', 'TwoColumnLeft', 'TwoColumnRight', 'TwoPageLeft', 'TwoPageRight'];
+const OUTLINE_SOURCES = ['headings', 'data-bookmark'];
+const MAX_NAVIGATION_ENTRIES = 5000;
+
+// `options.navigation`: true, or { outline, maxLevel, links, pageMode, pageLayout }
+function resolveNavigationOptions(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value !== true && (typeof value !== 'object' || Array.isArray(value))) {
+    throw new RequestError('navigation must be true or an object');
+  }
+
+  const source = value === true ? {} : value;
+  const outline = source.outline === undefined || source.outline === true ? 'headings' : source.outline;
+  if (outline !== false && !OUTLINE_SOURCES.includes(outline)) {
+    throw new RequestError(`Unknown navigation.outline: ${outline}`, { supported: [...OUTLINE_SOURCES, false] });
+  }
+  const maxLevel = source.maxLevel ?? 6;
+  if (!(Number.isInteger(maxLevel) && maxLevel >= 1 && maxLevel <= 6)) {
+    throw new RequestError('navigation.maxLevel must be an integer from 1 to 6');
+  }
+  if (source.pageMode !== undefined && !PAGE_MODES.includes(source.pageMode)) {
+    throw new RequestError(`Unknown navigation.pageMode: ${source.pageMode}`, { supported: PAGE_MODES });
+  }
+  if (source.pageLayout !== undefined && !PAGE_LAYOUTS.includes(source.pageLayout)) {
+    throw new RequestError(`Unknown navigation.pageLayout: ${source.pageLayout}`, { supported: PAGE_LAYOUTS });
+  }
+
+  return {
+    outline,
+    maxLevel,
+    links: source.links !== false,
+    pageMode: source.pageMode || (outline ? 'UseOutlines' : null),
+    pageLayout: source.pageLayout || null,
+  };
+}
+
+// Runs in the browser. Positions are mm from the top-left of the page
+// box; without Paged.js the print flow is cut at every page height.
+function collectNavigation({ outline, maxLevel, links: collectLinks, pageHeight, maxEntries }) {
+  const pxToMm = (px) => (px * 25.4) / 96;
+  const paged = document.querySelector('.pagedjs_page') !== null;
+  const text = (el) => el.textContent.replace(/\s+/g, ' ').trim().slice(0, 200);
+
+  const locate = (el, rect) => {
+    if (rect.width === 0 && rect.height === 0) return null;
+    if (paged) {
+      const pageEl = el.closest('.pagedjs_page');
+      if (!pageEl) return null;
+      const box = pageEl.getBoundingClientRect();
+      return { page: Number(pageEl.dataset.pageNumber), x: pxToMm(rect.left - box.left), y: pxToMm(rect.top - box.top) };
+    }
+    const top = rect.top + window.scrollY;
+    const index = Math.floor(top / pageHeight);
+    return { page: index + 1, x: pxToMm(rect.left + window.scrollX), y: pxToMm(top - index * pageHeight) };
+  };
+
+  // Paged.js repeats split elements on later pages; only the first counts
+  const bookmarks = [];
+  if (outline) {
+    const selector = outline === 'data-bookmark' ? '[data-bookmark]' : 'h1, h2, h3, h4, h5, h6';
+    for (const el of document.querySelectorAll(selector)) {
+      if (bookmarks.length >= maxEntries) break;
+      if (el.hasAttribute('data-split-from')) continue;
+      const headingLevel = /^H[1-6]$/.test(el.tagName) ? Number(el.tagName[1]) : 1;
+      const level = Number(el.dataset.bookmarkLevel) || headingLevel;
+      const title = (el.dataset.bookmark || text(el)).slice(0, 200);
+      const position = locate(el, el.getBoundingClientRect());
+      if (!title || !position || level > maxLevel) continue;
+      bookmarks.push({ title, level, page: position.page, top: position.y });
+    }
+  }
+
+  const links = [];
+  if (collectLinks) {
+    for (const anchor of document.querySelectorAll('a[href^="#"]')) {
+      if (links.length >= maxEntries) break;
+      let target = null;
+      try {
+        target = document.getElementById(decodeURIComponent(anchor.getAttribute('href').slice(1)));
+      } catch (e) { /* malformed escape */ }
+      const destination = target && locate(target, target.getBoundingClientRect());
+      if (!destination) continue;
+      // One link area per line box
+      for (const rect of anchor.getClientRects()) {
+        const origin = locate(anchor, rect);
+        if (!origin) continue;
+        links.push({
+          page: origin.page,
+          x: origin.x,
+          y: origin.y,
+          width: pxToMm(rect.width),
+          height: pxToMm(rect.height),
+          target: { page: destination.page, top: destination.y },
+        });
+      }
+    }
+  }
+
+  return { bookmarks, links };
+}
+
+// Without Paged.js the DOM is measured in print media at the page width,
+// as /analyze does
+async function measureNavigation(page, params, options) {
+  const { usePagedJs } = params;
+  const { width, height } = sheetSize(params);
+  const pageHeight = Math.ceil((height / 25.4) * CSS_DPI);
+  if (!usePagedJs) {
+    await page.setViewport({ width: Math.ceil((width / 25.4) * CSS_DPI), height: pageHeight, deviceScaleFactor: 1 });
+    await page.emulateMediaType('print');
+  }
+  const collected = await page.evaluate(collectNavigation, {
+    outline: options.outline,
+    maxLevel: options.maxLevel,
+    links: options.links,
+    pageHeight,
+    maxEntries: MAX_NAVIGATION_ENTRIES,
+  });
+  return { ...options, ...collected };
+}
+
+// Nested outline from a flat list of levelled bookmarks. Top-level entries
+// open, deeper ones collapsed.
+function buildOutline(context, catalog, bookmarks, destinationFor) {
+  const root = { children: [], level: 0 };
+  const stack = [root];
+  for (const bookmark of bookmarks) {
+    while (stack.length > 1 && stack[stack.length - 1].level >= bookmark.level) stack.pop();
+    const node = { ...bookmark, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+
+  const outlinesRef = context.nextRef();
+
+  const writeLevel = (nodes, parentRef, depth) => {
+    const refs = nodes.map(() => context.nextRef());
+    nodes.forEach((node, i) => {
+      const entries = {
+        Title: PDFHexString.fromText(node.title),
+        Parent: parentRef,
+        Dest: destinationFor(node.page, node.top),
+      };
+      if (i > 0) entries.Prev = refs[i - 1];
+      if (i < nodes.length - 1) entries.Next = refs[i + 1];
+      if (node.children.length) {
+        const childRefs = writeLevel(node.children, refs[i], depth + 1);
+        entries.First = childRefs[0];
+        entries.Last = childRefs[childRefs.length - 1];
+        // Count is the number of visible descendants, negative when closed;
+        // children of open entries are themselves closed
+        entries.Count = depth === 1 ? node.children.length : -node.children.length;
+      }
+      context.assign(refs[i], context.obj(entries));
+    });
+    return refs;
+  };
+
+  const topRefs = writeLevel(root.children, outlinesRef, 1);
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    First: topRefs[0],
+    Last: topRefs[topRefs.length - 1],
+    Count: root.children.reduce((sum, node) => sum + 1 + node.children.length, 0),
+  }));
+  catalog.set(PDFName.of('Outlines'), outlinesRef);
+}
+
+// Link annotations that jump within the document (Chromium writes them
+// with named destinations)
+function isInternalLink(annot) {
+  if (!(annot instanceof PDFDict) || pdfName(annot.lookup(PDFName.of('Subtype'))) !== 'Link') return false;
+  const action = annot.lookup(PDFName.of('A'));
+  return annot.has(PDFName.of('Dest')) ||
+    (action instanceof PDFDict && pdfName(action.lookup(PDFName.of('S'))) === 'GoTo');
+}
+
+// Replaces the outline and internal links and sets the viewer options.
+// PDF/X forbids annotations inside the BleedBox, so PDF/X editions get
+// the outline only.
+async function applyNavigation(pdfBuffer, navigation, { bleed, pdfx, diagnostics }) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context, catalog } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const bleedPt = (parseFloat(bleed) || 0) * MM_TO_PT;
+
+  // mm from the rendered page's top-left to points in the page's frame
+  const toPdf = (page, xMm, yMm) => {
+    const trim = page.getTrimBox();
+    return [trim.x + xMm * MM_TO_PT - bleedPt, trim.y + trim.height - yMm * MM_TO_PT + bleedPt];
+  };
+  const destinationFor = (pageNumber, top) => {
+    const page = pages[Math.min(Math.max(pageNumber, 1), pages.length) - 1];
+    const [, y] = toPdf(page, 0, top);
+    return context.obj([page.ref, 'XYZ', page.getTrimBox().x, Math.round(y * 100) / 100, null]);
+  };
+
+  let bookmarks = 0;
+  if (navigation.outline && navigation.bookmarks.length) {
+    buildOutline(context, catalog, navigation.bookmarks, destinationFor);
+    bookmarks = navigation.bookmarks.length;
+  }
+
+  let links = 0;
+  if (navigation.links && pdfx) {
+    addWarning(diagnostics, {
+      code: 'LINKS_OMITTED',
+      message: 'PDF/X does not allow link annotations inside the BleedBox; internal links were left out',
+    });
+  } else if (navigation.links) {
+    // Chromium's own internal links (named destinations) are replaced
+    const created = pages.map(() => []);
+    for (const link of navigation.links) {
+      const page = pages[link.page - 1];
+      if (!page || !pages[link.target.page - 1]) continue;
+      const [x0, y1] = toPdf(page, link.x, link.y);
+      const [x1, y0] = toPdf(page, link.x + link.width, link.y + link.height);
+      created[link.page - 1].push(context.register(context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [x0, y0, x1, y1].map(n => Math.round(n * 100) / 100),
+        Border: [0, 0, 0],
+        F: 4, // print
+        Dest: destinationFor(link.target.page, link.target.top),
+      })));
+    }
+
+    pages.forEach((page, index) => {
+      const annots = page.node.Annots();
+      const kept = annots ? annots.asArray().filter(ref => !isInternalLink(context.lookup(ref))) : [];
+      const all = [...kept, ...created[index]];
+      if (all.length) page.node.set(PDFName.of('Annots'), context.obj(all));
+      else page.node.delete(PDFName.of('Annots'));
+      links += created[index].length;
+    });
+  }
+
+  if (navigation.pageMode) catalog.set(PDFName.of('PageMode'), PDFName.of(navigation.pageMode));
+  if (navigation.pageLayout) catalog.set(PDFName.of('PageLayout'), PDFName.of(navigation.pageLayout));
+
+  return { pdf: Buffer.from(await pdfDoc.save({ useObjectStreams: false })), stats: { bookmarks, links } };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TABLE OF CONTENTS, INDEX & ENDNOTES
+// Built inside the Paged.js pass: the TOC and endnotes before layout,
+// the index after layout so locators can be merged into page ranges.
+// Footnotes need no script; PAGEDJS_CSS floats them.
+// ═══════════════════════════════════════════════════════════════════
+const TOC_LEADERS = ['dotted', 'dashed', 'solid', 'none'];
+const NOTE_MODES = ['footnotes', 'chapter-endnotes', 'endnotes'];
+const NOTE_NUMBERING = ['book', 'chapter'];
+const MAX_PLACEMENT_SELECTOR_LENGTH = 200;
+
+function resolvePlacement(value, fallback, field) {
+  const placement = value ?? fallback;
+  if (typeof placement !== 'string' || !placement.trim() || placement.length > MAX_PLACEMENT_SELECTOR_LENGTH) {
+    throw new RequestError(`${field} must be a CSS selector of at most ${MAX_PLACEMENT_SELECTOR_LENGTH} characters`);
+  }
+  return placement.trim();
+}
+
+// `options.toc`: true, or { minLevel, maxLevel, placement, leader }
+function resolveTocOptions(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value !== true && (typeof value !== 'object' || Array.isArray(value))) {
+    throw new RequestError('toc must be true or an object');
+  }
+
+  const source = value === true ? {} : value;
+  const minLevel = source.minLevel ?? 1;
+  const maxLevel = source.maxLevel ?? 3;
+  for (const [field, level] of [['minLevel', minLevel], ['maxLevel', maxLevel]]) {
+    if (!(Number.isInteger(level) && level >= 1 && level <= 6)) {
+      throw new RequestError(`toc.${field} must be an integer from 1 to 6`);
+    }
+  }
+  if (minLevel > maxLevel) {
+    throw new RequestError('toc.minLevel must not be greater than toc.maxLevel');
+  }
+  const leader = source.leader ?? 'dotted';
+  if (!TOC_LEADERS.includes(leader)) {
+    throw new RequestError(`Unknown toc.leader: ${leader}`, { supported: TOC_LEADERS });
+  }
+
+  return {
+    minLevel,
+    maxLevel,
+    placement: resolvePlacement(source.placement, '#toc', 'toc.placement'),
+    leader,
+  };
+}
+
+// `options.index`: true, or { placement, letters }
+function resolveIndexOptions(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value !== true && (typeof value !== 'object' || Array.isArray(value))) {
+    throw new RequestError('index must be true or an object');
+  }
+
+  const source = value === true ? {} : value;
+  return {
+    placement: resolvePlacement(source.placement, '#index', 'index.placement'),
+    letters: source.letters !== false,
+  };
+}
+
+// `options.notes`: true, or { mode, numbering, placement }
+function resolveNotesOptions(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value !== true && (typeof value !== 'object' || Array.isArray(value))) {
+    throw new RequestError('notes must be true or an object');
+  }
+
+  const source = value === true ? {} : value;
+  const mode = source.mode ?? 'footnotes';
+  if (!NOTE_MODES.includes(mode)) {
+    throw new RequestError(`Unknown notes.mode: ${mode}`, { supported: NOTE_MODES });
+  }
+  const numbering = source.numbering ?? 'book';
+  if (!NOTE_NUMBERING.includes(numbering)) {
+    throw new RequestError(`Unknown notes.numbering: ${numbering}`, { supported: NOTE_NUMBERING });
+  }
+
+  return {
+    mode,
+    numbering,
+    placement: mode === 'endnotes' ? resolvePlacement(source.placement, '#endnotes', 'notes.placement') : null,
+  };
+}
+
+// Footnote numbers restart at every chapter (Paged.js maps this reset)
+const FOOTNOTE_CHAPTER_RESET_CSS = `
+  .chapter-start {
+    counter-reset: footnote;
+  }
+`;
+
+const BOOK_MATTER_CSS = `
+  /* Generated table of contents */
+  .synoptic-toc ol {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+  }
+  .synoptic-toc .toc-entry {
+    padding-left: calc(var(--toc-depth, 0) * 1.5em);
+    break-inside: avoid;
+  }
+  .synoptic-toc .toc-link {
+    display: flex;
+    align-items: baseline;
+    color: inherit;
+    text-decoration: none;
+  }
+  .synoptic-toc .toc-leader {
+    flex: 1;
+    margin: 0 0.3em;
+    border-bottom: 1px dotted currentColor;
+  }
+  .synoptic-toc[data-leader="dashed"] .toc-leader { border-bottom-style: dashed; }
+  .synoptic-toc[data-leader="solid"] .toc-leader { border-bottom-style: solid; }
+  .synoptic-toc[data-leader="none"] .toc-leader { border-bottom: none; }
+  .synoptic-toc .toc-link::after {
+    content: target-counter(attr(href), page);
+  }
+
+  /* Generated index */
+  .synoptic-index ul {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+  }
+  .synoptic-index .index-letter {
+    font-weight: bold;
+    margin: 1em 0 0.3em;
+    break-after: avoid;
+  }
+  .synoptic-index .index-heading {
+    margin: 0;
+    padding-left: 1.5em;
+    text-indent: -1.5em;
+    break-inside: avoid;
+  }
+  .synoptic-index .index-subentries {
+    padding-left: 1.5em;
+  }
+  .synoptic-index .index-locators a {
+    color: inherit;
+    text-decoration: none;
+  }
+
+  /* Endnotes */
+  .endnote-call {
+    font-size: 65%;
+    line-height: normal;
+    vertical-align: super;
+    color: inherit;
+    text-decoration: none;
+  }
+  .synoptic-endnotes ol {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+  }
+  .synoptic-endnotes .endnotes-chapter {
+    font-weight: bold;
+    margin: 1em 0 0.3em;
+    break-after: avoid;
+  }
+  .synoptic-endnotes .endnote {
+    font-size: 0.9em;
+    margin-bottom: 0.4em;
+  }
+  .synoptic-endnotes .endnote-number {
+    color: inherit;
+    text-decoration: none;
+  }
+`;
+
+// Runs in the browser, registered before Paged.js starts. Results land
+// on window.__synoptic_book for the checks after pagination.
+function registerBookMatter({ toc, index, notes, lang }) {
+  const state = window.__synoptic_book = { toc: null, index: null, notes: null };
+  const clean = (value) => value.replace(/\s+/g, ' ').trim();
+  const find = (root, selector) => {
+    try { return root.querySelector(selector); } catch (e) { return null; }
+  };
+  let collator;
+  try {
+    collator = new Intl.Collator(lang, { sensitivity: 'base', numeric: true });
+  } catch (e) {
+    collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+  }
+  const compare = (a, b) => collator.compare(a, b) || (a < b ? -1 : a > b ? 1 : 0);
+
+  // Notes belong to the last .chapter-start that contains or precedes them
+  const PRECEDING = Node.DOCUMENT_POSITION_PRECEDING;
+  const chapterOf = (chapters, note) => {
+    let found = -1;
+    chapters.forEach((chapter, i) => {
+      if (chapter.contains(note) || note.compareDocumentPosition(chapter) & PRECEDING) found = i;
+    });
+    return found;
+  };
+
+  const chapterTitle = (chapter) => {
+    const heading = /^H[1-6]$/.test(chapter.tagName) ? chapter : chapter.querySelector('h1, h2, h3, h4, h5, h6');
+    return heading ? clean(heading.dataset.tocTitle || heading.textContent) : '';
+  };
+
+  const footnoteRefs = (content, id) =>
+    [...content.querySelectorAll('a.footnote-ref')].filter(ref => ref.getAttribute('href') === `#${id}`);
+
+  // Repeated references carry book-wide numbers; footnotes numbered per
+  // chapter restart them
+  const renumberFootnoteRefs = (content) => {
+    const chapters = [...content.querySelectorAll('.chapter-start')];
+    const numbers = new Map();
+    for (const note of content.querySelectorAll('.footnote')) {
+      const chapter = chapterOf(chapters, note);
+      const number = (numbers.get(chapter) || 0) + 1;
+      numbers.set(chapter, number);
+      if (note.id) footnoteRefs(content, note.id).forEach(ref => { ref.textContent = String(number); });
+    }
+  };
+
+  // Each .footnote becomes a numbered call; its content moves to a list
+  // at the chapter end or the endnotes placement
+  const buildEndnotes = (content) => {
+    const found = [...content.querySelectorAll('.footnote')];
+    const chapters = [...content.querySelectorAll('.chapter-start')];
+    const groups = new Map();
+    const numbers = new Map();
+
+    found.forEach((note, i) => {
+      const chapter = chapterOf(chapters, note);
+      const scope = notes.numbering === 'chapter' ? chapter : -1;
+      const number = (numbers.get(scope) || 0) + 1;
+      numbers.set(scope, number);
+
+      const call = document.createElement('a');
+      call.className = 'endnote-call';
+      call.id = `endnote-call-${i + 1}`;
+      call.href = `#endnote-${i + 1}`;
+      call.textContent = String(number);
+
+      const item = document.createElement('li');
+      item.className = 'endnote';
+      item.id = `endnote-${i + 1}`;
+      const back = document.createElement('a');
+      back.className = 'endnote-number';
+      back.href = `#${call.id}`;
+      back.textContent = `${number}.`;
+      item.append(back, ' ', ...note.childNodes);
+      note.replaceWith(call);
+      // Repeated references (see inlineFootnotes) follow the note
+      if (note.id) {
+        for (const ref of footnoteRefs(content, note.id)) {
+          ref.href = `#${item.id}`;
+          ref.textContent = String(number);
+        }
+      }
+
+      if (!groups.has(chapter)) groups.set(chapter, { items: [], first: call });
+      groups.get(chapter).items.push(item);
+    });
+
+    const list = (items) => {
+      const ol = document.createElement('ol');
+      ol.append(...items);
+      return ol;
+    };
+    const section = () => {
+      const element = document.createElement('section');
+      element.className = 'synoptic-endnotes';
+      return element;
+    };
+
+    if (notes.mode === 'chapter-endnotes') {
+      for (const [chapter, { items, first }] of groups) {
+        const element = section();
+        element.append(list(items));
+        const owner = chapters[chapter];
+        if (owner && owner.contains(first)) owner.append(element);
+        else if (chapters[chapter + 1]) chapters[chapter + 1].before(element);
+        else content.append(element);
+      }
+      return { mode: notes.mode, placed: true, notes: found.length };
+    }
+
+    const container = find(content, notes.placement);
+    const element = section();
+    for (const [chapter, { items }] of groups) {
+      // Restarted numbers need the chapter to tell them apart
+      if (notes.numbering === 'chapter' && chapters[chapter]) {
+        const title = document.createElement('p');
+        title.className = 'endnotes-chapter';
+        title.textContent = chapterTitle(chapters[chapter]);
+        if (title.textContent) element.append(title);
+      }
+      element.append(list(items));
+    }
+    (container || content).append(element);
+    return { mode: notes.mode, placed: Boolean(container), notes: found.length };
+  };
+
+  const buildToc = (content) => {
+    const container = find(content, toc.placement);
+    if (!container) return { placed: false, entries: 0 };
+    const skip = index && find(content, index.placement);
+
+    const selector = Array.from({ length: toc.maxLevel - toc.minLevel + 1 }, (_, i) => `h${toc.minLevel + i}`).join(', ');
+    const list = document.createElement('ol');
+    let entries = 0;
+    for (const heading of content.querySelectorAll(selector)) {
+      if (container.contains(heading) || (skip && skip.contains(heading))) continue;
+      if (heading.dataset.toc === 'false') continue;
+      const title = clean(heading.dataset.tocTitle || heading.textContent);
+      if (!title) continue;
+      if (!heading.id) heading.id = `synoptic-toc-${entries + 1}`;
+
+      const item = document.createElement('li');
+      item.className = `toc-entry toc-level-${heading.tagName[1]}`;
+      item.style.setProperty('--toc-depth', Number(heading.tagName[1]) - toc.minLevel);
+      const link = document.createElement('a');
+      link.className = 'toc-link';
+      link.href = `#${heading.id}`;
+      const text = document.createElement('span');
+      text.className = 'toc-title';
+      text.textContent = title;
+      const leader = document.createElement('span');
+      leader.className = 'toc-leader';
+      link.append(text, leader);
+      item.append(link);
+      list.append(item);
+      entries++;
+    }
+
+    const nav = document.createElement('nav');
+    nav.className = 'synoptic-toc';
+    nav.dataset.leader = toc.leader;
+    nav.append(list);
+    container.append(nav);
+    return { placed: true, entries };
+  };
+
+  // "Term" or "Term!Subterm"; each marker becomes a locator
+  const entries = new Map();
+  const buildIndex = (content) => {
+    const container = find(content, index.placement);
+    if (!container) return { placed: false, terms: 0, markers: 0 };
+
+    let markers = 0;
+    for (const marker of content.querySelectorAll('[data-index-term]')) {
+      const [term, subterm] = marker.dataset.indexTerm.split('!').map(clean);
+      if (!term) continue;
+      marker.dataset.indexMarker = String(markers);
+      if (!marker.id) marker.id = `synoptic-index-${markers}`;
+      markers++;
+
+      if (!entries.has(term)) entries.set(term, { markers: [], subterms: new Map() });
+      const entry = entries.get(term);
+      if (!subterm) {
+        entry.markers.push(marker);
+      } else {
+        if (!entry.subterms.has(subterm)) entry.subterms.set(subterm, []);
+        entry.subterms.get(subterm).push(marker);
+      }
+    }
+
+    // Locators hold placeholders until page numbers are known
+    const entryLine = (label, markerList) => {
+      const line = document.createElement('p');
+      line.className = 'index-heading';
+      const term = document.createElement('span');
+      term.className = 'index-term';
+      term.textContent = label;
+      line.append(term);
+      if (markerList.length) {
+        const locators = document.createElement('span');
+        locators.className = 'index-locators';
+        locators.dataset.indexMarkers = markerList.map(marker => marker.dataset.indexMarker).join(' ');
+        locators.textContent = ` ${markerList.map(() => '000').join(', ')}`;
+        line.append(locators);
+      }
+      return line;
+    };
+
+    const root = document.createElement('div');
+    root.className = 'synoptic-index';
+    let group = null;
+    let letter = null;
+    for (const term of [...entries.keys()].sort(compare)) {
+      const initial = [...term][0].toLocaleUpperCase(lang);
+      const label = /\p{L}/u.test(initial) ? initial : '#';
+      if (!group || (index.letters && collator.compare(label, letter) !== 0)) {
+        letter = label;
+        const section = document.createElement('section');
+        section.className = 'index-group';
+        if (index.letters) {
+          const heading = document.createElement('div');
+          heading.className = 'index-letter';
+          heading.textContent = label;
+          section.append(heading);
+        }
+        group = document.createElement('ul');
+        group.className = 'index-entries';
+        section.append(group);
+        root.append(section);
+      }
+
+      const entry = entries.get(term);
+      const item = document.createElement('li');
+      item.className = 'index-entry';
+      item.append(entryLine(term, entry.markers));
+      if (entry.subterms.size) {
+        const sublist = document.createElement('ul');
+        sublist.className = 'index-subentries';
+        for (const subterm of [...entry.subterms.keys()].sort(compare)) {
+          const subitem = document.createElement('li');
+          subitem.className = 'index-entry';
+          subitem.append(entryLine(subterm, entry.subterms.get(subterm)));
+          sublist.append(subitem);
+        }
+        item.append(sublist);
+      }
+      group.append(item);
+    }
+    container.append(root);
+    return { placed: true, terms: entries.size, markers };
+  };
+
+  // Same page counter target-counter() reads, so counter resets count
+  const pageNumbers = () => {
+    const numbers = new Map();
+    let number = 0;
+    for (const page of document.querySelectorAll('.pagedjs_page')) {
+      const styles = window.getComputedStyle(page);
+      const reset = styles.counterReset.replace('page', '').trim();
+      const increment = styles.counterIncrement.replace('page', '').trim();
+      if (reset !== 'none') number = parseInt(reset, 10) || 0;
+      if (increment !== 'none') number += parseInt(increment, 10) || 0;
+      numbers.set(page, number);
+    }
+    return numbers;
+  };
+
+  // Each marker spans the pages its fragments landed on; ranges that
+  // touch or overlap merge
+  const resolveIndex = () => {
+    const numbers = pageNumbers();
+    const spans = new Map();
+    for (const fragment of document.querySelectorAll('.pagedjs_page [data-index-marker]')) {
+      const number = numbers.get(fragment.closest('.pagedjs_page'));
+      const id = fragment.dataset.indexMarker;
+      const span = spans.get(id);
+      if (!span) {
+        spans.set(id, { first: number, last: number, target: fragment.id || null });
+      } else {
+        span.first = Math.min(span.first, number);
+        span.last = Math.max(span.last, number);
+      }
+    }
+
+    for (const locators of document.querySelectorAll('.pagedjs_page .index-locators[data-index-markers]')) {
+      const ranges = [];
+      const found = locators.dataset.indexMarkers.split(' ').map(id => spans.get(id)).filter(Boolean);
+      for (const span of found.sort((a, b) => a.first - b.first)) {
+        const last = ranges[ranges.length - 1];
+        if (last && span.first <= last.last + 1) last.last = Math.max(last.last, span.last);
+        else ranges.push({ ...span });
+      }
+
+      locators.textContent = ' ';
+      ranges.forEach((range, i) => {
+        if (i > 0) locators.append(', ');
+        const label = range.first === range.last ? String(range.first) : `${range.first}–${range.last}`;
+        if (range.target) {
+          const link = document.createElement('a');
+          link.href = `#${range.target}`;
+          link.textContent = label;
+          locators.append(link);
+        } else {
+          locators.append(label);
+        }
+      });
+    }
+  };
+
+  class BookMatterHandler extends window.Paged.Handler {
+    beforeParsed(content) {
+      if (notes && notes.mode !== 'footnotes') state.notes = buildEndnotes(content);
+      else if (notes && notes.numbering === 'chapter') renumberFootnoteRefs(content);
+      if (toc) state.toc = buildToc(content);
+      if (index) state.index = buildIndex(content);
+    }
+
+    afterRendered() {
+      if (state.index?.placed) resolveIndex();
+    }
+  }
+
+  window.Paged.registerHandlers(BookMatterHandler);
+}
+
+function buildBookMatterScript({ toc, index, notes, lang }) {
+  const config = JSON.stringify({ toc, index, notes, lang }).replace(/</g, '\\u003c');
+  return `<script>(${registerBookMatter.toString()})(${config});</script>`;
+}
+
+// Missing placements leave the document as it was; say so
+async function checkBookMatter(page, params, diagnostics) {
+  const state = await page.evaluate(() => window.__synoptic_book || null);
+  if (!state) return null;
+  if (state.toc && !state.toc.placed) {
+    addWarning(diagnostics, {
+      code: 'TOC_PLACEMENT_MISSING',
+      message: `No element matches toc.placement "${params.toc.placement}"; no table of contents was generated`,
+    });
+  }
+  if (state.index && !state.index.placed) {
+    addWarning(diagnostics, {
+      code: 'INDEX_PLACEMENT_MISSING',
+      message: `No element matches index.placement "${params.index.placement}"; no index was generated`,
+    });
+  }
+  if (state.notes && !state.notes.placed) {
+    addWarning(diagnostics, {
+      code: 'NOTES_PLACEMENT_MISSING',
+      message: `No element matches notes.placement "${params.notes.placement}"; endnotes were added at the end of the document`,
+    });
+  }
+  return state;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ACCESSIBLE PDF (PDF/UA)
+// `options.accessible` prints a tagged PDF: Chromium builds the structure
+// tree from the semantic HTML and its accessibility tree. Ghostscript,
+// imposition and printer's marks would drop or break it, so they are
+// refused alongside it. The report lists PDF/UA failures in the source.
+// ═══════════════════════════════════════════════════════════════════
+const ACCESSIBILITY_STANDARD = 'PDF/UA-1';
+const MAX_STRUCTURE_ELEMENTS = 100000;
+
+// BCP 47 shape: primary language plus optional subtags
+const LANGUAGE_TAG_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*$/;
+
+function validateAccessibleOptions(options, outputs) {
+  if (options.accessible === undefined || options.accessible === false) return false;
+  if (options.accessible !== true) {
+    throw new RequestError('accessible must be true or false');
+  }
+  const conflicts = [
+    options.cmyk === true && 'cmyk',
+    outputs && 'outputs',
+    options.imposition && 'imposition',
+    options.marks && 'marks',
+  ].filter(Boolean);
+  if (conflicts.length) {
+    throw new RequestError(
+      `options.accessible cannot be combined with ${conflicts.join(', ')}: ` +
+      'Ghostscript, imposition and printer\'s marks drop or break the structure tree',
+      { conflicts }
+    );
+  }
+  return true;
+}
+
+// Runs in the browser before printing. Running heads, folios and the
+// watermark leave the accessibility tree, so Chromium keeps them out of
+// the structure tree; then the semantic HTML is checked.
+function prepareAccessibleDocument({ maxItems }) {
+  for (const el of document.querySelectorAll('.pagedjs_margin, .synoptic-watermark')) {
+    el.setAttribute('aria-hidden', 'true');
+  }
+
+  const hidden = (el) => el.closest('[aria-hidden="true"]') !== null ||
+    ['presentation', 'none'].includes(el.getAttribute('role'));
+  const pageOf = (el) => {
+    const pageEl = el.closest('.pagedjs_page');
+    return pageEl ? Number(pageEl.dataset.pageNumber) : null;
+  };
+  const text = (el) => el.textContent.replace(/\s+/g, ' ').trim().slice(0, 80);
+  const labelled = (el) => Boolean(el.getAttribute('aria-label')?.trim() || el.getAttribute('aria-labelledby'));
+  const collect = (list, item) => {
+    list.total++;
+    if (list.items.length < maxItems) list.items.push(item);
+  };
+  const results = {
+    altText: { total: 0, items: [] },
+    headings: { total: 0, items: [] },
+    tables: { total: 0, items: [] },
+    links: { total: 0, items: [] },
+  };
+
+  // alt="" marks an image as decorative; a missing alt is a failure
+  for (const el of document.querySelectorAll('img, input[type="image"], svg, [role="img"]')) {
+    if (hidden(el)) continue;
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'svg' && el.parentElement?.closest('svg')) continue;
+    const named = tag === 'img' || tag === 'input'
+      ? el.hasAttribute('alt') || labelled(el)
+      : labelled(el) || Boolean(el.querySelector(':scope > title')?.textContent.trim());
+    if (!named) {
+      collect(results.altText, {
+        element: tag,
+        ...(el.getAttribute('src') && { src: el.getAttribute('src').slice(0, 120) }),
+        page: pageOf(el),
+      });
+    }
+  }
+
+  // Paged.js repeats a heading split across pages; only the first counts
+  let previous = 0;
+  for (const el of document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+    if (hidden(el) || el.hasAttribute('data-split-from')) continue;
+    const level = /^H[1-6]$/.test(el.tagName) ? Number(el.tagName[1]) : Number(el.getAttribute('aria-level')) || 2;
+    if (previous === 0 && level !== 1) {
+      collect(results.headings, { heading: `h${level}`, text: text(el), page: pageOf(el), message: `First heading is h${level}, not h1` });
+    } else if (previous > 0 && level > previous + 1) {
+      collect(results.headings, { heading: `h${level}`, text: text(el), page: pageOf(el), message: `h${level} follows h${previous}` });
+    }
+    previous = level;
+  }
+
+  for (const el of document.querySelectorAll('table')) {
+    if (hidden(el) || el.hasAttribute('data-split-from')) continue;
+    if (!el.querySelector('th, [role="columnheader"], [role="rowheader"]')) {
+      collect(results.tables, { text: text(el), page: pageOf(el) });
+    }
+  }
+
+  for (const el of document.querySelectorAll('a[href]')) {
+    if (hidden(el)) continue;
+    const imageAlt = [...el.querySelectorAll('img[alt]')].some(img => img.getAttribute('alt').trim());
+    if (!text(el) && !labelled(el) && !imageAlt) {
+      collect(results.links, { href: el.getAttribute('href').slice(0, 120), page: pageOf(el) });
+    }
+  }
+
+  return results;
+}
+
+// Walks the structure tree Chromium wrote: element count and figures
+// without alternate text
+function inspectStructureTree(pdfDoc) {
+  const { context, catalog } = pdfDoc;
+  const markInfo = catalog.lookup(PDFName.of('MarkInfo'));
+  const marked = markInfo instanceof PDFDict && markInfo.lookup(PDFName.of('Marked')) instanceof PDFBool &&
+    markInfo.lookup(PDFName.of('Marked')).asBoolean();
+  const root = catalog.lookup(PDFName.of('StructTreeRoot'));
+  if (!(root instanceof PDFDict)) return { tagged: false, marked, elements: 0, figures: 0, figuresWithoutAlt: 0 };
+
+  const roleMap = root.lookup(PDFName.of('RoleMap'));
+  const role = (name) => {
+    const mapped = roleMap instanceof PDFDict ? pdfName(roleMap.lookup(PDFName.of(name))) : undefined;
+    return mapped || name;
+  };
+
+  const stats = { tagged: true, marked, elements: 0, figures: 0, figuresWithoutAlt: 0 };
+  const seen = new Set();
+  const stack = [root.get(PDFName.of('K'))];
+  while (stack.length && stats.elements < MAX_STRUCTURE_ELEMENTS) {
+    let node = stack.pop();
+    if (node instanceof PDFRef) {
+      if (seen.has(node.toString())) continue;
+      seen.add(node.toString());
+      node = context.lookup(node);
+    }
+    if (node instanceof PDFArray) {
+      for (let i = node.size() - 1; i >= 0; i--) stack.push(node.get(i));
+      continue;
+    }
+    // Marked-content ids and object references have no structure type
+    if (!(node instanceof PDFDict) || !(node.lookup(PDFName.of('S')) instanceof PDFName)) continue;
+
+    stats.elements++;
+    if (role(pdfName(node.lookup(PDFName.of('S')))) === 'Figure') {
+      stats.figures++;
+      if (!node.has(PDFName.of('Alt')) && !node.has(PDFName.of('ActualText'))) stats.figuresWithoutAlt++;
+    }
+    const kids = node.get(PDFName.of('K'));
+    if (kids) stack.push(kids);
+  }
+  return stats;
+}
+
+// PDF/UA report in the same shape as preflight: checks with a status,
+// a message and capped items
+async function buildAccessibilityReport(pdfBuffer, dom, params) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const structure = inspectStructureTree(pdfDoc);
+  const { title, language } = params.pdfMetadata;
+  const check = (status, message, extra = {}) => ({ status, message, ...extra });
+  const listed = ({ total, items }, status, none, some) =>
+    check(total ? status : 'pass', total ? some(total) : none, { items });
+
+  const checks = {
+    structure: structure.tagged
+      ? check('pass', `${structure.elements} structure elements`, { elements: structure.elements })
+      : check('fail', 'No structure tree; Chromium did not tag the PDF', { elements: 0 }),
+    language: LANGUAGE_TAG_PATTERN.test(language || '')
+      ? check('pass', `Document language is ${language}`, { language })
+      : check('fail', `"${language || ''}" is not a valid language tag; set options.lang`, { language: language || null }),
+    title: title
+      ? check('pass', 'Title is shown in the window title bar')
+      : check('fail', 'No document title; set metadata.title'),
+    altText: dom.altText.total || !structure.figuresWithoutAlt
+      ? listed(dom.altText, 'fail', 'Every image has alternate text', (n) => `${n} image(s) without an alt attribute`)
+      : check('fail', `${structure.figuresWithoutAlt} tagged figure(s) without alternate text`, { items: [] }),
+    headings: listed(dom.headings, 'fail', 'Heading levels are not skipped', (n) => `${n} heading level issue(s)`),
+    tables: listed(dom.tables, 'warn', 'Every table has header cells', (n) => `${n} table(s) without <th> header cells`),
+    links: listed(dom.links, 'fail', 'Every link has text', (n) => `${n} link(s) without text or aria-label`),
+  };
+
+  return {
+    standard: ACCESSIBILITY_STANDARD,
+    status: worstStatus(Object.values(checks).map(entry => entry.status)),
+    checks,
+  };
+}
+
+const summarizeAccessibility = (report) => ({
+  status: report.status,
+  checks: Object.fromEntries(Object.entries(report.checks).map(([name, entry]) => [name, entry.status])),
+});
+
+// Marks the file as tagged and sets tab order to follow the structure on
+// pages with annotations, as PDF/UA requires
+async function markAccessiblePdf(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  if (!pdfDoc.catalog.has(PDFName.of('StructTreeRoot'))) return pdfBuffer;
+  pdfDoc.catalog.set(PDFName.of('MarkInfo'), pdfDoc.context.obj({ Marked: true }));
+  for (const page of pdfDoc.getPages()) {
+    if (page.node.Annots()) page.node.set(PDFName.of('Tabs'), PDFName.of('S'));
+  }
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// INPUT FORMATS (Markdown, DOCX, EPUB)
+// Converts `format` + `source` payloads into HTML that follows the
+// PAGEDJS_CSS conventions: a title page with h1.book-title and
+// .author-name, one .chapter-start section per chapter and inline
+// .footnote spans. Images are kept, inlined as data URIs where needed.
+// ═══════════════════════════════════════════════════════════════════
+const INPUT_FORMATS = ['html', 'markdown', 'docx', 'epub'];
+
+const markdown = new MarkdownIt({ html: true, typographer: true }).use(markdownItFootnote);
+
+// Word styles that carry the front matter
+const DOCX_STYLE_MAP = [
+  "p[style-name='Title'] => h1.book-title:fresh",
+  "p[style-name='Subtitle'] => p.subtitle:fresh",
+  "p[style-name='Author'] => p.author-name:fresh",
+];
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const IMAGE_TYPES = {
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+  '.svg': 'image/svg+xml', '.webp': 'image/webp',
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const decodeXmlText = (value) => value
+  .replace(/<[^>]*>/g, '')
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&')
+  .trim();
+
+const xmlAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${escapeRegExp(name)}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? match[2] ?? match[3] : null;
+};
+
+// First element with the given id, matched to its closing tag. The
+// converters' output is well-formed, so counting same-name tags is enough.
+function findElementById(html, id) {
+  const open = new RegExp(`<([a-zA-Z][\\w:-]*)\\b[^>]*\\sid\\s*=\\s*["']${escapeRegExp(id)}["'][^>]*>`, 'g');
+  const match = open.exec(html);
+  if (!match) return null;
+  if (match[0].endsWith('/>')) return { start: match.index, end: open.lastIndex, inner: '' };
+
+  const tags = new RegExp(`<(/?)${escapeRegExp(match[1])}\\b[^>]*?(/?)>`, 'gi');
+  tags.lastIndex = open.lastIndex;
+  let depth = 1;
+  let tag;
+  while ((tag = tags.exec(html))) {
+    if (tag[2]) continue;
+    depth += tag[1] ? -1 : 1;
+    if (depth === 0) return { start: match.index, end: tags.lastIndex, inner: html.slice(open.lastIndex, tag.index) };
+  }
+  return null;
+}
+
+// Moves every note into its first reference as <span class="footnote">,
+// where Paged.js floats it to the foot of the page. Later references to
+// the same note become <a class="footnote-ref"> links to it, numbered in
+// document order. References are superscript links (markdown-it, mammoth,
+// doubled when Word also sets superscript directly) or EPUB noterefs;
+// back-links are dropped.
+function inlineFootnotes(html) {
+  const refPattern = /((?:<sup\b[^>]*>\s*)+)?<a\b([^>]*)>([\s\S]*?)<\/a>((?:\s*<\/sup>)+)?/g;
+  const refs = [];
+  for (const match of html.matchAll(refPattern)) {
+    const href = xmlAttribute(match[2], 'href');
+    const isNoteRef = /noteref/.test(xmlAttribute(match[2], 'epub:type') || xmlAttribute(match[2], 'role') || '');
+    if (!href || !href.startsWith('#') || !((match[1] && match[4]) || isNoteRef)) continue;
+    refs.push({ target: decodeURIComponent(href.slice(1)), id: xmlAttribute(match[2], 'id') });
+  }
+  if (!refs.length) return html;
+
+  const backlinks = new Set(refs.map(ref => ref.id).filter(Boolean));
+  const notes = new Map();
+  const found = [];
+  for (const target of new Set(refs.map(ref => ref.target))) {
+    const element = findElementById(html, target);
+    if (element) found.push({ target, ...element });
+  }
+  // Remove the notes back to front so earlier offsets stay valid
+  let result = html;
+  for (const note of found.sort((a, b) => b.start - a.start)) {
+    const text = note.inner
+      .replace(/<a\b([^>]*)>[\s\S]*?<\/a>/g, (anchor, attributes) => {
+        const href = xmlAttribute(attributes, 'href') || '';
+        return href.startsWith('#') && backlinks.has(decodeURIComponent(href.slice(1))) ? '' : anchor;
+      })
+      .replace(/<\/p>\s*<p\b[^>]*>/g, '<br>')
+      .replace(/<\/?(p|li|aside|div)\b[^>]*>/g, '')
+      .trim();
+    notes.set(note.target, text);
+    result = result.slice(0, note.start) + result.slice(note.end);
+  }
+
+  const numbers = new Map();
+  result = result.replace(refPattern, (whole, supOpen, attributes, label, supClose) => {
+    const href = xmlAttribute(attributes, 'href') || '';
+    const target = href.startsWith('#') ? decodeURIComponent(href.slice(1)) : null;
+    const note = notes.get(target);
+    if (note === undefined) return whole;
+    const isNoteRef = /noteref/.test(xmlAttribute(attributes, 'epub:type') || xmlAttribute(attributes, 'role') || '');
+    if (!(supOpen && supClose) && !isNoteRef) return whole;
+    // Superscripts the reference shares with its neighbours stay
+    const opens = (supOpen || '').match(/<sup\b/g) || [];
+    const closes = (supClose || '').match(/<\/sup>/g) || [];
+    const paired = Math.min(opens.length, closes.length);
+    const before = '<sup>'.repeat(opens.length - paired);
+    const after = '</sup>'.repeat(closes.length - paired);
+    const id = escapeHtml(target);
+    if (numbers.has(target)) {
+      return `${before}<sup><a class="footnote-ref" href="#${id}">${numbers.get(target)}</a></sup>${after}`;
+    }
+    numbers.set(target, numbers.size + 1);
+    return `${before}<span class="footnote" id="${id}">${note}</span>${after}`;
+  });
+
+  // Lists and sections the notes leave empty
+  return result
+    .replace(/<hr class="footnotes-sep"\s*\/?>/g, '')
+    .replace(/<ol\b[^>]*>\s*<\/ol>/g, '')
+    .replace(/<section class="footnotes"[^>]*>\s*<\/section>/g, '');
+}
+
+// One .chapter-start section per h1; anything before the first chapter
+// (a Word title, an epigraph) becomes front matter
+function wrapChapters(html) {
+  const starts = [...html.matchAll(/<h1\b(?![^>]*book-title)[^>]*>/g)].map(match => match.index);
+  if (!starts.length) return html;
+  const sections = [];
+  const before = html.slice(0, starts[0]);
+  if (before.trim()) sections.push(`<section class="front-matter">${before}</section>`);
+  starts.forEach((start, index) => {
+    sections.push(`<section class="chapter-start">${html.slice(start, starts[index + 1])}</section>`);
+  });
+  return sections.join('\n');
+}
+
+// Title and author strings for the running heads: a title page from the
+// document's metadata, unless the document already has a book title
+// (a Word Title paragraph), which is kept out of the table of contents
+function addTitlePage(html, { title, subtitle, author }) {
+  if (/<h1\b[^>]*class="[^"]*\bbook-title\b/.test(html)) {
+    const marked = html.replace(/<h1\b(?![^>]*data-toc)([^>]*\bbook-title\b[^>]*)>/, '<h1 data-toc="false"$1>');
+    if (!author || /class="[^"]*\bauthor-name\b/.test(marked)) return marked;
+    return marked.replace(/(<h1\b[^>]*book-title[^>]*>[\s\S]*?<\/h1>)/, `$1<p class="author-name">${escapeHtml(author)}</p>`);
+  }
+  if (!title) return html;
+  return `<section class="front-matter title-page">
+  <h1 class="book-title" data-toc="false">${escapeHtml(title)}</h1>
+${subtitle ? `  <p class="subtitle">${escapeHtml(subtitle)}</p>\n` : ''}${author ? `  <p class="author-name">${escapeHtml(author)}</p>\n` : ''}</section>
+${html}`;
+}
+
+// YAML front matter between --- lines at the top of a Markdown file
+function readFrontMatter(source) {
+  const match = source.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\r?\n?/);
+  if (!match) return { data: {}, body: source };
+  let data;
+  try {
+    data = yaml.load(match[1], { schema: yaml.JSON_SCHEMA }) || {};
+  } catch (error) {
+    throw new RequestError(`Invalid Markdown front matter: ${error.message.split('\n')[0]}`);
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new RequestError('Markdown front matter must be a YAML mapping');
+  }
+  return { data, body: source.slice(match[0].length) };
+}
+
+const frontMatterText = (value) => {
+  if (Array.isArray(value)) return value.filter(v => typeof v === 'string' || typeof v === 'number').join(', ');
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+};
+
+function convertMarkdown(source) {
+  const { data, body } = readFrontMatter(source);
+  const metadata = {
+    title: frontMatterText(data.title),
+    subtitle: frontMatterText(data.subtitle),
+    author: frontMatterText(data.author ?? data.authors),
+    subject: frontMatterText(data.subject ?? data.description),
+    keywords: Array.isArray(data.keywords) ? data.keywords.map(frontMatterText).filter(Boolean) : [],
+    isbn: frontMatterText(data.isbn),
+    edition: frontMatterText(data.edition),
+    language: frontMatterText(data.lang ?? data.language),
+  };
+  return { html: wrapChapters(inlineFootnotes(markdown.render(body))), metadata };
+}
+
+async function convertDocx(buffer) {
+  let zip;
+  let result;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+    // Images come through as data URIs (mammoth's default)
+    result = await mammoth.convertToHtml({ buffer }, { styleMap: DOCX_STYLE_MAP });
+  } catch (error) {
+    throw new RequestError(`Could not read the DOCX file: ${error.message}`);
+  }
+  for (const message of result.messages.filter(entry => entry.type === 'error')) {
+    console.warn(`[Input] DOCX: ${message.message}`);
+  }
+
+  // Core properties: docProps/core.xml
+  const core = await zip.file('docProps/core.xml')?.async('string') || '';
+  const property = (name) => {
+    const match = core.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`));
+    return match ? decodeXmlText(match[1]) : '';
+  };
+  const metadata = {
+    title: property('dc:title'),
+    author: property('dc:creator'),
+    subject: property('dc:subject') || property('dc:description'),
+    keywords: property('cp:keywords').split(/[,;]/).map(k => k.trim()).filter(Boolean),
+    language: property('dc:language'),
+  };
+  return { html: wrapChapters(inlineFootnotes(result.value)), metadata };
+}
+
+// Closes XHTML's self-closed non-void elements (<a id="x"/>), which an
+// HTML parser would otherwise leave open
+const closeXhtmlElements = (xhtml) =>
+  xhtml.replace(/<([a-zA-Z][\w:-]*)(\s[^<>]*?)?\s*\/>/g, (whole, tag, attributes = '') =>
+    (VOID_ELEMENTS.has(tag.toLowerCase()) ? whole : `<${tag}${attributes}></${tag}>`));
+
+async function convertEpub(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new RequestError(`Could not read the EPUB file: ${error.message}`);
+  }
+  const read = async (name) => {
+    const file = zip.file(name);
+    if (!file) throw new RequestError(`Invalid EPUB: missing ${name}`);
+    return file.async('string');
+  };
+
+  const container = await read('META-INF/container.xml');
+  const rootfile = container.match(/<rootfile\b[^>]*>/);
+  const opfPath = rootfile && xmlAttribute(rootfile[0], 'full-path');
+  if (!opfPath) throw new RequestError('Invalid EPUB: no rootfile in META-INF/container.xml');
+  const opf = await read(opfPath);
+  const baseDir = path.posix.dirname(opfPath);
+
+  const dc = (name) => {
+    const match = opf.match(new RegExp(`<dc:${name}\\b[^>]*>([\\s\\S]*?)</dc:${name}>`));
+    return match ? decodeXmlText(match[1]) : '';
+  };
+  const creators = [...opf.matchAll(/<dc:creator\b[^>]*>([\s\S]*?)<\/dc:creator>/g)].map(match => decodeXmlText(match[1]));
+  const metadata = {
+    title: dc('title'),
+    author: creators.join(', '),
+    subject: dc('description') || dc('subject'),
+    language: dc('language'),
+    isbn: (dc('identifier').match(/97[89]\d{10}/) || [''])[0],
+  };
+
+  const manifest = new Map();
+  for (const match of opf.matchAll(/<item\b[^>]*>/g)) {
+    const id = xmlAttribute(match[0], 'id');
+    const href = xmlAttribute(match[0], 'href');
+    if (id && href) {
+      manifest.set(id, {
+        path: path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href))),
+        type: xmlAttribute(match[0], 'media-type'),
+        properties: xmlAttribute(match[0], 'properties') || '',
+      });
+    }
+  }
+  const byPath = new Map([...manifest.values()].map(item => [item.path, item]));
+
+  const inlineImage = async (documentPath, reference) => {
+    if (!reference || /^(data:|https?:)/.test(reference)) return reference;
+    const target = path.posix.normalize(path.posix.join(path.posix.dirname(documentPath), decodeURIComponent(reference.split('#')[0])));
+    const file = zip.file(target);
+    if (!file) return reference;
+    const type = byPath.get(target)?.type || IMAGE_TYPES[path.posix.extname(target).toLowerCase()] || 'application/octet-stream';
+    return `data:${type};base64,${await file.async('base64')}`;
+  };
+
+  // Each linear spine document is a chapter; the navigation document is not
+  const chapters = [];
+  for (const match of opf.matchAll(/<itemref\b[^>]*>/g)) {
+    if (xmlAttribute(match[0], 'linear') === 'no') continue;
+    const item = manifest.get(xmlAttribute(match[0], 'idref'));
+    if (!item || item.properties.includes('nav') || !/html/.test(item.type || '')) continue;
+
+    const xhtml = await read(item.path);
+    const body = xhtml.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    if (!body) continue;
+    let content = closeXhtmlElements(body[1]);
+
+    // Images into data URIs; links between chapters become in-document links
+    const images = [...content.matchAll(/(<(?:img|image)\b[^>]*?\s(?:src|xlink:href|href)\s*=\s*")([^"]*)(")/g)];
+    const inlined = await Promise.all(images.map(image => inlineImage(item.path, image[2])));
+    let index = 0;
+    content = content.replace(/(<(?:img|image)\b[^>]*?\s(?:src|xlink:href|href)\s*=\s*")([^"]*)(")/g,
+      (whole, before, reference, after) => `${before}${inlined[index++]}${after}`);
+    content = content.replace(/(<a\b[^>]*\shref\s*=\s*")[^"#:]+\.x?html?(#[^"]*)"/g, '$1$2"');
+
+    chapters.push(`<section class="chapter-start">${content}</section>`);
+  }
+  if (!chapters.length) throw new RequestError('Invalid EPUB: the spine has no XHTML documents');
+
+  return { html: inlineFootnotes(chapters.join('\n')), metadata };
+}
+
+// Returns the request body with `html` filled in from `format` and
+// `source`. Metadata found in the document fills gaps in the request's
+// `metadata`, and its language in `options.lang`.
+async function convertInputDocument(body = {}) {
+  const format = body.format ?? 'html';
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new RequestError(`Unknown input format: ${format}`, { supported: INPUT_FORMATS });
+  }
+  if (format === 'html') return body;
+  if (typeof body.source !== 'string' || !body.source) {
+    throw new RequestError(`format "${format}" needs the document in source (${format === 'markdown' ? 'Markdown text' : 'base64'})`);
+  }
+
+  let converted;
+  if (format === 'markdown') {
+    converted = convertMarkdown(body.source);
+  } else {
+    const buffer = Buffer.from(body.source, 'base64');
+    if (buffer.subarray(0, 2).toString('latin1') !== 'PK') {
+      throw new RequestError(`source is not a base64 ${format.toUpperCase()} file`);
+    }
+    converted = format === 'docx' ? await convertDocx(buffer) : await convertEpub(buffer);
+  }
+
+  const { subtitle, ...documentMetadata } = Object.fromEntries(
+    Object.entries(converted.metadata).filter(([, value]) => (Array.isArray(value) ? value.length : value))
+  );
+  const metadata = { ...documentMetadata, ...body.metadata };
+  const options = body.options || {};
+  return {
+    ...body,
+    html: addTitlePage(converted.html, { ...normalizeMetadata(metadata), subtitle }),
+    metadata,
+    options: { ...options, lang: options.lang || metadata.language },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MAIN PDF GENERATION (with Paged.js + Ghostscript)
+// ═══════════════════════════════════════════════════════════════════
+// /generate bodies in any input format: Markdown, DOCX and EPUB are
+// converted to HTML first
+async function parseGenerateInput(body) {
+  return parseGenerateRequest(await convertInputDocument(body));
+}
+
+function parseGenerateRequest(body = {}) {
+  const { 
+    html, 
+    css, 
+    bleed = 0,
+    metadata = {},
+    options = {}
+  } = body;
+
+  if (!html) {
+    throw new RequestError('Missing required field: html');
+  }
+
+  // The template's trim size applies unless the request sets one
+  const template = resolveTemplate(options.template);
+  const { width = template.definition.size?.width ?? 152, height = template.definition.size?.height ?? 229 } = body;
+
+  // Extract and validate options
+  const outputs = resolveOutputProfiles(options.outputs);
+  const cmykAvailable = CONFIG.enableCmykConversion && ghostscriptAvailable;
+  const convertCMYK = options.cmyk === true && cmykAvailable;
+  const pdfxStandard = options.pdfxStandard || CONFIG.pdfXStandard;
+  validatePdfxStandard(convertCMYK || (cmykAvailable && outputs?.some(output => output.cmyk)), pdfxStandard);
+  const colorConversion = resolveColorConversion(options.colorConversion, { outputIntent: options.outputIntent });
+  const spotColors = resolveSpotColors(options.spotColors);
+  const cmykSettings = { pdfxStandard, outputIntent: options.outputIntent, colorConversion };
+  const usePagedJs = options.usePagedJs !== false && CONFIG.enablePagedJs;
+  const toc = resolveTocOptions(options.toc);
+  const index = resolveIndexOptions(options.index);
+  const notes = resolveNotesOptions(options.notes);
+  if ((toc || index || notes || template.requested) && !usePagedJs) {
+    throw new RequestError('options.template, options.toc, options.index and options.notes need Paged.js; remove usePagedJs: false');
+  }
+  const accessible = validateAccessibleOptions(options, outputs);
+  // Accessible files always get an outline; Chromium's tagged links are kept
+  const navigation = accessible
+    ? { ...(resolveNavigationOptions(options.navigation) || resolveNavigationOptions(true)), links: false }
+    : resolveNavigationOptions(options.navigation);
+
+  return {
+    html,
+    css,
+    width,
+    height,
+    bleed,
+    resolution: Math.min(Math.max(options.resolution || 300, 72), 600),
+    watermark: options.watermark || false,
+    lang: escapeHtml(options.lang || 'en'),
+    usePagedJs,
+    template,
+    cmyk: convertCMYK ? cmykSettings : null,
+    cmykRequested: options.cmyk === true,
+    spotColors,
+    navigation,
+    accessible,
+    toc,
+    index,
+    notes,
+    outputs: outputs && outputs.map(output => ({
+      ...output,
+      cmyk: output.cmyk && cmykAvailable ? cmykSettings : null,
+      cmykRequested: output.cmyk,
+    })),
+    strict: resolveStrict(options),
+    requestTimeout: resolveTimeout(options),
+    safeMetadata: sanitizeMetadata(metadata),
+    pdfMetadata: normalizeMetadata(metadata, { language: options.lang || 'en' }),
+    marks: resolveMarksOptions(options.marks),
+    imposition: resolveImpositionOptions(options.imposition, { width, height }),
+    fonts: resolveRegisteredFonts(options.fonts),
+    preflight: resolvePreflightOptions(options.preflight),
+  };
+}
+
+// Full HTML document for a /generate request. /preview uses the same
+// assembly so editors see what the PDF will contain.
+// The printed sheet: the trim size with the bleed on every side
+function sheetSize({ width, height, bleed }) {
+  const margin = 2 * (parseFloat(bleed) || 0);
+  return { width: Number(width) + margin, height: Number(height) + margin };
+}
+
+function buildGenerateHtml(params) {
+  const { html, css, width, height, bleed, watermark, lang, usePagedJs, safeMetadata } = params;
+  const sheet = sheetSize(params);
+  const bookMatter = usePagedJs && (params.toc || params.index || params.notes);
+
+  // Build watermark HTML
+  const watermarkHTML = watermark ? `
+    <div class="synoptic-watermark" style="
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%) rotate(-45deg);
+      font-family: 'Spectral', serif;
+      font-size: 48pt;
+      font-weight: 900;
+      color: rgba(48, 184, 200, 0.08);
+      white-space: nowrap;
+      pointer-events: none;
+      z-index: 9999;
+      letter-spacing: 0.1em;
+    ">SYNOPTIC STUDIO</div>
+  ` : '';
+
+  // Build full HTML document with Paged.js if enabled
+  const fullHtml = `
+    <!DOCTYPE html>
+    <html lang="${lang}">
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>${safeMetadata.title || 'Synoptic Export'}</title>
+      <meta name="author" content="${safeMetadata.author}">
+      <meta name="description" content="${safeMetadata.subject}">
+      <meta name="keywords" content="${safeMetadata.keywords.join(', ')}">
+      <meta name="generator" content="${safeMetadata.creator}">
+      <style>
+        ${FONT_CSS}
+        ${params.fonts.css}
+        
+        /* Page size CSS variables for Paged.js */
+        :root {
+          --page-width: ${width}mm;
+          --page-height: ${height}mm;
+          --bleed: ${bleed}mm;
+        }
+        ${params.spotColors?.css || ''}
+        
+        ${usePagedJs ? PAGEDJS_CSS + buildTemplateCss(params.template, params.pdfMetadata, { width, height, bleed }) : `
+          @page {
+            size: ${sheet.width}mm ${sheet.height}mm;
+            margin: 0;
+          }
+        `}
+        ${bookMatter ? BOOK_MATTER_CSS : ''}
+        ${bookMatter && params.notes?.mode === 'footnotes' && params.notes.numbering === 'chapter' ? FOOTNOTE_CHAPTER_RESET_CSS : ''}
+        
+        * {
+          -webkit-print-color-adjust: exact !important;
+          print-color-adjust: exact !important;
+          color-adjust: exact !important;
+        }
+        body {
+          margin: 0;
+          padding: ${usePagedJs ? 0 : bleed}mm;
+          background: white;
+        }
+        ${css || ''}
+      </style>
+      ${usePagedJs ? PAGEDJS_POLYFILL : ''}
+      ${bookMatter ? buildBookMatterScript(params) : ''}
+    </head>
+    <body>
+      ${watermarkHTML}
+      ${html}
+    </body>
+    </html>
+  `;
+
+  return fullHtml;
+}
+
+// Loads the assembled document and waits for fonts and pagination.
+// Resolves to the generated TOC/index counts, if any were requested.
+async function loadGenerateDocument(page, params, { jobId, diagnostics, onProgress }) {
+  const { usePagedJs, requestTimeout } = params;
+
+  await page.setContent(resolveAssetUrls(buildGenerateHtml(params)), {
+    waitUntil: ['networkidle0', 'domcontentloaded'],
+    timeout: requestTimeout
+  });
+
+  // Wait for fonts
+  await page.evaluateHandle('document.fonts.ready');
+  await verifyRequiredResources(page, diagnostics, { usePagedJs });
+
+  // If using Paged.js, wait for it to finish rendering
+  if (usePagedJs) {
+    onProgress('paginating');
+    console.log(`[Job ${jobId}] Waiting for Paged.js to render...`);
+    try {
+      await page.waitForFunction('window.__pagedjs_ready === true', {
+        timeout: requestTimeout - 5000, // Leave 5s buffer
+      });
+      metrics.pagedJsRenders++;
+      console.log(`[Job ${jobId}] Paged.js rendering complete`);
+    } catch (e) {
+      reportIssue(diagnostics, 'PAGEDJS_TIMEOUT',
+        'Paged.js did not finish paginating in time; returning a non-paginated render');
+    }
+  }
+
+  return usePagedJs && (params.toc || params.index || params.notes) ? checkBookMatter(page, params, diagnostics) : null;
+}
+
+async function renderGenerateJob(params, jobId, onProgress = () => {}) {
+  const { resolution, requestTimeout } = params;
+  const { width, height } = sheetSize(params);
+  let page = null;
+
+  try {
+    onProgress('loading');
+    page = await browserManager.getPage();
+    const diagnostics = await attachLocalResources(page, createDiagnostics({ jobId, strict: params.strict }));
+
+    // Set viewport to sheet dimensions
+    const pxWidth = Math.round((width / 25.4) * resolution);
+    const pxHeight = Math.round((height / 25.4) * resolution);
+    await page.setViewport({ width: pxWidth, height: pxHeight, deviceScaleFactor: 1 });
+
+    const bookMatter = await loadGenerateDocument(page, params, { jobId, diagnostics, onProgress });
+    const accessibleDom = params.accessible
+      ? await page.evaluate(prepareAccessibleDocument, { maxItems: MAX_PREFLIGHT_ITEMS })
+      : null;
+
+    // Generate PDF
+    onProgress('printing');
+    const pdfOptions = {
+      width: `${width}mm`,
+      height: `${height}mm`,
+      printBackground: true,
+      preferCSSPageSize: true,
+      displayHeaderFooter: false,
+      margin: { top: 0, right: 0, bottom: 0, left: 0 },
+      timeout: requestTimeout,
+      ...(params.accessible && { tagged: true }),
+    };
+
+    const pdf = await page.pdf(pdfOptions);
+    const accessibility = accessibleDom ? await buildAccessibilityReport(pdf, accessibleDom, params) : null;
+
+    // The screen edition always gets an outline and links
+    const navigationOptions = params.navigation ||
+      (params.outputs?.some(output => output.name === 'screen') ? resolveNavigationOptions(true) : null);
+    const navigation = navigationOptions ? await measureNavigation(page, params, navigationOptions) : null;
+    await page.close();
+    page = null;
+
+    return await finishGenerateJob(pdf, params, { jobId, diagnostics, onProgress, navigation, bookMatter, accessibility });
+  } finally {
+    if (page) {
+      try { await page.close(); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+// Everything after printing: output profiles, or finalizePdf, preflight
+// and imposition for a single file. Shared by /generate and /generate-book.
+async function finishGenerateJob(pdf, params, {
+  jobId, label = 'Job', diagnostics, onProgress, navigation = null, bookMatter = null, accessibility = null,
+}) {
+  const { bleed, resolution, usePagedJs, safeMetadata } = params;
+
+  if (params.outputs) {
+    return renderOutputProfiles(pdf, params, { jobId, diagnostics, onProgress, navigation, bookMatter });
+  }
+
+  const { pdf: finalPdf, conversion, spots, navigation: navigationStats } = await finalizePdf(pdf, {
+    jobId,
+    label,
+    bleed,
+    marks: params.marks,
+    metadata: params.pdfMetadata,
+    cmyk: params.cmyk,
+    cmykRequested: params.cmykRequested,
+    spotColors: params.spotColors,
+    navigation,
+    accessibility,
+    diagnostics,
+    onProgress,
+  });
+
+  const fontReport = await buildFontReport(finalPdf, params.fonts.families);
+  for (const family of fontReport.fallback) {
+    reportIssue(diagnostics, 'FONT_MISSING', `Registered font "${family}" was not embedded; a fallback font was used`, { family });
+  }
+  const pageCount = (await PDFDocument.load(finalPdf, { updateMetadata: false })).getPageCount();
+
+  let preflight = null;
+  if (params.preflight) {
+    onProgress('preflight');
+    preflight = await runPreflight(finalPdf, {
+      ...params.preflight,
+      expectCmyk: params.preflight.expectCmyk ?? params.cmykRequested,
+      pdfxStandard: params.preflight.pdfxStandard || (conversion?.standard ? resolvePdfxStandard(conversion.standard) : undefined),
+    }, jobId);
+  }
+
+  // Sheets for the press; page count and preflight describe the interior
+  let imposition = null;
+  let outputPdf = finalPdf;
+  if (params.imposition) {
+    onProgress('imposing');
+    ({ pdf: outputPdf, stats: imposition } = await imposePdf(finalPdf, params.imposition, { diagnostics }));
+  }
+
+  // Response headers
+  const filename = (safeMetadata.title || 'export').replace(/[^a-zA-Z0-9-_]/g, '_');
+  return {
+    pdf: outputPdf,
+    filename: `${filename}.pdf`,
+    pageCount,
+    preflight,
+    accessibility,
+    warnings: diagnostics.warnings,
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+      'X-PDF-Title': safeMetadata.title,
+      'X-PDF-Author': safeMetadata.author,
+      'X-PDF-Creator': safeMetadata.creator,
+      'X-PDF-Producer': safeMetadata.producer,
+      'X-PDF-Resolution': `${resolution}dpi`,
+      'X-PDF-Color-Space': describeColorSpace(conversion),
+      ...(conversion?.inkCoverage && { 'X-PDF-Ink-Coverage': jsonHeader(conversion.inkCoverage) }),
+      ...(spots && { 'X-PDF-Spot-Colors': jsonHeader(spots) }),
+      'X-PDF-Paged-JS': usePagedJs ? 'true' : 'false',
+      ...(usePagedJs && { 'X-PDF-Template': `${params.template.name}@${params.template.version}` }),
+      'X-PDF-Page-Count': String(pageCount),
+      ...(navigationStats && { 'X-PDF-Navigation': jsonHeader(navigationStats) }),
+      ...(bookMatter && { 'X-PDF-Book-Matter': jsonHeader(bookMatter) }),
+      ...(imposition && { 'X-PDF-Imposition': jsonHeader(imposition) }),
+      ...(preflight && { 'X-PDF-Preflight': jsonHeader(summarizePreflight(preflight)) }),
+      ...(accessibility && { 'X-PDF-Accessibility': jsonHeader(summarizeAccessibility(accessibility)) }),
+      'X-PDF-Marks': params.marks ? 'true' : 'false',
+      'X-PDF-Fonts': jsonHeader(fontReport),
+      ...warningHeaders(diagnostics),
+    },
+  };
+}
+
+app.post('/generate', authenticateRequest, async (req, res) => {
+  metrics.totalRequests++;
+
+  let params;
+  try {
+    params = await parseGenerateInput(req.body);
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
+
+  const jobId = crypto.randomBytes(8).toString('hex');
+  await respondWithRender(res, jobId, 'Job', () => renderGenerateJob(params, jobId));
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// BOOK ASSEMBLY
+// A book manifest lists its front matter, chapters and back matter as
+// separate parts. Each part is paginated in its own Chromium page, so no
+// single setContent holds the whole book, and copied into one pdf-lib
+// document as soon as it is printed. Page boxes, marks, the outline and
+// the CMYK pass then run once on the merged file. Parts are given inline
+// or as HTML assets uploaded beforehand, which keeps manifests small.
+// ═══════════════════════════════════════════════════════════════════
+const MAX_BOOK_PARTS = 500;
+// Default folio style of each role
+const BOOK_PART_ROLES = { 'front-matter': 'roman', chapter: 'arabic', 'back-matter': 'arabic' };
+const BOOK_NUMBERING = { roman: 'lower-roman', arabic: 'decimal' };
+const BOOK_PART_STARTS = ['recto', 'verso', 'any'];
+
+function resolveBookParts(parts) {
+  if (!Array.isArray(parts) || !parts.length) {
+    throw new RequestError('parts must be a non-empty array of { html or asset, css, role, numbering, startOn }');
+  }
+  if (parts.length > MAX_BOOK_PARTS) {
+    throw new RequestError(`A book can have at most ${MAX_BOOK_PARTS} parts`);
+  }
+
+  return parts.map((part, index) => {
+    const field = `parts[${index}]`;
+    if (!part || typeof part !== 'object' || Array.isArray(part)) {
+      throw new RequestError(`${field} must be an object`);
+    }
+    if ((part.html === undefined) === (part.asset === undefined)) {
+      throw new RequestError(`${field} needs either html or asset`);
+    }
+    if (part.html !== undefined && (typeof part.html !== 'string' || !part.html)) {
+      throw new RequestError(`${field}.html must be a non-empty string`);
+    }
+    let asset = null;
+    if (part.asset !== undefined) {
+      const id = typeof part.asset === 'string' ? part.asset.replace(/^asset:\/\//, '').toLowerCase() : '';
+      asset = assetRegistry.find(entry => entry.id === id && entry.type === 'html');
+      if (!asset || !fs.existsSync(path.join(CONFIG.assetDir, asset.file))) {
+        throw new RequestError(`${field}.asset is not a stored HTML asset: ${part.asset}`);
+      }
+    }
+    if (part.css !== undefined && typeof part.css !== 'string') {
+      throw new RequestError(`${field}.css must be a string`);
+    }
+    const role = part.role ?? 'chapter';
+    if (!BOOK_PART_ROLES[role]) {
+      throw new RequestError(`Unknown ${field}.role: ${role}`, { supported: Object.keys(BOOK_PART_ROLES) });
+    }
+    const numbering = part.numbering ?? BOOK_PART_ROLES[role];
+    if (!BOOK_NUMBERING[numbering]) {
+      throw new RequestError(`Unknown ${field}.numbering: ${numbering}`, { supported: Object.keys(BOOK_NUMBERING) });
+    }
+    const startOn = part.startOn ?? 'recto';
+    if (!BOOK_PART_STARTS.includes(startOn)) {
+      throw new RequestError(`Unknown ${field}.startOn: ${startOn}`, { supported: BOOK_PART_STARTS });
+    }
+    return {
+      html: part.html ?? null,
+      asset: asset && { id: asset.id, file: asset.file },
+      css: part.css || '',
+      role,
+      numbering,
+      startOn,
+    };
+  });
+}
+
+// Parts stored as assets are read when their turn comes, so a book never
+// holds every part in memory at once
+function readBookPartHtml(part) {
+  if (part.html) return part.html;
+  try {
+    return fs.readFileSync(path.join(CONFIG.assetDir, part.asset.file), 'utf8');
+  } catch (error) {
+    throw new RenderError('RESOURCE_FAILED', `Book part asset ${part.asset.id} is no longer stored`);
+  }
+}
+
+// Book-wide css, metadata and options are those of /generate. The book
+// gets an outline unless navigation is false; PDF/X books leave out links,
+// which PDF/X forbids.
+function parseBookRequest(body = {}) {
+  const parts = resolveBookParts(body.parts);
+  const options = body.options || {};
+  if (options.usePagedJs === false || !CONFIG.enablePagedJs) {
+    throw new RequestError('Books need Paged.js to number their pages');
+  }
+  if (options.toc || options.index) {
+    throw new RequestError('options.toc and options.index only see one part of a book; put the contents and index in their own parts');
+  }
+  if (options.accessible) {
+    throw new RequestError('accessible is not available for books: merged parts lose their structure trees');
+  }
+
+  // Parts are read when they are rendered; the first one's source only
+  // stands in for /generate's html
+  const params = parseGenerateRequest({
+    ...body,
+    html: parts[0].html ?? `asset://${parts[0].asset.id}`,
+    options: { ...options, navigation: options.navigation ?? { links: options.cmyk !== true } },
+  });
+  return { ...params, parts };
+}
+
+// Part template: the book's template with the part's folio style. The
+// template's own front-matter numbering is replaced by the parts'.
+const bookPartTemplate = (template, numbering) => ({
+  ...template,
+  definition: {
+    ...template.definition,
+    folio: { ...template.definition.folio, style: BOOK_NUMBERING[numbering] },
+    frontMatter: null,
+  },
+});
+
+// Paged.js makes the first page a recto. A part that opens on a verso is
+// laid out behind a throwaway lead page, which is dropped when merging.
+function buildBookPartHtml(part, { firstFolio, lead }) {
+  const css = `
+  .synoptic-book-part {
+    counter-reset: page ${firstFolio};${lead ? `
+    break-before: left;` : ''}
+  }
+  .synoptic-book-lead {
+    height: 1px;
+  }`;
+  return {
+    html: `${lead ? '<div class="synoptic-book-lead"></div>' : ''}<div class="synoptic-book-part">${readBookPartHtml(part)}</div>`,
+    css,
+  };
+}
+
+// Moves a part's bookmarks and links to their pages in the merged book;
+// anything on the first `skip` (lead) pages is dropped with them
+function offsetNavigation(navigation, { offset, skip }) {
+  const kept = (page) => page > skip;
+  return {
+    bookmarks: navigation.bookmarks
+      .filter(bookmark => kept(bookmark.page))
+      .map(bookmark => ({ ...bookmark, page: bookmark.page + offset })),
+    links: navigation.links
+      .filter(link => kept(link.page) && kept(link.target.page))
+      .map(link => ({ ...link, page: link.page + offset, target: { ...link.target, page: link.target.page + offset } })),
+  };
+}
+
+async function renderBookPart(part, params, { jobId, index, firstFolio, lead, diagnostics }) {
+  const { resolution, requestTimeout } = params;
+  const { width, height } = sheetSize(params);
+  const { html, css } = buildBookPartHtml(part, { firstFolio, lead });
+  const partParams = {
+    ...params,
+    html,
+    css: [params.css, part.css, css].filter(Boolean).join('\n'),
+    template: bookPartTemplate(params.template, part.numbering),
+  };
+  let page = null;
+
+  try {
+    page = await browserManager.getPage();
+    await attachLocalResources(page, diagnostics);
+    await page.setViewport({
+      width: Math.round((width / 25.4) * resolution),
+      height: Math.round((height / 25.4) * resolution),
+      deviceScaleFactor: 1,
+    });
+
+    console.log(`[Book ${jobId}] Rendering part ${index + 1}/${params.parts.length} (${part.role})`);
+    await loadGenerateDocument(page, partParams, { jobId, diagnostics, onProgress: () => {} });
+    const pdf = await page.pdf({
+      width: `${width}mm`,
+      height: `${height}mm`,
+      printBackground: true,
+      preferCSSPageSize: true,
+      displayHeaderFooter: false,
+      margin: { top: 0, right: 0, bottom: 0, left: 0 },
+      timeout: requestTimeout,
+    });
+    const navigation = params.navigation ? await measureNavigation(page, partParams, params.navigation) : null;
+    return { pdf, navigation };
+  } finally {
+    if (page) {
+      try { await page.close(); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+async function renderBookJob(params, jobId, onProgress = () => {}) {
+  const diagnostics = createDiagnostics({ jobId, strict: params.strict });
+  const book = await PDFDocument.create({ updateMetadata: false });
+  const sheet = sheetSize(params);
+  const bookmarks = [];
+  const links = [];
+  const parts = [];
+  let folio = 0;
+  let numbering = null;
+
+  onProgress('rendering');
+  for (const [index, part] of params.parts.entries()) {
+    // A blank page, if needed, so the part opens on the requested side.
+    // Blanks take a folio in the sequence they end; nothing is printed.
+    let before = book.getPageCount();
+    const blank = (part.startOn === 'recto' && before % 2 === 1) || (part.startOn === 'verso' && before % 2 === 0);
+    if (blank) {
+      const size = before ? book.getPage(before - 1).getSize() : { width: sheet.width * MM_TO_PT, height: sheet.height * MM_TO_PT };
+      book.addPage([size.width, size.height]);
+      before++;
+      folio++;
+    }
+
+    // Folios run on while the numbering style stays the same
+    const firstFolio = part.numbering === numbering ? folio + 1 : 1;
+    const lead = before % 2 === 1;
+    const rendered = await renderBookPart(part, params, { jobId, index, firstFolio, lead, diagnostics });
+
+    const partDoc = await PDFDocument.load(rendered.pdf, { updateMetadata: false });
+    const indices = partDoc.getPageIndices().slice(lead ? 1 : 0);
+    if (!indices.length) {
+      addWarning(diagnostics, { code: 'BOOK_PART_EMPTY', message: `Part ${index + 1} produced no pages`, part: index + 1 });
+      continue;
+    }
+    for (const page of await book.copyPages(partDoc, indices)) {
+      // Chromium's named destinations stay behind in the part's catalog
+      const annots = page.node.Annots();
+      if (annots) {
+        const kept = annots.asArray().filter(ref => !isInternalLink(book.context.lookup(ref)));
+        if (kept.length) page.node.set(PDFName.of('Annots'), book.context.obj(kept));
+        else page.node.delete(PDFName.of('Annots'));
+      }
+      book.addPage(page);
+    }
+
+    if (rendered.navigation) {
+      const moved = offsetNavigation(rendered.navigation, { offset: before - (lead ? 1 : 0), skip: lead ? 1 : 0 });
+      bookmarks.push(...moved.bookmarks);
+      links.push(...moved.links);
+    }
+    parts.push({
+      part: index + 1,
+      role: part.role,
+      numbering: part.numbering,
+      firstPage: before + 1,
+      pages: indices.length,
+      firstFolio,
+      blankBefore: blank,
+    });
+    folio = firstFolio + indices.length - 1;
+    numbering = part.numbering;
+  }
+
+  onProgress('assembling');
+  const pdf = Buffer.from(await book.save({ useObjectStreams: false }));
+  const navigation = params.navigation ? { ...params.navigation, bookmarks, links } : null;
+  const result = await finishGenerateJob(pdf, params, { jobId, label: 'Book', diagnostics, onProgress, navigation });
+
+  const blankPages = parts.filter(part => part.blankBefore).length;
+  result.book = { parts, blankPages };
+  result.headers['X-PDF-Book'] = jsonHeader({ parts: parts.length, blankPages });
+  return result;
+}
+
+app.post('/generate-book', authenticateRequest, async (req, res) => {
+  metrics.totalRequests++;
+
+  let params;
+  try {
+    params = parseBookRequest(req.body);
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
+
+  const jobId = crypto.randomBytes(8).toString('hex');
+  await respondWithRender(res, jobId, 'Book', () => renderBookJob(params, jobId));
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// SPINE WIDTH & PAPER STOCKS
+// Spine = leaves x caliper. Built-in stocks can be overridden or extended
+// with a JSON file: { "<id>": { "name": "...", "ppi": 444 } } or
+// { "<id>": { "name": "...", "caliper": 0.1 } } (mm per leaf).
+// ═══════════════════════════════════════════════════════════════════
+const DEFAULT_SPINE_WIDTH = 10;
+
+const DEFAULT_PAPER_STOCKS = {
+  'kdp-white': { name: 'KDP white (55 lb)', ppi: 444 },
+  'kdp-cream': { name: 'KDP cream (55 lb)', ppi: 400 },
+  'kdp-color': { name: 'KDP premium color (70 lb)', ppi: 426 },
+  'uncoated-80': { name: 'Uncoated offset 80 gsm', caliper: 0.1 },
+  'uncoated-90': { name: 'Uncoated offset 90 gsm', caliper: 0.11 },
+  'bulky-80': { name: 'Bulky book wove 80 gsm', caliper: 0.14 },
+  'coated-115': { name: 'Coated silk 115 gsm', caliper: 0.095 },
+  'coated-150': { name: 'Coated silk 150 gsm', caliper: 0.13 },
+};
+
+// PPI counts pages (two per leaf) per inch
+const ppiToCaliper = (ppi) => (25.4 / ppi) * 2;
+
+function validateCaliper(caliper, ppi, source) {
+  const mmPerLeaf = ppi !== undefined ? ppiToCaliper(ppi) : caliper;
+  if (!Number.isFinite(mmPerLeaf) || mmPerLeaf <= 0 || mmPerLeaf > 2) {
+    throw new RequestError(`Invalid caliper for ${source}: expected ppi > 0 or caliper in mm per leaf`);
+  }
+  return mmPerLeaf;
+}
+
+function loadPaperStocks() {
+  const stocks = {};
+  for (const [id, stock] of Object.entries(DEFAULT_PAPER_STOCKS)) {
+    stocks[id] = { ...stock, caliper: validateCaliper(stock.caliper, stock.ppi, id) };
+  }
+  if (!CONFIG.paperStocksFile) return stocks;
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(CONFIG.paperStocksFile, 'utf8'));
+    for (const [id, stock] of Object.entries(custom)) {
+      stocks[id] = { name: stock.name || id, ...stock, caliper: validateCaliper(stock.caliper, stock.ppi, id) };
+    }
+    console.log(`[Spine] Loaded ${Object.keys(custom).length} paper stocks from ${CONFIG.paperStocksFile}`);
+  } catch (err) {
+    console.error(`[Spine] Could not load ${CONFIG.paperStocksFile}:`, err.message);
+  }
+  return stocks;
+}
+
+const paperStocks = loadPaperStocks();
+
+// Page count from the request or from a completed async /generate job
+function resolveInteriorPageCount(spine) {
+  if (spine.pageCount !== undefined) {
+    if (!Number.isInteger(spine.pageCount) || spine.pageCount < 1) {
+      throw new RequestError('spine.pageCount must be a positive integer');
+    }
+    return spine.pageCount;
+  }
+
+  const job = jobs.get(String(spine.interiorJobId));
+  if (!job || job.type !== 'generate') {
+    throw new RequestError(`Unknown interior job: ${spine.interiorJobId}`);
+  }
+  if (job.state !== 'completed' || !job.pageCount) {
+    throw new RequestError(`Interior job ${job.id} has no result (state: ${job.state})`);
+  }
+  return job.pageCount;
+}
+
+// Explicit spine.width wins; otherwise pageCount (or interiorJobId) with a
+// paperStock, ppi or caliper. Without either, the legacy 10 mm default.
+function resolveSpine(spine) {
+  if (spine.width !== undefined) {
+    if (!Number.isFinite(spine.width) || spine.width < 0) throw new RequestError('spine.width must be a non-negative number (mm)');
+    return { width: spine.width, calculation: null };
+  }
+  if (spine.pageCount === undefined && spine.interiorJobId === undefined) {
+    return { width: DEFAULT_SPINE_WIDTH, calculation: null };
+  }
+
+  const pageCount = resolveInteriorPageCount(spine);
+  let caliper;
+  let paperStock = null;
+  if (spine.ppi !== undefined || spine.caliper !== undefined) {
+    caliper = validateCaliper(spine.caliper, spine.ppi, 'spine');
+  } else if (spine.paperStock) {
+    const stock = paperStocks[spine.paperStock];
+    if (!stock) {
+      throw new RequestError(`Unknown paper stock: ${spine.paperStock}`, {
+        supported: Object.keys(paperStocks),
+      });
+    }
+    caliper = stock.caliper;
+    paperStock = spine.paperStock;
+  } else {
+    throw new RequestError('spine.pageCount requires spine.paperStock, spine.ppi or spine.caliper');
+  }
+
+  // A leaf carries two pages; an odd count still uses a whole leaf
+  const leaves = Math.ceil(pageCount / 2);
+  const width = Math.round(leaves * caliper * 100) / 100;
+  return {
+    width,
+    calculation: { pageCount, leaves, paperStock, caliper: Math.round(caliper * 10000) / 10000 },
+  };
+}
+
+// Printers refuse spine text on spines too narrow to hold it
+function validateSpineText(spine, spineWidth) {
+  const text = String(spine?.html || '').replace(/<[^>]*>/g, '').trim();
+  if (text && spineWidth < CONFIG.minSpineTextWidth) {
+    throw new RequestError(
+      `Spine is ${spineWidth}mm wide; spine text needs at least ${CONFIG.minSpineTextWidth}mm`,
+      { spineWidth, minimumSpineTextWidth: CONFIG.minSpineTextWidth }
+    );
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// COVER BINDINGS & PANELS
+// Every binding is a row of panels between an outer margin: bleed for
+// paperbacks and dust jackets, the board turn-in for case wraps.
+// Coordinates are mm from the top-left corner of the sheet.
+// ═══════════════════════════════════════════════════════════════════
+const BINDINGS = ['paperback', 'casewrap', 'dustjacket'];
+
+const CASE_DEFAULTS = {
+  wrap: 15,           // turn-in folded over the board edges
+  hinge: 8,           // joint between each board and the spine
+  boardOverhang: 3,   // board extends past the trim at head, tail and fore-edge
+  boardThickness: 2.5,
+};
+
+const DEFAULT_FLAP_WIDTH = 80;
+
+function resolveCaseOptions(caseOptions = {}) {
+  const resolved = { ...CASE_DEFAULTS };
+  for (const key of Object.keys(CASE_DEFAULTS)) {
+    if (caseOptions[key] === undefined) continue;
+    if (!(typeof caseOptions[key] === 'number' && caseOptions[key] >= 0)) {
+      throw new RequestError(`case.${key} must be a non-negative number (mm)`);
+    }
+    resolved[key] = caseOptions[key];
+  }
+  return resolved;
+}
+
+const roundMm = (value) => Math.round(value * 100) / 100;
+
+// Spine widths derived from a page count measure the book block; hardcover
+// spines also span both boards
+function buildCoverLayout({ binding, dimensions, bleed, spineWidth, spineDerived, caseOptions, flaps }) {
+  if (!BINDINGS.includes(binding)) {
+    throw new RequestError(`Unsupported binding: ${binding}`, { supported: BINDINGS });
+  }
+
+  const hardcover = binding !== 'paperback';
+  const caseSpec = hardcover ? resolveCaseOptions(caseOptions) : null;
+  const spine = hardcover && spineDerived ? spineWidth + 2 * caseSpec.boardThickness : spineWidth;
+  const panelWidth = hardcover ? dimensions.width + caseSpec.boardOverhang : dimensions.width;
+  const panelHeight = hardcover ? dimensions.height + 2 * caseSpec.boardOverhang : dimensions.height;
+  const margin = binding === 'casewrap' ? caseSpec.wrap : bleed;
+
+  const flapWidth = flaps?.width ?? DEFAULT_FLAP_WIDTH;
+  if (binding === 'dustjacket' && !(typeof flapWidth === 'number' && flapWidth > 0 && flapWidth <= panelWidth)) {
+    throw new RequestError(`flaps.width must be between 0 and the panel width (${roundMm(panelWidth)}mm)`);
+  }
+
+  const row = [
+    binding === 'dustjacket' && ['back-flap', flapWidth],
+    ['back-cover', panelWidth],
+    hardcover && ['back-hinge', caseSpec.hinge],
+    ['spine', spine],
+    hardcover && ['front-hinge', caseSpec.hinge],
+    ['front-cover', panelWidth],
+    binding === 'dustjacket' && ['front-flap', flapWidth],
+  ].filter(Boolean);
+
+  let x = margin;
+  const panels = row.map(([name, width]) => {
+    const panel = { name, x: roundMm(x), y: roundMm(margin), width: roundMm(width), height: roundMm(panelHeight) };
+    x += width;
+    return panel;
+  });
+
+  return {
+    binding,
+    margin: roundMm(margin),
+    spineWidth: roundMm(spine),
+    fullWidth: roundMm(x + margin),
+    fullHeight: roundMm(panelHeight + 2 * margin),
+    case: caseSpec,
+    panels,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ISBN BARCODES
+// EAN-13 (+ optional EAN-5 price add-on) drawn as vector bars in 100% K
+// onto the printed cover, so CMYK conversion keeps it pure black
+// ═══════════════════════════════════════════════════════════════════
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_R = EAN_L.map(code => code.replace(/./g, bit => (bit === '1' ? '0' : '1')));
+const EAN_G = EAN_R.map(code => [...code].reverse().join(''));
+const EAN_CODES = { L: EAN_L, G: EAN_G, R: EAN_R };
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+const EAN5_PARITY = ['GGLLL', 'GLGLL', 'GLLGL', 'GLLLG', 'LGGLL', 'LLGGL', 'LLLGG', 'LGLGL', 'LGLLG', 'LLGLG'];
+
+// First digit of the EAN-5 add-on by currency (Bookland convention)
+const PRICE_CURRENCIES = { GBP: '0', AUD: '3', NZD: '4', USD: '5', CAD: '6' };
+
+// Dimensions at 100% magnification, in modules (0.33 mm) unless noted
+const BARCODE_SPEC = {
+  module: 0.33,        // mm
+  barHeight: 22.85,    // mm, main bars
+  guardExtension: 5,   // guard bars run this far below the main bars
+  quietLeft: 11,
+  quietRight: 7,
+  addonGap: 9,
+  addonQuietRight: 5,
+  textSize: 2.75,      // mm, human-readable digits
+  minScale: 0.8,
+  maxScale: 2,
+};
+
+const BARCODE_FONT_FILE = path.join(CONFIG.fontDir, 'geist', 'files', 'geist-latin-400-normal.woff2');
+
+function validateIsbn13(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^97[89]\d{10}$/.test(digits)) {
+    throw new RequestError(`Invalid ISBN-13: ${value}`, { hint: 'Expected 13 digits starting with 978 or 979' });
+  }
+  const sum = [...digits.slice(0, 12)].reduce((acc, d, i) => acc + Number(d) * (i % 2 ? 3 : 1), 0);
+  if ((10 - (sum % 10)) % 10 !== Number(digits[12])) {
+    throw new RequestError(`Invalid ISBN-13 checksum: ${value}`);
+  }
+  return digits;
+}
+
+// "51999", "none" or { currency: "USD", amount: 19.99 } -> 5 add-on digits
+function resolvePriceAddon(price) {
+  if (price === undefined || price === null) return null;
+  if (price === 'none') return '90000';
+  if (typeof price === 'string' && /^\d{5}$/.test(price)) return price;
+
+  const prefix = PRICE_CURRENCIES[String(price?.currency).toUpperCase()];
+  const cents = Math.round(Number(price?.amount) * 100);
+  if (!prefix || !Number.isFinite(cents) || cents < 0 || cents > 9999) {
+    throw new RequestError('price must be 5 digits, "none" or { currency, amount } with amount below 100', {
+      currencies: Object.keys(PRICE_CURRENCIES),
+    });
+  }
+  return prefix + String(cents).padStart(4, '0');
+}
+
+const encodeEan13 = (digits) => '101' +
+  [...digits.slice(1, 7)].map((d, i) => EAN_CODES[EAN13_PARITY[digits[0]][i]][d]).join('') +
+  '01010' +
+  [...digits.slice(7)].map(d => EAN_R[d]).join('') +
+  '101';
+
+function encodeEan5(digits) {
+  const d = [...digits].map(Number);
+  const parity = EAN5_PARITY[(3 * (d[0] + d[2] + d[4]) + 9 * (d[1] + d[3])) % 10];
+  return '1011' + d.map((digit, i) => EAN_CODES[parity[i]][digit]).join('01');
+}
+
+const BARCODE_POSITIONS = ['bottom-right', 'bottom-left', 'bottom-center'];
+
+function resolveBarcodeOptions({ isbn, price, barcode = {} }) {
+  if (isbn === undefined || isbn === null) {
+    if (price !== undefined) throw new RequestError('price requires isbn');
+    return null;
+  }
+
+  const scale = barcode.scale ?? 1;
+  if (!(scale >= BARCODE_SPEC.minScale && scale <= BARCODE_SPEC.maxScale)) {
+    throw new RequestError(`barcode.scale must be between ${BARCODE_SPEC.minScale} and ${BARCODE_SPEC.maxScale}`);
+  }
+  const position = barcode.position || 'bottom-right';
+  if (!BARCODE_POSITIONS.includes(position)) {
+    throw new RequestError(`Unsupported barcode.position: ${position}`, { supported: BARCODE_POSITIONS });
+  }
+  for (const key of ['x', 'y', 'margin']) {
+    if (barcode[key] !== undefined && !(typeof barcode[key] === 'number' && barcode[key] >= 0)) {
+      throw new RequestError(`barcode.${key} must be a non-negative number (mm)`);
+    }
+  }
+
+  return {
+    isbn: validateIsbn13(isbn),
+    label: `ISBN ${/-/.test(isbn) ? String(isbn).trim() : validateIsbn13(isbn)}`,
+    addon: resolvePriceAddon(price),
+    scale,
+    position,
+    x: barcode.x,
+    y: barcode.y,
+    margin: barcode.margin ?? 10,
+    background: barcode.background !== false,
+  };
+}
+
+// Size of the symbol box (quiet zones and text included), in mm
+function measureBarcode(options) {
+  const { module, barHeight, guardExtension, quietLeft, quietRight, addonGap, addonQuietRight, textSize } = BARCODE_SPEC;
+  const modules = quietLeft + 95 + (options.addon ? addonGap + 47 + addonQuietRight : quietRight);
+  const x = module * options.scale;
+  return {
+    moduleWidth: x,
+    width: modules * x,
+    // ISBN label above, digits below the guard bars
+    height: (textSize * 1.6 + barHeight + textSize * 1.2) * options.scale + guardExtension * x,
+  };
+}
+
+// Top-left of the barcode box on the sheet, from the back-cover panel
+function placeBarcode(options, panel) {
+  const size = measureBarcode(options);
+  const left = options.x ?? {
+    'bottom-right': panel.width - options.margin - size.width,
+    'bottom-left': options.margin,
+    'bottom-center': (panel.width - size.width) / 2,
+  }[options.position];
+  const top = options.y ?? panel.height - options.margin - size.height;
+
+  if (left < 0 || top < 0 || left + size.width > panel.width || top + size.height > panel.height) {
+    throw new RequestError(`Barcode (${roundMm(size.width)} x ${roundMm(size.height)}mm) does not fit on the back cover at that position`);
+  }
+  return { ...size, left: panel.x + left, top: panel.y + top };
+}
+
+let barcodeFontBytes;
+
+async function embedBarcodeFont(pdfDoc, diagnostics) {
+  if (barcodeFontBytes === undefined) {
+    barcodeFontBytes = fs.existsSync(BARCODE_FONT_FILE) ? fs.readFileSync(BARCODE_FONT_FILE) : null;
+  }
+  if (barcodeFontBytes) {
+    pdfDoc.registerFontkit(fontkit);
+    return pdfDoc.embedFont(barcodeFontBytes, { subset: true });
+  }
+  reportIssue(diagnostics, 'FONT_MISSING', `Barcode font ${BARCODE_FONT_FILE} not found; using non-embedded Helvetica`);
+  return pdfDoc.embedFont(StandardFonts.Helvetica);
+}
+
+// Fills each run of 1s in a bar pattern as one rectangle
+function drawBars(page, pattern, { x, top, moduleWidth, height, tall = [], extension = 0, pageHeight }) {
+  const black = cmyk(0, 0, 0, 1);
+  for (let i = 0; i < pattern.length;) {
+    if (pattern[i] !== '1') { i++; continue; }
+    let end = i;
+    while (pattern[end] === '1') end++;
+    const barHeight = height + (tall.some(([from, to]) => i >= from && i < to) ? extension : 0);
+    page.drawRectangle({
+      x: (x + i * moduleWidth) * MM_TO_PT,
+      y: pageHeight - (top + barHeight) * MM_TO_PT,
+      width: (end - i) * moduleWidth * MM_TO_PT,
+      height: barHeight * MM_TO_PT,
+      color: black,
+    });
+    i = end;
+  }
+}
+
+async function drawCoverBarcode(pdfBuffer, options, panel, diagnostics) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const page = pdfDoc.getPage(0);
+  const pageHeight = page.getHeight();
+  const box = placeBarcode(options, panel);
+  const { moduleWidth } = box;
+  const textSize = BARCODE_SPEC.textSize * options.scale;
+  const barHeight = BARCODE_SPEC.barHeight * options.scale;
+  const extension = BARCODE_SPEC.guardExtension * moduleWidth;
+  const font = await embedBarcodeFont(pdfDoc, diagnostics);
+  const black = cmyk(0, 0, 0, 1);
+
+  // Quiet zones must stay clear of artwork
+  if (options.background) {
+    page.drawRectangle({
+      x: box.left * MM_TO_PT,
+      y: pageHeight - (box.top + box.height) * MM_TO_PT,
+      width: box.width * MM_TO_PT,
+      height: box.height * MM_TO_PT,
+      color: cmyk(0, 0, 0, 0),
+    });
+  }
+
+  const text = (value, centerX, baseline, size = textSize) => {
+    const sizePt = size * MM_TO_PT * 1.4;
+    page.drawText(value, {
+      x: centerX * MM_TO_PT - font.widthOfTextAtSize(value, sizePt) / 2,
+      y: pageHeight - baseline * MM_TO_PT,
+      size: sizePt,
+      font,
+      color: black,
+    });
+  };
+
+  const barsTop = box.top + textSize * 1.6;
+  const barsLeft = box.left + BARCODE_SPEC.quietLeft * moduleWidth;
+  text(options.label, barsLeft + 47.5 * moduleWidth, barsTop - textSize * 0.4);
+
+  drawBars(page, encodeEan13(options.isbn), {
+    x: barsLeft,
+    top: barsTop,
+    moduleWidth,
+    height: barHeight,
+    tall: [[0, 3], [45, 50], [92, 95]],
+    extension,
+    pageHeight,
+  });
+
+  // Human-readable digits: the first sits in the left quiet zone
+  const digitsBaseline = barsTop + barHeight + textSize;
+  text(options.isbn[0], barsLeft - 4 * moduleWidth, digitsBaseline);
+  for (let i = 1; i < 13; i++) {
+    const offset = i <= 6 ? 3 + (i - 1) * 7 : 50 + (i - 7) * 7;
+    text(options.isbn[i], barsLeft + (offset + 3.5) * moduleWidth, digitsBaseline);
+  }
+
+  // Add-on: digits above, bars bottom-aligned with the guard bars
+  if (options.addon) {
+    const addonLeft = barsLeft + (95 + BARCODE_SPEC.addonGap) * moduleWidth;
+    const addonTop = barsTop + textSize * 1.2;
+    drawBars(page, encodeEan5(options.addon), {
+      x: addonLeft,
+      top: addonTop,
+      moduleWidth,
+      height: barHeight + extension - textSize * 1.2,
+      pageHeight,
+    });
+    [...options.addon].forEach((digit, i) => {
+      text(digit, addonLeft + (4 + i * 9 + 3.5) * moduleWidth, addonTop - textSize * 0.2);
+    });
+  }
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// COVER GENERATION
+// ═══════════════════════════════════════════════════════════════════
+function parseCoverRequest(body = {}) {
+  const {
+    frontCover,
+    backCover,
+    spine,
+    dimensions,
+    bleed = 3.175,
+    dpi = 300,
+    metadata = {},
+    options = {}
+  } = body;
+
+  if (!dimensions || !dimensions.width || !dimensions.height) {
+    throw new RequestError('Missing required field: dimensions (width, height)');
+  }
+
+  const convertCMYK = options.cmyk === true && CONFIG.enableCmykConversion && ghostscriptAvailable;
+  const pdfxStandard = options.pdfxStandard || CONFIG.pdfXStandard;
+  validatePdfxStandard(convertCMYK, pdfxStandard);
+  const colorConversion = resolveColorConversion(options.colorConversion, { outputIntent: options.outputIntent });
+  const spotColors = resolveSpotColors(options.spotColors);
+
+  const { width: blockSpineWidth, calculation: spineCalculation } = resolveSpine(spine || {});
+  const layout = buildCoverLayout({
+    binding: body.binding || 'paperback',
+    dimensions,
+    bleed,
+    spineWidth: blockSpineWidth,
+    spineDerived: spineCalculation !== null,
+    caseOptions: body.case,
+    flaps: body.flaps,
+  });
+  validateSpineText(spine, layout.spineWidth);
+
+  const barcode = resolveBarcodeOptions({ isbn: body.isbn, price: body.price, barcode: body.barcode });
+  if (barcode) placeBarcode(barcode, layout.panels.find(panel => panel.name === 'back-cover'));
+
+  return {
+    frontCover,
+    backCover,
+    spine,
+    flaps: body.flaps || {},
+    background: body.background,
+    dimensions,
+    bleed: layout.margin,
+    dpi,
+    layout,
+    barcode,
+    spineWidth: layout.spineWidth,
+    spineCalculation,
+    fullWidth: layout.fullWidth,
+    fullHeight: layout.fullHeight,
+    requestTimeout: resolveTimeout(options),
+    cmyk: convertCMYK ? { pdfxStandard, outputIntent: options.outputIntent, colorConversion } : null,
+    cmykRequested: options.cmyk === true,
+    spotColors,
+    strict: resolveStrict(options),
+    safeMetadata: sanitizeMetadata(metadata),
+    pdfMetadata: normalizeMetadata(barcode ? { isbn: barcode.isbn, ...metadata } : metadata, { language: options.lang }),
+    marks: resolveMarksOptions(options.marks),
+    fonts: resolveRegisteredFonts(options.fonts),
+  };
+}
+
+// Content slot for each panel; hinges only carry the background artwork
+const coverPanelSlot = (params, name) => ({
+  'back-flap': params.flaps.back,
+  'back-cover': params.backCover,
+  'spine': params.spine,
+  'front-cover': params.frontCover,
+  'front-flap': params.flaps.front,
+})[name];
+
+async function renderCoverJob(params, jobId, onProgress = () => {}) {
+  const {
+    bleed, dpi, layout, spineWidth, fullWidth, fullHeight, requestTimeout, safeMetadata,
+  } = params;
+  let page = null;
+
+  try {
+    onProgress('loading');
+    page = await browserManager.getPage();
+    const diagnostics = await attachLocalResources(page, createDiagnostics({ jobId, strict: params.strict }));
+
+    const pxWidth = Math.round((fullWidth / 25.4) * dpi);
+    const pxHeight = Math.round((fullHeight / 25.4) * dpi);
+    await page.setViewport({ width: pxWidth, height: pxHeight, deviceScaleFactor: 1 });
+
+    const coverHtml = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          ${FONT_CSS}
+          ${params.fonts.css}
+          ${params.spotColors?.css || ''}
+          @page {
+            size: ${fullWidth}mm ${fullHeight}mm;
+            margin: 0;
+          }
+          * {
+            -webkit-print-color-adjust: exact !important;
+            print-color-adjust: exact !important;
+            box-sizing: border-box;
+          }
+          body {
+            margin: 0;
+            padding: 0;
+            width: ${fullWidth}mm;
+            height: ${fullHeight}mm;
+            background: white;
+          }
+          .cover-container {
+            position: relative;
+            width: 100%;
+            height: 100%;
+            overflow: hidden;
+          }
+          .cover-background {
+            position: absolute;
+            inset: 0;
+          }
+          .cover-panel {
+            position: absolute;
+            overflow: hidden;
+          }
+          ${layout.panels.map(panel => `
+          .${panel.name} {
+            left: ${panel.x}mm;
+            top: ${panel.y}mm;
+            width: ${panel.width}mm;
+            height: ${panel.height}mm;
+          }`).join('')}
+          ${params.background?.css || ''}
+          ${layout.panels.map(panel => coverPanelSlot(params, panel.name)?.css || '').join('\n')}
+        </style>
+      </head>
+      <body>
+        <div class="cover-container ${layout.binding}">
+          <div class="cover-background">${params.background?.html || ''}</div>
+          ${layout.panels.map(panel => `
+          <div class="cover-panel ${panel.name}">${coverPanelSlot(params, panel.name)?.html || ''}</div>`).join('')}
+        </div>
+      </body>
+      </html>
+    `;
+
+    await page.setContent(resolveAssetUrls(coverHtml), { 
+      waitUntil: ['networkidle0', 'domcontentloaded'],
+      timeout: requestTimeout
+    });
+
+    await page.evaluateHandle('document.fonts.ready');
+    await verifyRequiredResources(page, diagnostics);
+
+    onProgress('printing');
+    let pdf = await page.pdf({
+      width: `${fullWidth}mm`,
+      height: `${fullHeight}mm`,
+      printBackground: true,
+      preferCSSPageSize: true,
+      timeout: requestTimeout,
+    });
+    await page.close();
+    page = null;
+
+    // Barcode goes on before marks grow the page and shift coordinates
+    if (params.barcode) {
+      const backCover = layout.panels.find(panel => panel.name === 'back-cover');
+      pdf = await drawCoverBarcode(pdf, params.barcode, backCover, diagnostics);
+    }
+
+    // CMYK conversion for covers is especially important
+    const { pdf: finalPdf, conversion, spots } = await finalizePdf(pdf, {
+      jobId,
+      label: 'Cover',
+      bleed,
+      marks: params.marks,
+      metadata: params.pdfMetadata,
+      cmyk: params.cmyk,
+      cmykRequested: params.cmykRequested,
+      spotColors: params.spotColors,
+      diagnostics,
+      onProgress,
+    });
+
+    const fontReport = await buildFontReport(finalPdf, params.fonts.families);
+    for (const family of fontReport.fallback) {
+      reportIssue(diagnostics, 'FONT_MISSING', `Registered font "${family}" was not embedded; a fallback font was used`, { family });
+    }
+
+    const filename = (safeMetadata.title || 'cover').replace(/[^a-zA-Z0-9-_]/g, '_');
+    return {
+      pdf: finalPdf,
+      filename: `${filename}_cover.pdf`,
+      warnings: diagnostics.warnings,
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}_cover.pdf"`,
+        'X-Cover-Dimensions': `${fullWidth}mm x ${fullHeight}mm`,
+        'X-Cover-Binding': layout.binding,
+        'X-Cover-Panels': jsonHeader(layout.panels),
+        ...(params.barcode && { 'X-Cover-Barcode': params.barcode.addon ? `${params.barcode.isbn} ${params.barcode.addon}` : params.barcode.isbn }),
+        'X-Spine-Width': `${spineWidth}mm`,
+        ...(params.spineCalculation && { 'X-Spine-Calculation': jsonHeader(params.spineCalculation) }),
+        'X-Bleed': `${bleed}mm`,
+        'X-PDF-Marks': params.marks ? 'true' : 'false',
+        'X-PDF-Color-Space': describeColorSpace(conversion),
+        ...(conversion?.inkCoverage && { 'X-PDF-Ink-Coverage': jsonHeader(conversion.inkCoverage) }),
+        ...(spots && { 'X-PDF-Spot-Colors': jsonHeader(spots) }),
+        'X-PDF-Fonts': jsonHeader(fontReport),
+        ...warningHeaders(diagnostics),
+      },
+    };
+  } finally {
+    if (page) { try { await page.close(); } catch (e) { /* ignore */ } }
+  }
+}
+
+app.post('/generate-cover', authenticateRequest, async (req, res) => {
+  metrics.totalRequests++;
+
+  let params;
+  try {
+    params = parseCoverRequest(req.body);
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
+
+  const jobId = crypto.randomBytes(8).toString('hex');
+  await respondWithRender(res, jobId, 'Cover', () => renderCoverJob(params, jobId));
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// PREVIEW ENDPOINT
+// ═══════════════════════════════════════════════════════════════════
+const PREVIEW_FORMATS = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const MAX_PREVIEW_PAGES = 100;
+const CSS_DPI = 96;
+
+// "1-3,7", "5-", [1, 2] or "all" -> [from, to] ranges; null means every page
+function parsePageRange(value) {
+  if (value === undefined || value === null || value === 'all') return null;
+
+  const parts = Array.isArray(value) ? value.map(String) : String(value).split(',');
+  return parts.map((part) => {
+    const match = /^\s*(\d+)\s*(-\s*(\d*))?\s*$/.exec(part);
+    const from = match ? Number(match[1]) : 0;
+    const to = !match ? 0 : match[3] ? Number(match[3]) : match[2] ? Infinity : from;
+    if (from < 1 || to < from) {
+      throw new RequestError(`Invalid page range: ${part}`, { example: '1-3,7' });
+    }
+    return [from, to];
+  });
+}
+
+function selectPages(ranges, totalPages) {
+  const selected = new Set();
+  for (const [from, to] of ranges || [[1, Infinity]]) {
+    for (let n = from; n <= Math.min(to, totalPages); n++) selected.add(n);
+  }
+  return [...selected].sort((a, b) => a - b);
+}
+
+// Page preview mode: a /generate body plus image options
+async function parsePagePreviewRequest(body = {}) {
+  const params = await parseGenerateInput(body);
+  const options = body.options || {};
+
+  const format = String(options.format || 'png').toLowerCase();
+  if (!PREVIEW_FORMATS[format]) {
+    throw new RequestError(`Unsupported preview format: ${options.format}`, {
+      supported: Object.keys(PREVIEW_FORMATS),
+    });
+  }
+  const output = options.output || 'json';
+  if (output !== 'json' && output !== 'zip') {
+    throw new RequestError(`Unsupported preview output: ${output}`, { supported: ['json', 'zip'] });
+  }
+
+  return {
+    ...params,
+    cmyk: null,
+    // Screen approximations instead of the sentinels the PDF pass rewrites
+    spotColors: params.spotColors && { ...params.spotColors, css: params.spotColors.displayCss },
+    preview: {
+      format,
+      output,
+      dpi: Math.min(Math.max(options.dpi || CSS_DPI, 36), 300),
+      quality: Math.min(Math.max(options.quality || 85, 1), 100),
+      pages: parsePageRange(options.pages),
+    },
+  };
+}
+
+// Renders the /generate document and captures each requested page.
+// Paged.js pages are screenshotted as .pagedjs_page boxes; without
+// Paged.js the print-media flow is cut at every page height.
+async function renderPagePreview(params, jobId) {
+  const { width, height, preview } = params;
+  let page = null;
+
+  try {
+    page = await browserManager.getPage();
+    const diagnostics = await attachLocalResources(page, createDiagnostics({ jobId, strict: params.strict }));
+
+    const pageWidth = Math.ceil((width / 25.4) * CSS_DPI);
+    const pageHeight = Math.ceil((height / 25.4) * CSS_DPI);
+    await page.setViewport({
+      width: pageWidth,
+      height: pageHeight,
+      deviceScaleFactor: preview.dpi / CSS_DPI,
+    });
+    if (!params.usePagedJs) await page.emulateMediaType('print');
+
+    await loadGenerateDocument(page, params, { jobId, diagnostics, onProgress: () => {} });
+
+    const pageBoxes = await page.$$('.pagedjs_page');
+    const totalPages = pageBoxes.length || Math.max(1, Math.ceil(
+      await page.evaluate(() => document.documentElement.scrollHeight) / pageHeight
+    ));
+    const selected = selectPages(preview.pages, totalPages);
+    const shotOptions = {
+      type: preview.format,
+      ...(preview.format !== 'png' && { quality: preview.quality }),
+    };
+
+    const images = [];
+    for (const number of selected.slice(0, MAX_PREVIEW_PAGES)) {
+      const image = pageBoxes.length
+        ? await pageBoxes[number - 1].screenshot(shotOptions)
+        : await page.screenshot({
+          ...shotOptions,
+          clip: { x: 0, y: (number - 1) * pageHeight, width: pageWidth, height: pageHeight },
+          captureBeyondViewport: true,
+        });
+      images.push({
+        page: number,
+        filename: `page-${String(number).padStart(4, '0')}.${preview.format}`,
+        data: Buffer.from(image),
+      });
+    }
+
+    const manifest = {
+      jobId,
+      totalPages,
+      format: preview.format,
+      mimeType: PREVIEW_FORMATS[preview.format],
+      dpi: preview.dpi,
+      pageSize: { width, height, unit: 'mm' },
+      pagedJs: pageBoxes.length > 0,
+      truncated: selected.length > images.length,
+      warnings: diagnostics.warnings,
+    };
+
+    const headers = {
+      'Cache-Control': 'no-cache',
+      'X-Preview-Total-Pages': String(totalPages),
+      'X-Preview-Pages': images.map(image => image.page).join(','),
+      ...warningHeaders(diagnostics),
+    };
+
+    if (preview.output === 'zip') {
+      const zip = new JSZip();
+      for (const image of images) zip.file(image.filename, image.data);
+      zip.file('manifest.json', JSON.stringify({
+        ...manifest,
+        pages: images.map(({ page: number, filename }) => ({ page: number, filename })),
+      }, null, 2));
+      return {
+        // Page images are already compressed
+        body: await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' }),
+        headers: {
+          ...headers,
+          'Content-Type': 'application/zip',
+          'Content-Disposition': 'attachment; filename="preview.zip"',
+        },
+      };
+    }
+
+    return {
+      body: Buffer.from(JSON.stringify({
+        ...manifest,
+        pages: images.map(({ page: number, filename, data }) => ({
+          page: number, filename, data: data.toString('base64'),
+        })),
+      })),
+      headers: { ...headers, 'Content-Type': 'application/json' },
+    };
+  } finally {
+    if (page) { try { await page.close(); } catch (e) { /* ignore */ } }
+  }
+}
+
+app.post('/preview', authenticateRequest, async (req, res) => {
+  metrics.totalRequests++;
+
+  if (req.body?.options?.mode === 'pages') {
+    let params;
+    try {
+      params = await parsePagePreviewRequest(req.body);
+    } catch (error) {
+      return sendRequestError(res, error);
+    }
+
+    const jobId = crypto.randomBytes(8).toString('hex');
+    return respondWithRender(res, jobId, 'Preview', () => renderPagePreview(params, jobId));
+  }
+
+  let body;
+  try {
+    body = await convertInputDocument(req.body);
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
+  const { html, css, width = 152, height = 229, options = {} } = body;
+
+  if (!html) {
+    return res.status(400).json({ error: 'Missing required field: html' });
+  }
+
+  let fonts;
+  let spotColors;
+  try {
+    fonts = resolveRegisteredFonts(options.fonts);
+    spotColors = resolveSpotColors(options.spotColors);
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
+
+  const jobPromise = concurrencyLimiter(async () => {
+    metrics.activeJobs++;
+    let page = null;
+
+    try {
+      page = await browserManager.getPage();
+      const diagnostics = await attachLocalResources(page, createDiagnostics({ jobId: 'preview', strict: resolveStrict(options) }));
+
+      const pxWidth = Math.round((width / 25.4) * 72);
+      const pxHeight = Math.round((height / 25.4) * 72);
+      await page.setViewport({ width: pxWidth, height: pxHeight });
+
+      const fullHtml = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            ${FONT_CSS}
+            ${fonts.css}
+            ${spotColors?.displayCss || ''}
+            @page { size: ${width}mm ${height}mm; margin: 0; }
+            body { margin: 0; padding: 0; }
+            ${css || ''}
+          </style>
+        </head>
+        <body>${html}</body>
+        </html>
+      `;
+
+      await page.setContent(resolveAssetUrls(fullHtml), { 
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
+
+      await page.evaluateHandle('document.fonts.ready');
+      await verifyRequiredResources(page, diagnostics);
+
+      const screenshot = await page.screenshot({
+        type: 'png',
+        fullPage: true,
+      });
+
+      res.set({
+        'Content-Type': 'image/png',
+        'Cache-Control': 'no-cache',
+        ...warningHeaders(diagnostics),
+      });
+      
+      metrics.successfulRequests++;
+      res.send(screenshot);
+
+    } catch (error) {
+      metrics.failedRequests++;
+      console.error('[/preview] Error:', error.message);
+      const { statusCode, body } = describeJobError(error, 'preview');
+      res.status(statusCode).json(body);
+    } finally {
+      metrics.activeJobs--;
+      if (page) { try { await page.close(); } catch (e) { /* ignore */ } }
+    }
+  });
+
+  try { await jobPromise; } catch (err) { /* handled */ }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// LAYOUT ANALYSIS (dry run)
+// Runs the /generate assembly and Paged.js pass without printing
+// ═══════════════════════════════════════════════════════════════════
+const MAX_LAYOUT_ENTRIES = 500;
+
+// Runs inside the page. Paged.js output is read from its .pagedjs_page
+// boxes; an unpaginated document is measured against the page height.
+function collectLayout({ pageHeight, maxEntries }) {
+  const pxToMm = (px) => Math.round((px * 25.4 / 96) * 10) / 10;
+  const pages = [...document.querySelectorAll('.pagedjs_page')];
+  const paged = pages.length > 0;
+  const text = (el) => el.textContent.replace(/\s+/g, ' ').trim().slice(0, 200);
+  const describe = (el) => el.tagName.toLowerCase() +
+    (el.id ? `#${el.id}` : '') +
+    [...el.classList].filter(c => !c.startsWith('pagedjs_')).map(c => `.${c}`).join('');
+
+  const pageOf = (el) => {
+    if (paged) return Number(el.closest('.pagedjs_page')?.dataset.pageNumber) || null;
+    return Math.floor((el.getBoundingClientRect().top + window.scrollY) / pageHeight) + 1;
+  };
+
+  // Paged.js repeats split elements on later pages; only the first counts
+  const firstFragments = (selector) => [...document.querySelectorAll(selector)]
+    .filter(el => !el.hasAttribute('data-split-from'))
+    .slice(0, maxEntries);
+
+  const chapters = firstFragments('.chapter-start').map(el => ({
+    page: pageOf(el),
+    id: el.id || null,
+    title: text(el.querySelector('h1, h2, h3, h4, h5, h6') || el) || null,
+  }));
+
+  const headings = firstFragments('h1, h2, h3, h4, h5, h6').map(el => ({
+    page: pageOf(el),
+    level: Number(el.tagName[1]),
+    id: el.id || null,
+    text: text(el),
+  }));
+
+  const blankPages = pages
+    .filter(page => page.classList.contains('pagedjs_blank_page'))
+    .map(page => Number(page.dataset.pageNumber));
+
+  // Outermost elements extending past their page's content box (Paged.js)
+  // or past the page width (unpaginated)
+  const overflow = [];
+  const boxes = paged
+    ? pages.map(page => ({ page, area: page.querySelector('.pagedjs_page_content') }))
+    : [{ page: null, area: document.body }];
+  for (const { page, area } of boxes) {
+    if (!area) continue;
+    const limit = area.getBoundingClientRect();
+    const right = paged ? limit.right : limit.left + document.documentElement.clientWidth;
+    const overflowing = new Set();
+    for (const el of area.querySelectorAll('*')) {
+      if (overflow.length >= maxEntries) break;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) continue;
+      const dx = rect.right - right;
+      const dy = paged ? rect.bottom - limit.bottom : 0;
+      if (dx <= 1 && dy <= 1) continue;
+      overflowing.add(el);
+      if (overflowing.has(el.parentElement)) continue;
+      overflow.push({
+        page: paged ? Number(page.dataset.pageNumber) : pageOf(el),
+        element: describe(el),
+        overflowRight: dx > 1 ? pxToMm(dx) : 0,
+        overflowBottom: dy > 1 ? pxToMm(dy) : 0,
+      });
+    }
+  }
+
+  const pageCount = paged
+    ? pages.length
+    : Math.max(1, Math.ceil(document.documentElement.scrollHeight / pageHeight));
+
+  return { pageCount, pagedJs: paged, chapters, headings, blankPages, overflow };
+}
+
+async function renderLayoutAnalysis(params, jobId) {
+  const { width, height } = params;
+  let page = null;
+
+  try {
+    page = await browserManager.getPage();
+    const diagnostics = await attachLocalResources(page, createDiagnostics({ jobId, strict: params.strict }));
+
+    const pageWidth = Math.ceil((width / 25.4) * CSS_DPI);
+    const pageHeight = Math.ceil((height / 25.4) * CSS_DPI);
+    await page.setViewport({ width: pageWidth, height: pageHeight, deviceScaleFactor: 1 });
+    if (!params.usePagedJs) await page.emulateMediaType('print');
+
+    await loadGenerateDocument(page, params, { jobId, diagnostics, onProgress: () => {} });
+
+    const layout = await page.evaluate(collectLayout, { pageHeight, maxEntries: MAX_LAYOUT_ENTRIES });
+    console.log(`[Analyze ${jobId}] ${layout.pageCount} pages, ${layout.overflow.length} overflowing elements`);
+
+    return {
+      body: Buffer.from(JSON.stringify({
+        jobId,
+        ...layout,
+        pageSize: { width, height, unit: 'mm' },
+        warnings: diagnostics.warnings,
+      })),
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Page-Count': String(layout.pageCount),
+        ...warningHeaders(diagnostics),
+      },
+    };
+  } finally {
+    if (page) { try { await page.close(); } catch (e) { /* ignore */ } }
+  }
+}
+
+app.post('/analyze', authenticateRequest, async (req, res) => {
+  metrics.totalRequests++;
+
+  let params;
+  try {
+    params = { ...await parseGenerateInput(req.body), cmyk: null };
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
+
+  const jobId = crypto.randomBytes(8).toString('hex');
+  await respondWithRender(res, jobId, 'Analyze', () => renderLayoutAnalysis(params, jobId));
+});
 
 // ═══════════════════════════════════════════════════════════════════
-// HEALTH CHECK ENDPOINT
+// PREFLIGHT
+// Prepress report for uploaded or generated PDFs. Content streams are
+// walked with pdf-lib; ink coverage is measured on a Ghostscript render.
+// Every check returns pass, warn or fail.
 // ═══════════════════════════════════════════════════════════════════
-app.get('/health', (req, res) => res.json({ 
-  status: 'ok',
-  version: '3.1.0',
-  engine: 'Puppeteer/Chromium + Paged.js + Ghostscript',
-  capabilities: ['generate', 'generate-cover', 'preview', 'cmyk-conversion', 'paged-media'],
-  features: {
-    pagedJs: CONFIG.enablePagedJs,
-    cmykConversion: CONFIG.enableCmykConversion && ghostscriptAvailable,
-    pdfXStandard: CONFIG.pdfXStandard,
-    ghostscriptAvailable,
-  },
-  metrics: {
-    totalRequests: metrics.totalRequests,
-    successfulRequests: metrics.successfulRequests,
-    failedRequests: metrics.failedRequests,
-    activeJobs: metrics.activeJobs,
-    queuedJobs: concurrencyLimiter.pendingCount,
-    browserConnected: browserManager.browser?.isConnected() || false,
-    pageCount: browserManager.pageCount,
-    cmykConversions: metrics.cmykConversions,
-    pagedJsRenders: metrics.pagedJsRenders,
-  },
-  config: {
-    maxConcurrentJobs: CONFIG.maxConcurrentJobs,
-    defaultTimeoutMs: CONFIG.defaultTimeout,
-    maxTimeoutMs: CONFIG.maxTimeout,
-    browserRestartThreshold: CONFIG.browserRestartThreshold,
-    authenticationEnabled: !!CONFIG.serviceSecret,
-  },
-}));
+const PREFLIGHT_DEFAULTS = {
+  minImagePpi: 150,     // below: fail
+  warnImagePpi: 225,    // below: warn
+  minLineArtPpi: 600,   // 1-bit images below: warn
+  maxInk: 300,          // % total area coverage
+  inkResolution: 72,    // dpi of the coverage render
+  minLineWidth: 0.25,   // pt; thinner strokes are hairlines
+  safeMargin: 5,        // mm inside the TrimBox kept clear of text
+  minBleed: 3,          // mm of BleedBox around the TrimBox
+};
+
+const MAX_PREFLIGHT_ITEMS = 200;
+const PREFLIGHT_RANK = { pass: 0, warn: 1, fail: 2 };
+
+const worstStatus = (statuses) => statuses.reduce(
+  (worst, status) => (PREFLIGHT_RANK[status] > PREFLIGHT_RANK[worst] ? status : worst), 'pass'
+);
+
+// `true` or an object of thresholds; expectCmyk and pdfxStandard default
+// per caller (uploads expect CMYK, /generate follows options.cmyk)
+function resolvePreflightOptions(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value !== true && typeof value !== 'object') {
+    throw new RequestError('preflight must be true or an object of thresholds');
+  }
+
+  const source = value === true ? {} : value;
+  const resolved = { ...PREFLIGHT_DEFAULTS };
+  for (const key of Object.keys(PREFLIGHT_DEFAULTS)) {
+    if (source[key] === undefined) continue;
+    if (!(typeof source[key] === 'number' && source[key] >= 0)) {
+      throw new RequestError(`preflight.${key} must be a non-negative number`);
+    }
+    resolved[key] = source[key];
+  }
+  if (source.expectCmyk !== undefined) resolved.expectCmyk = source.expectCmyk === true;
+  if (source.pdfxStandard !== undefined) {
+    const key = resolvePdfxStandard(source.pdfxStandard);
+    if (!key) {
+      throw new RequestError(`Unsupported pdfxStandard: ${source.pdfxStandard}`, {
+        supported: [...Object.keys(PDFX_STANDARDS), 'none'],
+      });
+    }
+    resolved.pdfxStandard = key;
+  }
+  return resolved;
+}
+
+const PDF_WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const PDF_DELIMITERS = new Set([...'()<>[]{}/%'].map(c => c.charCodeAt(0)));
+const PDF_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+// Minimal content-stream tokenizer. Yields { op, operands, start, end }
+// per operator, where start..end spans the operands and the operator;
+// names become { name }, strings { string }, arrays and dicts arrays.
+// Inline images (BI ... ID <data> EI) are yielded as INLINE_IMAGE.
+function* parseContentStream(bytes) {
+  let i = 0;
+  let operands = [];
+  let opStart = null;
+  const nested = [];
+  const push = (value) => (nested.length ? nested[nested.length - 1] : operands).push(value);
+  const isRegular = (c) => !PDF_WHITESPACE.has(c) && !PDF_DELIMITERS.has(c);
+
+  while (i < bytes.length) {
+    const c = bytes[i];
+    if (PDF_WHITESPACE.has(c)) { i++; continue; }
+
+    if (c === 0x25) { // % comment
+      while (i < bytes.length && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+      continue;
+    }
+    if (opStart === null) opStart = i;
+
+    if (c === 0x28) { // (literal string)
+      const start = ++i;
+      for (let depth = 1; i < bytes.length; i++) {
+        if (bytes[i] === 0x5c) { i++; continue; }
+        if (bytes[i] === 0x28) depth++;
+        if (bytes[i] === 0x29 && --depth === 0) break;
+      }
+      push({ string: bytes.subarray(start, i++) });
+    } else if (c === 0x3c && bytes[i + 1] === 0x3c) { // << dict
+      nested.push([]);
+      i += 2;
+    } else if (c === 0x3e && bytes[i + 1] === 0x3e) {
+      const dict = nested.pop() || [];
+      push(dict);
+      i += 2;
+    } else if (c === 0x3c) { // <hex string>
+      const start = ++i;
+      while (i < bytes.length && bytes[i] !== 0x3e) i++;
+      push({ string: bytes.subarray(start, i++) });
+    } else if (c === 0x5b) {
+      nested.push([]);
+      i++;
+    } else if (c === 0x5d) {
+      const array = nested.pop() || [];
+      push(array);
+      i++;
+    } else if (c === 0x2f) { // /Name
+      const start = ++i;
+      while (i < bytes.length && isRegular(bytes[i])) i++;
+      push({ name: Buffer.from(bytes.subarray(start, i)).toString('latin1') });
+    } else if (!isRegular(c)) {
+      i++; // stray delimiter ({, }, ), >)
+    } else {
+      const start = i;
+      while (i < bytes.length && isRegular(bytes[i])) i++;
+      const token = Buffer.from(bytes.subarray(start, i)).toString('latin1');
+
+      if (PDF_NUMBER.test(token)) {
+        push(Number(token));
+      } else if (token === 'true' || token === 'false' || token === 'null') {
+        push(token === 'null' ? null : token === 'true');
+      } else if (token === 'BI') {
+        operands = [];
+      } else if (token === 'ID') {
+        // Image data runs to the first EI surrounded by whitespace
+        i++;
+        while (i < bytes.length && !(
+          PDF_WHITESPACE.has(bytes[i - 1]) && bytes[i] === 0x45 && bytes[i + 1] === 0x49 &&
+          (i + 2 >= bytes.length || PDF_WHITESPACE.has(bytes[i + 2]))
+        )) i++;
+        i += 2;
+        yield { op: 'INLINE_IMAGE', operands, start: opStart, end: i };
+        operands = [];
+        opStart = null;
+      } else {
+        yield { op: token, operands, start: opStart, end: i };
+        operands = [];
+        opStart = null;
+      }
+    }
+  }
+}
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// m x n, PDF row-vector convention (cm concatenates as M x CTM)
+const multiplyMatrix = (m, n) => [
+  m[0] * n[0] + m[1] * n[2],
+  m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2],
+  m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4],
+  m[4] * n[1] + m[5] * n[3] + n[5],
+];
+
+const transformPoint = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+const ptToMm = (pt) => Math.round((pt / MM_TO_PT) * 10) / 10;
+
+const insideBox = (box, x, y) =>
+  x >= box.x && y >= box.y && x <= box.x + box.width && y <= box.y + box.height;
+
+const pdfNumber = (value) => (value instanceof PDFNumber ? value.asNumber() : undefined);
+const pdfName = (value) => (value instanceof PDFName ? value.decodeText() : undefined);
+
+const ICC_COMPONENTS = { 1: 'Gray', 3: 'RGB', 4: 'CMYK' };
+const INLINE_COLOR_SPACES = { G: 'DeviceGray', RGB: 'DeviceRGB', CMYK: 'DeviceCMYK', I: 'Indexed' };
+const RGB_COLOR_SPACES = /^(Indexed\()?(DeviceRGB|CalRGB|Lab|ICCBased\(RGB\))\)?$/;
+
+// Readable label for a colour space object, resource name or device name
+function colorSpaceLabel(context, value, resources, depth = 0) {
+  if (value instanceof PDFRef) value = context.lookup(value);
+  if (depth > 4 || !value) return 'Unknown';
+
+  if (value instanceof PDFName) {
+    const name = value.decodeText();
+    if (/^Device(RGB|CMYK|Gray)$|^Pattern$/.test(name)) return name;
+    if (INLINE_COLOR_SPACES[name]) return INLINE_COLOR_SPACES[name];
+    const named = resources?.lookupMaybe(PDFName.of('ColorSpace'), PDFDict)?.get(value);
+    return named ? colorSpaceLabel(context, named, resources, depth + 1) : name;
+  }
+
+  if (value instanceof PDFArray) {
+    const family = pdfName(value.lookup(0));
+    switch (family) {
+      case 'ICCBased': {
+        const components = pdfNumber(value.lookup(1)?.dict?.lookup(PDFName.of('N')));
+        return `ICCBased(${ICC_COMPONENTS[components] || components})`;
+      }
+      case 'Separation':
+        return `Separation(${pdfName(value.lookup(1))})`;
+      case 'DeviceN': {
+        const names = value.lookup(1);
+        return `DeviceN(${names instanceof PDFArray ? names.asArray().map(n => pdfName(n)).join(',') : '?'})`;
+      }
+      case 'Indexed':
+      case 'I':
+        return `Indexed(${colorSpaceLabel(context, value.get(1), resources, depth + 1)})`;
+      default:
+        return family || 'Unknown';
+    }
+  }
+  return 'Unknown';
+}
+
+function readStreamBytes(stream) {
+  return stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+}
+
+function readPageContent(page) {
+  const contents = page.node.Contents();
+  if (!contents) return new Uint8Array(0);
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+    : [contents];
+  return Buffer.concat(streams.map(stream => Buffer.from(readStreamBytes(stream))).flatMap(b => [b, Buffer.from('\n')]));
+}
+
+// Collects per-page findings into `scan`; form XObjects are walked with
+// their Matrix and Resources
+function walkContent(scan, page, bytes, resources, baseCtm, depth = 0) {
+  const { context } = scan;
+  const resource = (category, name) =>
+    resources?.lookupMaybe(PDFName.of(category), PDFDict)?.lookup(PDFName.of(name));
+
+  let state = { ctm: baseCtm, lineWidth: 1 };
+  const saved = [];
+  let textMatrix = IDENTITY_MATRIX;
+  let lineMatrix = IDENTITY_MATRIX;
+  let leading = 0;
+  let rise = 0;
+  let pathBox = null;
+
+  const extendPath = (...coords) => {
+    for (let k = 0; k + 1 < coords.length; k += 2) {
+      const [x, y] = transformPoint(state.ctm, coords[k], coords[k + 1]);
+      pathBox = pathBox
+        ? { x0: Math.min(pathBox.x0, x), y0: Math.min(pathBox.y0, y), x1: Math.max(pathBox.x1, x), y1: Math.max(pathBox.y1, y) }
+        : { x0: x, y0: y, x1: x, y1: y };
+    }
+  };
+
+  const newLine = (tx, ty) => {
+    lineMatrix = multiplyMatrix([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  // Printer's marks live outside the BleedBox and are ignored
+  const checkStroke = () => {
+    const box = pathBox;
+    pathBox = null;
+    if (!box || box.x1 < page.bleed.x || box.y1 < page.bleed.y ||
+        box.x0 > page.bleed.x + page.bleed.width || box.y0 > page.bleed.y + page.bleed.height) return;
+    const [a, b, c, d] = state.ctm;
+    const width = state.lineWidth * Math.sqrt(Math.abs(a * d - b * c));
+    if (width < scan.options.minLineWidth) {
+      page.hairlines.count++;
+      page.hairlines.thinnest = Math.min(page.hairlines.thinnest, width);
+    }
+  };
+
+  const checkText = () => {
+    const [x, y] = transformPoint(multiplyMatrix(textMatrix, state.ctm), 0, rise);
+    if (!insideBox(page.bleed, x, y) || insideBox(page.safe, x, y)) return;
+    page.safeArea.count++;
+    if (page.safeArea.examples.length < 5) {
+      // mm from the TrimBox's top-left corner
+      page.safeArea.examples.push({ x: ptToMm(x - page.trim.x), y: ptToMm(page.trim.y + page.trim.height - y) });
+    }
+  };
+
+  const applyExtGState = (dict) => {
+    if (!(dict instanceof PDFDict)) return;
+    const lineWidth = pdfNumber(dict.lookup(PDFName.of('LW')));
+    if (lineWidth !== undefined) state.lineWidth = lineWidth;
+    for (const key of ['CA', 'ca']) {
+      if ((pdfNumber(dict.lookup(PDFName.of(key))) ?? 1) < 1) page.transparency.add('opacity');
+    }
+    const softMask = dict.lookup(PDFName.of('SMask'));
+    if (softMask && pdfName(softMask) !== 'None') page.transparency.add('soft mask');
+    const blend = dict.lookup(PDFName.of('BM'));
+    const blendName = blend instanceof PDFArray ? pdfName(blend.lookup(0)) : pdfName(blend);
+    if (blendName && blendName !== 'Normal' && blendName !== 'Compatible') page.transparency.add('blend mode');
+  };
+
+  const recordImage = (name, { width, height, bitsPerComponent, imageMask, colorSpace, softMask }) => {
+    const [a, b, c, d, e, f] = state.ctm;
+    const placedWidth = Math.hypot(a, b);
+    const placedHeight = Math.hypot(c, d);
+    if (!placedWidth || !placedHeight || !insideBox(page.bleed, e + (a + c) / 2, f + (b + d) / 2)) return;
+    if (!imageMask && colorSpace) page.colorSpaces.add(colorSpace);
+    if (softMask) page.transparency.add('image soft mask');
+    if (scan.images.length >= MAX_PREFLIGHT_ITEMS) { scan.imagesTruncated = true; return; }
+    const ppiX = width / (placedWidth / 72);
+    const ppiY = height / (placedHeight / 72);
+    scan.images.push({
+      page: page.number,
+      name,
+      pixels: { width, height },
+      placed: { width: ptToMm(placedWidth), height: ptToMm(placedHeight) },
+      ppi: Math.round(Math.min(ppiX, ppiY)),
+      lineArt: imageMask || bitsPerComponent === 1,
+    });
+  };
+
+  for (const { op, operands: o } of parseContentStream(bytes)) {
+    switch (op) {
+      case 'q': saved.push(state); state = { ...state }; break;
+      case 'Q': state = saved.pop() || state; break;
+      case 'cm': if (o.length >= 6) state.ctm = multiplyMatrix(o.slice(0, 6), state.ctm); break;
+      case 'w': state.lineWidth = o[0]; break;
+      case 'gs': applyExtGState(resource('ExtGState', o[0]?.name)); break;
+
+      case 'rg': case 'RG': page.colorSpaces.add('DeviceRGB'); break;
+      case 'k': case 'K': page.colorSpaces.add('DeviceCMYK'); break;
+      case 'g': case 'G': page.colorSpaces.add('DeviceGray'); break;
+      case 'cs': case 'CS':
+        if (o[0]?.name) page.colorSpaces.add(colorSpaceLabel(context, PDFName.of(o[0].name), resources));
+        break;
+      case 'sh': {
+        const shading = resource('Shading', o[0]?.name);
+        const dict = shading instanceof PDFDict ? shading : shading?.dict;
+        if (dict) page.colorSpaces.add(colorSpaceLabel(context, dict.get(PDFName.of('ColorSpace')), resources));
+        break;
+      }
+
+      case 'm': case 'l': case 'c': case 'v': case 'y': extendPath(...o); break;
+      case 're': {
+        const [x, y, w, h] = o;
+        extendPath(x, y, x + w, y, x, y + h, x + w, y + h);
+        break;
+      }
+      case 'S': case 's': case 'B': case 'B*': case 'b': case 'b*': checkStroke(); break;
+      case 'f': case 'F': case 'f*': case 'n': pathBox = null; break;
+
+      case 'BT': textMatrix = lineMatrix = IDENTITY_MATRIX; break;
+      case 'Tm': if (o.length >= 6) textMatrix = lineMatrix = o.slice(0, 6); break;
+      case 'Td': newLine(o[0], o[1]); break;
+      case 'TD': leading = -o[1]; newLine(o[0], o[1]); break;
+      case 'TL': leading = o[0]; break;
+      case 'Ts': rise = o[0]; break;
+      case 'T*': newLine(0, -leading); break;
+      case 'Tj': case 'TJ': checkText(); break;
+      case "'": case '"': newLine(0, -leading); checkText(); break;
+
+      case 'Do': {
+        const xobject = resource('XObject', o[0]?.name);
+        if (!(xobject instanceof PDFRawStream)) break;
+        const { dict } = xobject;
+        const subtype = pdfName(dict.lookup(PDFName.of('Subtype')));
+        if (subtype === 'Image') {
+          const imageMask = dict.lookup(PDFName.of('ImageMask'))?.asBoolean?.() === true;
+          recordImage(o[0].name, {
+            width: pdfNumber(dict.lookup(PDFName.of('Width'))),
+            height: pdfNumber(dict.lookup(PDFName.of('Height'))),
+            bitsPerComponent: pdfNumber(dict.lookup(PDFName.of('BitsPerComponent'))),
+            imageMask,
+            colorSpace: imageMask ? null : colorSpaceLabel(context, dict.get(PDFName.of('ColorSpace')), resources),
+            softMask: dict.has(PDFName.of('SMask')),
+          });
+        } else if (subtype === 'Form' && depth < 12) {
+          const matrix = dict.lookup(PDFName.of('Matrix'));
+          const formMatrix = matrix instanceof PDFArray ? matrix.asArray().map(pdfNumber) : IDENTITY_MATRIX;
+          const formResources = dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+          walkContent(scan, page, readStreamBytes(xobject), formResources,
+            multiplyMatrix(formMatrix, state.ctm), depth + 1);
+        }
+        break;
+      }
+      case 'INLINE_IMAGE': {
+        const entries = {};
+        for (let k = 0; k + 1 < o.length; k += 2) entries[o[k]?.name] = o[k + 1];
+        const imageMask = (entries.IM ?? entries.ImageMask) === true;
+        const space = entries.CS ?? entries.ColorSpace;
+        recordImage('inline', {
+          width: entries.W ?? entries.Width,
+          height: entries.H ?? entries.Height,
+          bitsPerComponent: entries.BPC ?? entries.BitsPerComponent,
+          imageMask,
+          colorSpace: space?.name ? colorSpaceLabel(context, PDFName.of(space.name), resources) : null,
+          softMask: false,
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+function scanPdfContent(pdfDoc, options) {
+  const scan = { context: pdfDoc.context, options, images: [], imagesTruncated: false, pages: [] };
+  const margin = options.safeMargin * MM_TO_PT;
+
+  pdfDoc.getPages().forEach((pdfPage, index) => {
+    const trim = pdfPage.getTrimBox();
+    const page = {
+      number: index + 1,
+      trim,
+      bleed: pdfPage.getBleedBox(),
+      safe: { x: trim.x + margin, y: trim.y + margin, width: trim.width - 2 * margin, height: trim.height - 2 * margin },
+      colorSpaces: new Set(),
+      transparency: new Set(),
+      hairlines: { count: 0, thinnest: Infinity },
+      safeArea: { count: 0, examples: [] },
+      error: null,
+    };
+    try {
+      walkContent(scan, page, readPageContent(pdfPage), pdfPage.node.Resources(), IDENTITY_MATRIX);
+    } catch (err) {
+      page.error = err.message;
+    }
+    scan.pages.push(page);
+  });
+  return scan;
+}
+
+function checkImageResolution(scan, options) {
+  const items = scan.images.map((image) => {
+    const status = image.lineArt
+      ? (image.ppi < options.minLineArtPpi ? 'warn' : 'pass')
+      : image.ppi < options.minImagePpi ? 'fail' : image.ppi < options.warnImagePpi ? 'warn' : 'pass';
+    return { ...image, status };
+  });
+  const low = items.filter(item => item.status !== 'pass').length;
+  return {
+    status: worstStatus(items.map(item => item.status)),
+    message: items.length === 0 ? 'No images' : `${items.length} image placements, ${low} below ${options.warnImagePpi} ppi`,
+    truncated: scan.imagesTruncated,
+    items,
+  };
+}
+
+function checkColorSpaces(scan, options) {
+  const pages = scan.pages.map(page => ({ page: page.number, colorSpaces: [...page.colorSpaces].sort() }));
+  const rgbPages = pages.filter(page => page.colorSpaces.some(space => RGB_COLOR_SPACES.test(space)));
+  const spots = [...new Set(pages.flatMap(page => page.colorSpaces.filter(space => /^(Separation|DeviceN)\(/.test(space))))];
+  const failed = options.expectCmyk && rgbPages.length > 0;
+  return {
+    status: failed ? 'fail' : 'pass',
+    message: failed
+      ? `RGB colour on ${rgbPages.length} page(s): ${rgbPages.slice(0, 20).map(p => p.page).join(', ')}`
+      : `Colour spaces: ${[...new Set(pages.flatMap(p => p.colorSpaces))].join(', ') || 'none'}`,
+    spotColors: spots,
+    pages,
+  };
+}
+
+async function checkFontEmbedding(pdfBuffer) {
+  const items = (await inspectPdfFonts(pdfBuffer)).map(font => ({ ...font, status: font.embedded ? 'pass' : 'fail' }));
+  const missing = items.filter(font => !font.embedded);
+  return {
+    status: missing.length ? 'fail' : 'pass',
+    message: missing.length
+      ? `Not embedded: ${missing.map(font => font.name).join(', ')}`
+      : `${items.length} fonts, all embedded`,
+    items,
+  };
+}
+
+// X-1a and X-3 forbid live transparency; page-level transparency groups
+// alone (Chromium adds them everywhere) are not counted
+function checkTransparency(scan, standardKey) {
+  const items = scan.pages
+    .filter(page => page.transparency.size > 0)
+    .map(page => ({ page: page.number, kinds: [...page.transparency].sort() }));
+  const forbidden = standardKey && standardKey !== 'none' && PDFX_STANDARDS[standardKey].flattenTransparency;
+  return {
+    status: items.length && forbidden ? 'fail' : 'pass',
+    message: items.length
+      ? `Transparency on ${items.length} page(s)${forbidden ? `, not allowed in ${PDFX_STANDARDS[standardKey].version}` : ''}`
+      : 'No transparency',
+    items,
+  };
+}
+
+function checkHairlines(scan, options) {
+  const items = scan.pages
+    .filter(page => page.hairlines.count > 0)
+    .map(page => ({ page: page.number, count: page.hairlines.count, thinnest: Math.round(page.hairlines.thinnest * 1000) / 1000 }));
+  return {
+    status: items.length ? 'warn' : 'pass',
+    message: items.length
+      ? `${items.reduce((sum, item) => sum + item.count, 0)} strokes thinner than ${options.minLineWidth}pt`
+      : 'No hairlines',
+    items,
+  };
+}
+
+function checkSafeArea(scan, options) {
+  const items = scan.pages
+    .filter(page => page.safeArea.count > 0)
+    .map(page => ({ page: page.number, count: page.safeArea.count, examples: page.safeArea.examples }));
+  return {
+    status: items.length ? 'warn' : 'pass',
+    message: items.length
+      ? `Text within ${options.safeMargin}mm of the trim edge on ${items.length} page(s)`
+      : 'All text inside the safe area',
+    items,
+  };
+}
+
+function checkPageBoxes(pdfDoc, options) {
+  const items = [];
+  const trimSizes = new Set();
+  const tolerance = 0.01;
+  const within = (inner, outer) =>
+    inner.x >= outer.x - tolerance && inner.y >= outer.y - tolerance &&
+    inner.x + inner.width <= outer.x + outer.width + tolerance &&
+    inner.y + inner.height <= outer.y + outer.height + tolerance;
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const issue = (status, message) => items.length < MAX_PREFLIGHT_ITEMS && items.push({ page: index + 1, status, message });
+    const media = page.getMediaBox();
+    const bleed = page.getBleedBox();
+    const trim = page.getTrimBox();
+
+    if (!page.node.get(PDFName.of('TrimBox')) && !page.node.get(PDFName.of('ArtBox'))) {
+      issue('fail', 'No TrimBox');
+    }
+    if (!within(page.getCropBox(), media)) issue('fail', 'CropBox extends beyond the MediaBox');
+    if (!within(bleed, media)) issue('fail', 'BleedBox extends beyond the MediaBox');
+    if (!within(trim, bleed)) issue('fail', 'TrimBox extends beyond the BleedBox');
+
+    const bleedMm = ptToMm(Math.min(
+      trim.x - bleed.x,
+      trim.y - bleed.y,
+      bleed.x + bleed.width - (trim.x + trim.width),
+      bleed.y + bleed.height - (trim.y + trim.height)
+    ));
+    if (bleedMm < options.minBleed) issue('warn', `Bleed is ${bleedMm}mm, below ${options.minBleed}mm`);
+
+    trimSizes.add(`${ptToMm(trim.width)} x ${ptToMm(trim.height)}mm`);
+  });
+
+  if (trimSizes.size > 1) {
+    items.push({ page: null, status: 'warn', message: `Pages have ${trimSizes.size} trim sizes: ${[...trimSizes].join(', ')}` });
+  }
+  return {
+    status: worstStatus(items.map(item => item.status)),
+    message: items.length ? `${items.length} page box issue(s)` : 'Page boxes consistent',
+    trimSizes: [...trimSizes],
+    items,
+  };
+}
+
+// Renders every page to 8-bit CMYK (PAM) and measures the summed ink
+function measureInkCoverage(pdfBuffer, options, jobId) {
+  if (!ghostscriptAvailable) {
+    return Promise.resolve({
+      status: 'warn',
+      message: 'Ghostscript not installed; ink coverage not measured',
+      limit: options.maxInk,
+      pages: [],
+    });
+  }
+
+  const dir = fs.mkdtempSync(path.join(CONFIG.tempDir, `${jobId}_ink_`));
+  const inputPath = path.join(dir, 'input.pdf');
+  fs.writeFileSync(inputPath, pdfBuffer);
+
+  // Only the BleedBox is printed on the sheet: the registration marks and
+  // slug outside it (see applyPageBoxes) are not counted
+  const gsArgs = [
+    '-q', '-dNOPAUSE', '-dBATCH', '-dSAFER',
+    '-sDEVICE=pamcmyk32',
+    '-dUseBleedBox',
+    `-r${options.inkResolution}`,
+    `-sOutputFile=${path.join(dir, 'page_%04d.pam')}`,
+    inputPath,
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile('gs', gsArgs, { timeout: 120000 }, (error, stdout, stderr) => {
+      try {
+        if (error) {
+          console.error('[Preflight] Ink coverage render failed:', stderr);
+          reject(new Error(`Ink coverage render failed: ${error.message}`));
+          return;
+        }
+
+        const limit = (options.maxInk / 100) * 255;
+        const pages = fs.readdirSync(dir).filter(file => file.endsWith('.pam')).sort().map((file, index) => {
+          const data = fs.readFileSync(path.join(dir, file));
+          const headerEnd = data.indexOf('ENDHDR\n') + 7;
+          let max = 0;
+          let above = 0;
+          for (let p = headerEnd; p + 3 < data.length; p += 4) {
+            const ink = data[p] + data[p + 1] + data[p + 2] + data[p + 3];
+            if (ink > max) max = ink;
+            if (ink > limit) above++;
+          }
+          const pixels = (data.length - headerEnd) / 4;
+          const areaAbove = Math.round((above / pixels) * 10000) / 100;
+          return {
+            page: index + 1,
+            maxCoverage: Math.round((max / 255) * 100),
+            areaAbove,
+            // Anti-aliased edges may overshoot on a few pixels
+            status: areaAbove > 0.1 ? 'fail' : above > 0 ? 'warn' : 'pass',
+          };
+        });
+
+        const over = pages.filter(page => page.status !== 'pass');
+        resolve({
+          status: worstStatus(pages.map(page => page.status)),
+          message: over.length
+            ? `${over.length} page(s) exceed ${options.maxInk}% total ink`
+            : `All pages within ${options.maxInk}% total ink`,
+          limit: options.maxInk,
+          pages,
+        });
+      } catch (err) {
+        reject(err);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
+
+// PDF/X version claimed by the file (Info GTS_PDFXVersion), as a standard key
+function detectPdfxStandard(pdfDoc) {
+  const version = pdfDoc.getInfoDict().lookup(PDFName.of('GTS_PDFXVersion'));
+  const text = version?.decodeText?.();
+  return text ? resolvePdfxStandard(text.split(':')[0]) || null : null;
+}
+
+async function runPreflight(pdfBuffer, options, jobId) {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  } catch (err) {
+    throw new RequestError(`Could not parse PDF: ${err.message}`);
+  }
+
+  const standard = options.pdfxStandard || detectPdfxStandard(pdfDoc);
+  const scan = scanPdfContent(pdfDoc, options);
+  const checks = {
+    images: checkImageResolution(scan, options),
+    colorSpaces: checkColorSpaces(scan, options),
+    fonts: await checkFontEmbedding(pdfBuffer),
+    transparency: checkTransparency(scan, standard),
+    hairlines: checkHairlines(scan, options),
+    safeArea: checkSafeArea(scan, options),
+    inkCoverage: await measureInkCoverage(pdfBuffer, options, jobId),
+    pageBoxes: checkPageBoxes(pdfDoc, options),
+  };
+  const errors = scan.pages
+    .filter(page => page.error)
+    .map(page => ({ page: page.number, message: `Content could not be parsed: ${page.error}` }));
+
+  const report = {
+    status: worstStatus([...Object.values(checks).map(check => check.status), errors.length ? 'warn' : 'pass']),
+    pages: pdfDoc.getPageCount(),
+    pdfxStandard: standard && standard !== 'none' ? PDFX_STANDARDS[standard].version : null,
+    thresholds: { ...PREFLIGHT_DEFAULTS, ...options },
+    checks,
+    errors,
+  };
+  console.log(`[Preflight ${jobId}] ${report.status} (${report.pages} pages)`);
+  return report;
+}
+
+// Compact form for response headers
+const summarizePreflight = (report) => ({
+  status: report.status,
+  checks: Object.fromEntries(Object.entries(report.checks).map(([name, check]) => [name, check.status])),
+});
+
+const isPdf = (buffer) => Buffer.isBuffer(buffer) && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+
+app.post('/preflight', authenticateRequest, express.raw({ type: 'application/pdf', limit: '100mb' }), async (req, res) => {
+  metrics.totalRequests++;
+
+  let pdf;
+  let options;
+  try {
+    const body = Buffer.isBuffer(req.body) ? { pdf: req.body } : req.body || {};
+    pdf = Buffer.isBuffer(body.pdf) ? body.pdf : Buffer.from(String(body.pdf || ''), 'base64');
+    if (!isPdf(pdf)) {
+      throw new RequestError('Missing PDF: send application/pdf or JSON { "pdf": "<base64>" }');
+    }
+    options = resolvePreflightOptions(body.options || true);
+    options.expectCmyk = options.expectCmyk ?? true;
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
+
+  const jobId = crypto.randomBytes(8).toString('hex');
+  await respondWithRender(res, jobId, 'Preflight', async () => {
+    const report = await runPreflight(pdf, options, jobId);
+    return {
+      body: Buffer.from(JSON.stringify({ jobId, ...report })),
+      headers: { 'Content-Type': 'application/json', 'X-Preflight-Status': report.status },
+    };
+  });
+});
 
 // ═══════════════════════════════════════════════════════════════════
-// MAIN PDF GENERATION ENDPOINT (with Paged.js + Ghostscript)
+// FONT REGISTRY ENDPOINTS
 // ═══════════════════════════════════════════════════════════════════
-app.post('/generate', authenticateRequest, async (req, res) => {
-  metrics.totalRequests++;
-  
-  const { 
-    html, 
-    css, 
-    width = 152, 
-    height = 229, 
-    bleed = 0,
-    metadata = {},
-    options = {}
-  } = req.body;
+const serializeFontFace = (face) => ({
+  id: face.id,
+  family: face.family,
+  weight: face.weight,
+  style: face.style,
+  format: face.format,
+  postScriptName: face.postScriptName,
+  size: face.size,
+  uploadedAt: face.uploadedAt,
+});
 
-  if (!html) {
-    return res.status(400).json({ error: 'Missing required field: html' });
+app.post('/fonts', authenticateRequest, (req, res) => {
+  const { family, weight = 400, style = 'normal', data } = req.body || {};
+
+  if (typeof family !== 'string' || !FONT_FAMILY_PATTERN.test(family.trim())) {
+    return res.status(400).json({ error: 'Invalid or missing field: family' });
+  }
+  const numericWeight = parseInt(weight, 10);
+  if (!(numericWeight >= 100 && numericWeight <= 900)) {
+    return res.status(400).json({ error: 'weight must be between 100 and 900' });
+  }
+  if (style !== 'normal' && style !== 'italic') {
+    return res.status(400).json({ error: 'style must be "normal" or "italic"' });
+  }
+  if (typeof data !== 'string' || !data) {
+    return res.status(400).json({ error: 'Missing required field: data (base64 font file)' });
   }
 
-  // Extract and validate options
-  const resolution = Math.min(Math.max(options.resolution || 300, 72), 600);
-  const watermark = options.watermark || false;
-  const lang = escapeHtml(options.lang || 'en');
-  const usePagedJs = options.usePagedJs !== false && CONFIG.enablePagedJs;
-  const convertCMYK = options.cmyk === true && CONFIG.enableCmykConversion && ghostscriptAvailable;
-  
-  const requestTimeout = Math.min(
-    options.timeout || CONFIG.defaultTimeout,
-    CONFIG.maxTimeout
-  );
+  const buffer = Buffer.from(data, 'base64');
+  const format = detectFontFormat(buffer);
+  if (!format) {
+    return res.status(415).json({ error: 'Unsupported font file: expected TTF, OTF or WOFF2' });
+  }
 
-  const safeMetadata = sanitizeMetadata(metadata);
-  const jobId = crypto.randomBytes(8).toString('hex');
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const file = `${sha256}${FONT_FORMATS[format].extension}`;
+  fs.writeFileSync(path.join(CONFIG.fontRegistryDir, file), buffer);
 
-  const jobPromise = concurrencyLimiter(async () => {
-    metrics.activeJobs++;
-    let page = null;
-    let tempPdfPath = null;
-    let cmykPdfPath = null;
+  const face = {
+    id: crypto.randomBytes(8).toString('hex'),
+    family: family.trim(),
+    weight: numericWeight,
+    style,
+    format,
+    file,
+    sha256,
+    postScriptName: format === 'woff2' ? null : readPostScriptName(buffer),
+    size: buffer.length,
+    uploadedAt: new Date().toISOString(),
+  };
 
-    try {
-      page = await browserManager.getPage();
+  // Uploading the same family/weight/style again replaces the face
+  const replaced = fontRegistry.filter(f =>
+    normalizeFontName(f.family) === normalizeFontName(face.family) &&
+    f.weight === face.weight && f.style === face.style);
+  fontRegistry = fontRegistry.filter(f => !replaced.includes(f)).concat(face);
+  saveFontRegistry();
+  replaced.forEach(removeUnreferencedFontFile);
+
+  console.log(`[Fonts] Registered ${face.family} ${face.weight} ${face.style} (${format})`);
+  res.status(201).json(serializeFontFace(face));
+});
+
+app.get('/fonts', authenticateRequest, (req, res) => {
+  const faces = req.query.family ? findRegisteredFamily(req.query.family) : fontRegistry;
+  res.json({ fonts: faces.map(serializeFontFace) });
+});
+
+app.delete('/fonts/:id', authenticateRequest, (req, res) => {
+  const face = fontRegistry.find(f => f.id === req.params.id);
+  if (!face) {
+    return res.status(404).json({ error: 'Font not found', id: req.params.id });
+  }
+
+  fontRegistry = fontRegistry.filter(f => f !== face);
+  saveFontRegistry();
+  removeUnreferencedFontFile(face);
+
+  console.log(`[Fonts] Deleted ${face.family} ${face.weight} ${face.style}`);
+  res.status(204).end();
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// ASSET ENDPOINTS
+// ═══════════════════════════════════════════════════════════════════
+const serializeAsset = (asset) => ({
+  id: asset.id,
+  url: `asset://${asset.id}`,
+  type: asset.type,
+  name: asset.name,
+  size: asset.size,
+  uploadedAt: asset.uploadedAt,
+});
+
+// The file is sent as the raw body (Content-Type: image/* or text/html) or
+// as JSON { data: base64, name, type }. Images are recognised by their
+// content; HTML has no signature, so it is declared by its content type or
+// type: "html". Uploading the same content again is a no-op.
+app.post('/assets', authenticateRequest, express.raw({ type: ['image/*', 'text/html'], limit: '100mb' }), (req, res) => {
+  const raw = Buffer.isBuffer(req.body);
+  const { data, name, type: declaredType } = raw ? {} : req.body || {};
+  if (!raw && (typeof data !== 'string' || !data)) {
+    return res.status(400).json({ error: 'Missing asset: send the file as image/*, text/html or JSON { data: base64 }' });
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.length > 255)) {
+    return res.status(400).json({ error: 'name must be a string of at most 255 characters' });
+  }
+  if (declaredType !== undefined && declaredType !== 'html') {
+    return res.status(400).json({ error: 'type must be "html"; images are recognised by their content' });
+  }
+
+  const buffer = raw ? req.body : Buffer.from(data, 'base64');
+  const isHtml = raw ? Boolean(req.is('text/html')) : declaredType === 'html';
+  if (isHtml && (!buffer.length || buffer.toString('utf8').includes('\uFFFD'))) {
+    return res.status(415).json({ error: 'HTML assets must be non-empty UTF-8 text' });
+  }
+  const type = isHtml ? 'html' : detectAssetType(buffer);
+  if (!type) {
+    return res.status(415).json({ error: 'Unsupported asset: expected PNG, JPEG, GIF, WebP or SVG, or HTML declared as such' });
+  }
+
+  const id = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = assetRegistry.find(asset => asset.id === id);
+  if (existing) {
+    return res.status(200).json(serializeAsset(existing));
+  }
+
+  const file = `${id}${ASSET_TYPES[type].extension}`;
+  fs.writeFileSync(path.join(CONFIG.assetDir, file), buffer);
+  const asset = {
+    id,
+    type,
+    file,
+    name: name || null,
+    size: buffer.length,
+    uploadedAt: new Date().toISOString(),
+  };
+  assetRegistry = assetRegistry.concat(asset);
+  saveAssetRegistry();
+
+  console.log(`[Assets] Stored ${id.slice(0, 12)} (${type}, ${buffer.length} bytes)`);
+  res.status(201).json(serializeAsset(asset));
+});
+
+app.get('/assets', authenticateRequest, (req, res) => {
+  res.json({ assets: assetRegistry.map(serializeAsset) });
+});
 
-      // Set viewport to page dimensions
-      const pxWidth = Math.round((width / 25.4) * resolution);
-      const pxHeight = Math.round((height / 25.4) * resolution);
-      await page.setViewport({ width: pxWidth, height: pxHeight, deviceScaleFactor: 1 });
-
-      // Build watermark HTML
-      const watermarkHTML = watermark ? `
-        <div class="synoptic-watermark" style="
-          position: fixed;
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%) rotate(-45deg);
-          font-family: 'Spectral', serif;
-          font-size: 48pt;
-          font-weight: 900;
-          color: rgba(48, 184, 200, 0.08);
-          white-space: nowrap;
-          pointer-events: none;
-          z-index: 9999;
-          letter-spacing: 0.1em;
-        ">SYNOPTIC STUDIO</div>
-      ` : '';
-
-      // Build full HTML document with Paged.js if enabled
-      const fullHtml = `
-        <!DOCTYPE html>
-        <html lang="${lang}">
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1">
-          <title>${safeMetadata.title || 'Synoptic Export'}</title>
-          <meta name="author" content="${safeMetadata.author}">
-          <meta name="description" content="${safeMetadata.subject}">
-          <meta name="keywords" content="${safeMetadata.keywords.join(', ')}">
-          <meta name="generator" content="${safeMetadata.creator}">
-          <style>
-            ${FONT_CSS}
-            
-            /* Page size CSS variables for Paged.js */
-            :root {
-              --page-width: ${width}mm;
-              --page-height: ${height}mm;
-              --bleed: ${bleed}mm;
-            }
-            
-            ${usePagedJs ? PAGEDJS_CSS : `
-              @page {
-                size: ${width}mm ${height}mm;
-                margin: 0;
-              }
-            `}
-            
-            * {
-              -webkit-print-color-adjust: exact !important;
-              print-color-adjust: exact !important;
-              color-adjust: exact !important;
-            }
-            body {
-              margin: 0;
-              padding: ${bleed}mm;
-              background: white;
-            }
-            ${css || ''}
-          </style>
-          ${usePagedJs ? PAGEDJS_POLYFILL : ''}
-        </head>
-        <body>
-          ${watermarkHTML}
-          ${html}
-        </body>
-        </html>
-      `;
+app.delete('/assets/:id', authenticateRequest, (req, res) => {
+  const asset = assetRegistry.find(a => a.id === req.params.id.toLowerCase());
+  if (!asset) {
+    return res.status(404).json({ error: 'Asset not found', id: req.params.id });
+  }
 
-      await page.setContent(fullHtml, { 
-        waitUntil: ['networkidle0', 'domcontentloaded'],
-        timeout: requestTimeout
-      });
+  assetRegistry = assetRegistry.filter(a => a !== asset);
+  saveAssetRegistry();
+  const filePath = path.join(CONFIG.assetDir, asset.file);
+  evictAssetFile(filePath);
+  if (fs.existsSync(filePath)) {
+    try { fs.unlinkSync(filePath); } catch (e) { /* ignore */ }
+  }
 
-      // Wait for fonts
-      await page.evaluateHandle('document.fonts.ready');
+  console.log(`[Assets] Deleted ${asset.id.slice(0, 12)}`);
+  res.status(204).end();
+});
 
-      // If using Paged.js, wait for it to finish rendering
-      if (usePagedJs) {
-        console.log(`[Job ${jobId}] Waiting for Paged.js to render...`);
-        try {
-          await page.waitForFunction('window.__pagedjs_ready === true', {
-            timeout: requestTimeout - 5000, // Leave 5s buffer
-          });
-          metrics.pagedJsRenders++;
-          console.log(`[Job ${jobId}] Paged.js rendering complete`);
-        } catch (e) {
-          console.warn(`[Job ${jobId}] Paged.js timeout, proceeding with standard render`);
-        }
-      }
+// ═══════════════════════════════════════════════════════════════════
+// PAGE TEMPLATE ENDPOINTS
+// ═══════════════════════════════════════════════════════════════════
+const serializeTemplateVersion = (entry, { definition = false } = {}) => ({
+  name: entry.name,
+  version: entry.version,
+  builtIn: Boolean(entry.builtIn),
+  description: entry.description,
+  ...(entry.extends && { extends: entry.extends }),
+  ...(entry.createdAt && { createdAt: entry.createdAt }),
+  ...(definition && { definition: entry.definition }),
+});
 
-      // Generate PDF
-      const pdfOptions = {
-        width: `${width}mm`,
-        height: `${height}mm`,
-        printBackground: true,
-        preferCSSPageSize: true,
-        displayHeaderFooter: false,
-        margin: { top: 0, right: 0, bottom: 0, left: 0 },
-        timeout: requestTimeout,
-      };
+// Each upload of a name adds a version; earlier versions stay selectable
+app.post('/templates', authenticateRequest, (req, res) => {
+  const { name, extends: parent = 'classic', definition = {} } = req.body || {};
 
-      const pdf = await page.pdf(pdfOptions);
-      
-      let finalPdf = pdf;
+  if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: 'Invalid or missing field: name (lowercase letters, digits and hyphens)' });
+  }
+  if (BUILT_IN_TEMPLATES[name]) {
+    return res.status(409).json({ error: `${name} is a built-in template; choose another name` });
+  }
 
-      // CMYK Conversion via Ghostscript
-      if (convertCMYK) {
-        console.log(`[Job ${jobId}] Starting CMYK conversion...`);
-        tempPdfPath = path.join(CONFIG.tempDir, `${jobId}_rgb.pdf`);
-        cmykPdfPath = path.join(CONFIG.tempDir, `${jobId}_cmyk.pdf`);
-        
-        fs.writeFileSync(tempPdfPath, pdf);
-        
-        try {
-          await convertToCMYK(tempPdfPath, cmykPdfPath, {
-            pdfxStandard: options.pdfxStandard || CONFIG.pdfXStandard,
-          });
-          finalPdf = fs.readFileSync(cmykPdfPath);
-          console.log(`[Job ${jobId}] CMYK conversion successful`);
-        } catch (cmykError) {
-          console.error(`[Job ${jobId}] CMYK conversion failed, returning RGB:`, cmykError.message);
-          // Fall back to RGB PDF
-        }
-      }
+  let base;
+  let built;
+  try {
+    const [parentName, parentVersion] = String(parent).split('@');
+    base = resolveTemplate({ name: parentName, ...(parentVersion && { version: Number(parentVersion) }) });
+    // Descriptions are not inherited
+    built = buildTemplateDefinition({ description: '', ...definition }, base.definition, 'definition');
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
 
-      // Response headers
-      const filename = (safeMetadata.title || 'export').replace(/[^a-zA-Z0-9-_]/g, '_');
-      res.set({
-        'Content-Type': 'application/pdf',
-        'Content-Disposition': `attachment; filename="${filename}.pdf"`,
-        'X-PDF-Title': safeMetadata.title,
-        'X-PDF-Author': safeMetadata.author,
-        'X-PDF-Creator': safeMetadata.creator,
-        'X-PDF-Producer': safeMetadata.producer,
-        'X-PDF-Resolution': `${resolution}dpi`,
-        'X-PDF-Color-Space': convertCMYK ? 'CMYK' : 'RGB',
-        'X-PDF-Paged-JS': usePagedJs ? 'true' : 'false',
-      });
-      
-      metrics.successfulRequests++;
-      res.send(finalPdf);
+  const entry = {
+    name,
+    version: 1 + Math.max(0, ...templateRegistry.filter(e => e.name === name).map(e => e.version)),
+    description: built.description,
+    extends: `${base.name}@${base.version}`,
+    definition: built,
+    createdAt: new Date().toISOString(),
+  };
+  templateRegistry.push(entry);
+  saveTemplateRegistry();
 
-    } catch (error) {
-      metrics.failedRequests++;
-      console.error(`[Job ${jobId}] PDF generation error:`, error.message);
-      
-      const isTimeout = error.message.includes('timeout') || error.message.includes('Timeout');
-      const statusCode = isTimeout ? 504 : 500;
-      
-      res.status(statusCode).json({ 
-        error: error.message,
-        code: isTimeout ? 'TIMEOUT' : 'GENERATION_ERROR',
-        jobId,
-        hint: isTimeout ? 'Consider increasing the timeout for large documents' : undefined,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      });
+  console.log(`[Templates] Stored ${name}@${entry.version} (extends ${entry.extends})`);
+  res.status(201).json(serializeTemplateVersion(entry, { definition: true }));
+});
 
-    } finally {
-      metrics.activeJobs--;
-      
-      // Cleanup
-      if (page) {
-        try { await page.close(); } catch (e) { /* ignore */ }
-      }
-      if (tempPdfPath && fs.existsSync(tempPdfPath)) {
-        try { fs.unlinkSync(tempPdfPath); } catch (e) { /* ignore */ }
-      }
-      if (cmykPdfPath && fs.existsSync(cmykPdfPath)) {
-        try { fs.unlinkSync(cmykPdfPath); } catch (e) { /* ignore */ }
-      }
-    }
+app.get('/templates', authenticateRequest, (req, res) => {
+  res.json({
+    templates: listTemplateNames().map(name => {
+      const versions = listTemplateVersions(name);
+      return { ...serializeTemplateVersion(versions[versions.length - 1]), versions: versions.map(v => v.version) };
+    }),
   });
+});
 
-  metrics.queuedJobs = concurrencyLimiter.pendingCount;
+app.get('/templates/:name', authenticateRequest, (req, res) => {
+  const versions = listTemplateVersions(req.params.name);
+  if (!versions.length) {
+    return res.status(404).json({ error: 'Template not found', name: req.params.name });
+  }
+  res.json({ versions: versions.map(entry => serializeTemplateVersion(entry, { definition: true })) });
+});
 
-  try {
-    await jobPromise;
-  } catch (err) {
-    // Error already handled
+// Deletes every version, or one with ?version=N
+app.delete('/templates/:name', authenticateRequest, (req, res) => {
+  const { name } = req.params;
+  if (BUILT_IN_TEMPLATES[name]) {
+    return res.status(409).json({ error: `${name} is a built-in template and cannot be deleted` });
+  }
+  const version = req.query.version === undefined ? null : parseInt(req.query.version, 10);
+  const doomed = listTemplateVersions(name).filter(entry => version === null || entry.version === version);
+  if (!doomed.length) {
+    return res.status(404).json({ error: 'Template not found', name, ...(version !== null && { version }) });
+  }
+
+  const deletedAt = new Date().toISOString();
+  for (const entry of doomed) {
+    entry.deletedAt = deletedAt;
+    delete entry.definition;
   }
+  saveTemplateRegistry();
+
+  console.log(`[Templates] Deleted ${name}${version !== null ? `@${version}` : ` (${doomed.length} version(s))`}`);
+  res.status(204).end();
 });
 
 // ═══════════════════════════════════════════════════════════════════
-// COVER GENERATION ENDPOINT
+// ASYNC JOB API
+// POST /jobs returns immediately; the PDF is written to CONFIG.tempDir
+// and fetched later, so long renders survive proxy/load balancer timeouts
 // ═══════════════════════════════════════════════════════════════════
-app.post('/generate-cover', authenticateRequest, async (req, res) => {
-  metrics.totalRequests++;
+const JOB_TYPES = {
+  generate: { label: 'Job', parse: parseGenerateInput, render: renderGenerateJob },
+  book: { label: 'Book', parse: parseBookRequest, render: renderBookJob },
+  cover: { label: 'Cover', parse: parseCoverRequest, render: renderCoverJob },
+};
 
-  const {
-    frontCover,
-    backCover,
-    spine,
-    dimensions,
-    bleed = 3.175,
-    dpi = 300,
-    metadata = {},
-    options = {}
-  } = req.body;
+// Rough completion percentage reported for each pipeline stage
+const JOB_PROGRESS = {
+  queued: 0,
+  loading: 10,
+  rendering: 20,
+  paginating: 30,
+  printing: 60,
+  assembling: 65,
+  finalizing: 70,
+  converting: 80,
+  inkcheck: 85,
+  preflight: 90,
+  imposing: 95,
+  completed: 100,
+};
 
-  if (!dimensions || !dimensions.width || !dimensions.height) {
-    return res.status(400).json({ error: 'Missing required field: dimensions (width, height)' });
-  }
+const jobs = new Map();
 
-  const safeMetadata = sanitizeMetadata(metadata);
-  const requestTimeout = Math.min(options.timeout || CONFIG.defaultTimeout, CONFIG.maxTimeout);
-  const convertCMYK = options.cmyk === true && CONFIG.enableCmykConversion && ghostscriptAvailable;
-  const jobId = crypto.randomBytes(8).toString('hex');
+// Same body as /generate, /generate-cover or /generate-book; `type` picks
+// the endpoint and defaults to "cover" when `dimensions` is present and
+// "book" when `parts` is
+const resolveJobType = (body) => {
+  if (body.type === 'generate-cover') return 'cover';
+  if (body.type === 'generate-book') return 'book';
+  return body.type || (body.dimensions ? 'cover' : body.parts ? 'book' : 'generate');
+};
 
-  const spineWidth = spine?.width || 10;
-  const fullWidth = (dimensions.width * 2) + spineWidth + (bleed * 2);
-  const fullHeight = dimensions.height + (bleed * 2);
+// Loopback, private, shared (CGNAT), link-local (cloud metadata included),
+// multicast and reserved ranges. IPv4-mapped IPv6 addresses match the
+// IPv4 subnets
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
 
-  const jobPromise = concurrencyLimiter(async () => {
-    metrics.activeJobs++;
-    let page = null;
-    let tempPdfPath = null;
-    let cmykPdfPath = null;
+const isPublicAddress = (address) =>
+  !NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
 
-    try {
-      page = await browserManager.getPage();
+// Allowlisted hosts may resolve anywhere, internal receivers included
+const isAllowedWebhookHost = (hostname) => CONFIG.webhookAllowedHosts.some(entry =>
+  (entry.startsWith('*.') ? hostname.endsWith(entry.slice(1)) : hostname === entry));
 
-      const pxWidth = Math.round((fullWidth / 25.4) * dpi);
-      const pxHeight = Math.round((fullHeight / 25.4) * dpi);
-      await page.setViewport({ width: pxWidth, height: pxHeight, deviceScaleFactor: 1 });
+// dns.lookup for webhook sockets: the address that passes the check is the
+// one connected to, so a host cannot re-resolve to an internal address
+// between validation and delivery
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
 
-      const coverHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            ${FONT_CSS}
-            @page {
-              size: ${fullWidth}mm ${fullHeight}mm;
-              margin: 0;
-            }
-            * {
-              -webkit-print-color-adjust: exact !important;
-              print-color-adjust: exact !important;
-              box-sizing: border-box;
-            }
-            body {
-              margin: 0;
-              padding: 0;
-              width: ${fullWidth}mm;
-              height: ${fullHeight}mm;
-              display: flex;
-              background: white;
-            }
-            .cover-container {
-              display: flex;
-              width: 100%;
-              height: 100%;
-              padding: ${bleed}mm;
-            }
-            .back-cover {
-              width: ${dimensions.width}mm;
-              height: ${dimensions.height}mm;
-              overflow: hidden;
-            }
-            .spine {
-              width: ${spineWidth}mm;
-              height: ${dimensions.height}mm;
-              overflow: hidden;
-            }
-            .front-cover {
-              width: ${dimensions.width}mm;
-              height: ${dimensions.height}mm;
-              overflow: hidden;
-            }
-            ${frontCover?.css || ''}
-            ${backCover?.css || ''}
-            ${spine?.css || ''}
-          </style>
-        </head>
-        <body>
-          <div class="cover-container">
-            <div class="back-cover">${backCover?.html || ''}</div>
-            <div class="spine">${spine?.html || ''}</div>
-            <div class="front-cover">${frontCover?.html || ''}</div>
-          </div>
-        </body>
-        </html>
-      `;
+async function validateWebhook(webhook) {
+  if (!webhook) return null;
+  const url = typeof webhook === 'string' ? webhook : webhook.url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new RequestError('Invalid webhook URL');
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new RequestError('Webhook URL must use http or https');
+  }
 
-      await page.setContent(coverHtml, { 
-        waitUntil: ['networkidle0', 'domcontentloaded'],
-        timeout: requestTimeout
-      });
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (CONFIG.webhookAllowedHosts.length) {
+    if (!isAllowedWebhookHost(hostname)) {
+      throw new RequestError(`Webhook host ${hostname} is not in WEBHOOK_ALLOWED_HOSTS`);
+    }
+    return { url: parsed.toString() };
+  }
 
-      await page.evaluateHandle('document.fonts.ready');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw new RequestError(`Webhook host ${hostname} does not resolve`);
+  }
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new RequestError(`Webhook host ${hostname} resolves to non-public address ${blocked.address}`);
+  }
+  return { url: parsed.toString() };
+}
 
-      const pdf = await page.pdf({
-        width: `${fullWidth}mm`,
-        height: `${fullHeight}mm`,
-        printBackground: true,
-        preferCSSPageSize: true,
-        timeout: requestTimeout,
-      });
+function queuePosition(job) {
+  if (job.state !== 'queued') return 0;
+  let position = 0;
+  for (const other of jobs.values()) {
+    if (other.state === 'queued') position++;
+    if (other === job) return position;
+  }
+  return 0;
+}
 
-      let finalPdf = pdf;
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    state: job.state,
+    queuePosition: queuePosition(job),
+    progress: { stage: job.stage, percent: JOB_PROGRESS[job.stage] ?? 0 },
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    expiresAt: job.expiresAt ? new Date(job.expiresAt).toISOString() : null,
+    result: job.state === 'completed' ? {
+      url: `/jobs/${job.id}/result`,
+      filename: job.filename,
+      size: job.resultSize,
+      pageCount: job.pageCount,
+      preflight: job.preflight,
+      accessibility: job.accessibility,
+      book: job.book,
+      headers: job.headers,
+      warnings: job.warnings,
+    } : null,
+    error: job.error,
+  };
+}
 
-      // CMYK conversion for covers is especially important
-      if (convertCMYK) {
-        console.log(`[Cover ${jobId}] Starting CMYK conversion...`);
-        tempPdfPath = path.join(CONFIG.tempDir, `cover_${jobId}_rgb.pdf`);
-        cmykPdfPath = path.join(CONFIG.tempDir, `cover_${jobId}_cmyk.pdf`);
-        
-        fs.writeFileSync(tempPdfPath, pdf);
-        
-        try {
-          await convertToCMYK(tempPdfPath, cmykPdfPath);
-          finalPdf = fs.readFileSync(cmykPdfPath);
-          console.log(`[Cover ${jobId}] CMYK conversion successful`);
-        } catch (cmykError) {
-          console.error(`[Cover ${jobId}] CMYK conversion failed:`, cmykError.message);
-        }
-      }
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Synoptic-Signature
+function signWebhookPayload(payload, timestamp) {
+  const secret = CONFIG.webhookSecret || CONFIG.serviceSecret;
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
 
-      const filename = (safeMetadata.title || 'cover').replace(/[^a-zA-Z0-9-_]/g, '_');
-      res.set({
-        'Content-Type': 'application/pdf',
-        'Content-Disposition': `attachment; filename="${filename}_cover.pdf"`,
-        'X-Cover-Dimensions': `${fullWidth}mm x ${fullHeight}mm`,
-        'X-Spine-Width': `${spineWidth}mm`,
-        'X-Bleed': `${bleed}mm`,
-        'X-PDF-Color-Space': convertCMYK ? 'CMYK' : 'RGB',
-      });
+// Redirects are not followed: the target could be any address
+function postWebhook(url, headers, payload) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const lookup = CONFIG.webhookAllowedHosts.length ? undefined : lookupPublicAddress;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(payload) },
+      lookup,
+      timeout: 10000,
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new Error('timed out')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
 
-      metrics.successfulRequests++;
-      res.send(finalPdf);
+async function deliverWebhook(job) {
+  const payload = JSON.stringify(serializeJob(job));
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = signWebhookPayload(payload, timestamp);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Synoptic-Event': `job.${job.state}`,
+    'X-Synoptic-Timestamp': timestamp,
+  };
+  if (signature) headers['X-Synoptic-Signature'] = `sha256=${signature}`;
 
-    } catch (error) {
-      metrics.failedRequests++;
-      console.error(`[Cover ${jobId}] Cover generation error:`, error.message);
-      res.status(500).json({ error: error.message, jobId });
-    } finally {
-      metrics.activeJobs--;
-      if (page) { try { await page.close(); } catch (e) { /* ignore */ } }
-      if (tempPdfPath && fs.existsSync(tempPdfPath)) { try { fs.unlinkSync(tempPdfPath); } catch (e) { /* ignore */ } }
-      if (cmykPdfPath && fs.existsSync(cmykPdfPath)) { try { fs.unlinkSync(cmykPdfPath); } catch (e) { /* ignore */ } }
+  for (let attempt = 1; attempt <= CONFIG.webhookRetries; attempt++) {
+    try {
+      const status = await postWebhook(job.webhook.url, headers, payload);
+      if (status >= 200 && status < 300) {
+        console.log(`[Jobs ${job.id}] Webhook delivered (${status})`);
+        return;
+      }
+      console.warn(`[Jobs ${job.id}] Webhook attempt ${attempt} returned ${status}`);
+    } catch (err) {
+      console.warn(`[Jobs ${job.id}] Webhook attempt ${attempt} failed:`, err.message);
     }
-  });
+    if (attempt < CONFIG.webhookRetries) {
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+  }
+  console.error(`[Jobs ${job.id}] Webhook delivery abandoned after ${CONFIG.webhookRetries} attempts`);
+}
 
-  try { await jobPromise; } catch (err) { /* handled */ }
-});
+async function runJob(job, params) {
+  const { label, render } = JOB_TYPES[job.type];
+  job.state = 'running';
+  job.stage = 'loading';
+  job.startedAt = Date.now();
+  metrics.activeJobs++;
 
-// ═══════════════════════════════════════════════════════════════════
-// PREVIEW ENDPOINT
-// ═══════════════════════════════════════════════════════════════════
-app.post('/preview', authenticateRequest, async (req, res) => {
-  metrics.totalRequests++;
+  try {
+    const result = await render(params, job.id, (stage) => { job.stage = stage; });
+    const resultPath = path.join(CONFIG.tempDir, `job_${job.id}.pdf`);
+    fs.writeFileSync(resultPath, result.pdf);
 
-  const { html, css, width = 152, height = 229 } = req.body;
+    job.state = 'completed';
+    job.stage = 'completed';
+    job.resultPath = resultPath;
+    job.resultSize = result.pdf.length;
+    job.filename = result.filename;
+    job.headers = result.headers;
+    job.warnings = result.warnings;
+    job.pageCount = result.pageCount || null;
+    job.preflight = result.preflight || null;
+    job.accessibility = result.accessibility || null;
+    job.book = result.book || null;
+    metrics.successfulRequests++;
+  } catch (error) {
+    metrics.failedRequests++;
+    console.error(`[${label} ${job.id}] PDF generation error:`, error.message);
+    job.state = 'failed';
+    job.error = describeJobError(error, job.id).body;
+  } finally {
+    metrics.activeJobs--;
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + CONFIG.jobResultTtl;
+  }
 
-  if (!html) {
-    return res.status(400).json({ error: 'Missing required field: html' });
+  if (job.webhook) {
+    deliverWebhook(job).catch(() => { /* logged in deliverWebhook */ });
   }
+}
 
-  const jobPromise = concurrencyLimiter(async () => {
-    metrics.activeJobs++;
-    let page = null;
+function removeJobResult(job) {
+  if (job.resultPath && fs.existsSync(job.resultPath)) {
+    try { fs.unlinkSync(job.resultPath); } catch (e) { /* ignore */ }
+  }
+  job.resultPath = null;
+}
 
-    try {
-      page = await browserManager.getPage();
+// Expired results are deleted; their records linger one more TTL so
+// pollers see "expired" instead of a 404
+function cleanupExpiredJobs() {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (!job.expiresAt || job.expiresAt > now) continue;
+    if (job.state === 'completed' || job.state === 'failed') {
+      removeJobResult(job);
+      job.state = 'expired';
+    } else if (job.state === 'expired' && job.expiresAt + CONFIG.jobResultTtl <= now) {
+      jobs.delete(job.id);
+    }
+  }
+}
 
-      const pxWidth = Math.round((width / 25.4) * 72);
-      const pxHeight = Math.round((height / 25.4) * 72);
-      await page.setViewport({ width: pxWidth, height: pxHeight });
+setInterval(cleanupExpiredJobs, 60000).unref();
 
-      const fullHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            ${FONT_CSS}
-            @page { size: ${width}mm ${height}mm; margin: 0; }
-            body { margin: 0; padding: 0; }
-            ${css || ''}
-          </style>
-        </head>
-        <body>${html}</body>
-        </html>
-      `;
+app.post('/jobs', authenticateRequest, async (req, res) => {
+  metrics.totalRequests++;
 
-      await page.setContent(fullHtml, { 
-        waitUntil: 'networkidle0',
-        timeout: 30000
-      });
+  const body = req.body || {};
+  const type = resolveJobType(body);
+  if (!JOB_TYPES[type]) {
+    return res.status(400).json({ error: `Unknown job type: ${type}`, supported: Object.keys(JOB_TYPES) });
+  }
+  if (type !== 'book' && req.bodySize > BODY_LIMIT_BYTES) {
+    return res.status(413).json({ error: 'Request body too large', limit: BODY_LIMIT_BYTES });
+  }
 
-      const screenshot = await page.screenshot({
-        type: 'png',
-        fullPage: true,
-      });
+  let params;
+  let webhook;
+  try {
+    params = await JOB_TYPES[type].parse(body);
+    webhook = await validateWebhook(body.webhook);
+  } catch (error) {
+    return sendRequestError(res, error);
+  }
 
-      res.set({
-        'Content-Type': 'image/png',
-        'Cache-Control': 'no-cache',
-      });
-      
-      metrics.successfulRequests++;
-      res.send(screenshot);
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    type,
+    state: 'queued',
+    stage: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    resultPath: null,
+    resultSize: 0,
+    filename: null,
+    headers: null,
+    error: null,
+    webhook,
+  };
+  jobs.set(job.id, job);
 
-    } catch (error) {
-      metrics.failedRequests++;
-      console.error('[/preview] Error:', error.message);
-      res.status(500).json({ error: error.message });
-    } finally {
-      metrics.activeJobs--;
-      if (page) { try { await page.close(); } catch (e) { /* ignore */ } }
-    }
-  });
+  concurrencyLimiter(() => runJob(job, params)).catch(() => { /* handled in runJob */ });
+  metrics.queuedJobs = concurrencyLimiter.pendingCount;
 
-  try { await jobPromise; } catch (err) { /* handled */ }
+  console.log(`[Jobs ${job.id}] Queued ${type} job`);
+  res.status(202).location(`/jobs/${job.id}`).json(serializeJob(job));
+});
+
+app.get('/jobs/:id', authenticateRequest, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+  }
+  res.json(serializeJob(job));
+});
+
+app.get('/jobs/:id/result', authenticateRequest, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+  }
+  if (job.state === 'expired') {
+    return res.status(410).json({ error: 'Job result has expired', jobId: job.id });
+  }
+  if (job.state === 'failed') {
+    return res.status(409).json({ error: 'Job failed', jobId: job.id, details: job.error });
+  }
+  if (job.state !== 'completed' || !job.resultPath || !fs.existsSync(job.resultPath)) {
+    return res.status(409).json({ error: 'Job result not ready', ...serializeJob(job) });
+  }
+
+  res.set({ ...job.headers, 'Content-Length': String(job.resultSize) });
+  fs.createReadStream(job.resultPath)
+    .on('error', (err) => {
+      console.error(`[Jobs ${job.id}] Failed to stream result:`, err.message);
+      res.destroy(err);
+    })
+    .pipe(res);
 });
 
 // ═══════════════════════════════════════════════════════════════════
@@ -935,39 +7921,42 @@ const gracefulShutdown = async (signal) => {
   process.exit(0);
 };
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGHUP', () => gracefulShutdown('SIGHUP'));
-
-process.on('uncaughtException', async (err) => {
-  console.error('[Fatal] Uncaught exception:', err);
-  await browserManager.close();
-  process.exit(1);
-});
-
-process.on('unhandledRejection', async (reason, promise) => {
-  console.error('[Fatal] Unhandled rejection:', reason);
-  await browserManager.close();
-  process.exit(1);
-});
-
 // ═══════════════════════════════════════════════════════════════════
 // SERVER STARTUP
+// Only when run directly: the tests require this module for its
+// converters without a browser or a listening port
 // ═══════════════════════════════════════════════════════════════════
 const PORT = CONFIG.port;
 
-(async () => {
-  try {
-    console.log('[Startup] Pre-warming browser...');
-    await browserManager.getBrowser();
-    console.log('[Startup] Browser pre-warmed successfully');
-  } catch (err) {
-    console.error('[Startup] Failed to pre-warm browser:', err.message);
-  }
-})();
+function startServer() {
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  process.on('SIGHUP', () => gracefulShutdown('SIGHUP'));
+
+  process.on('uncaughtException', async (err) => {
+    console.error('[Fatal] Uncaught exception:', err);
+    await browserManager.close();
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', async (reason, promise) => {
+    console.error('[Fatal] Unhandled rejection:', reason);
+    await browserManager.close();
+    process.exit(1);
+  });
+
+  (async () => {
+    try {
+      console.log('[Startup] Pre-warming browser...');
+      await browserManager.getBrowser();
+      console.log('[Startup] Browser pre-warmed successfully');
+    } catch (err) {
+      console.error('[Startup] Failed to pre-warm browser:', err.message);
+    }
+  })();
 
-app.listen(PORT, () => {
-  console.log(`
+  app.listen(PORT, () => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════════════════════════╗
 ║       SYNOPTIC PDF ENGINE v3.1.0 (Professional Print Pipeline)            ║
 ╠═══════════════════════════════════════════════════════════════════════════╣
@@ -984,7 +7973,14 @@ app.listen(PORT, () => {
 ║       Endpoints:                                                          ║
 ║         POST /generate       - Full PDF (Paged.js + optional CMYK)        ║
 ║         POST /generate-cover - Book cover (optional CMYK)                 ║
-║         POST /preview        - Quick PNG preview                          ║
+║         POST /preview        - PNG preview or per-page images             ║
+║         POST /analyze        - Page count & layout dry run                ║
+║         POST /preflight      - Prepress report for a PDF                  ║
+║         POST /jobs           - Async generate/cover job (poll + webhook)  ║
+║         GET  /jobs/:id       - Job state, queue position, progress        ║
+║         GET  /jobs/:id/result - Download finished PDF                     ║
+║         POST /fonts          - Upload a font to the registry              ║
+║         GET  /fonts          - List registered fonts                      ║
 ║         GET  /health         - Service health & metrics                   ║
 ╠═══════════════════════════════════════════════════════════════════════════╣
 ║       Options (in request body):                                          ║
@@ -992,4 +7988,11 @@ app.listen(PORT, () => {
 ║         cmyk: true/false        - Convert to CMYK via Ghostscript         ║
 ╚═══════════════════════════════════════════════════════════════════════════╝
   `);
-});
+  });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, convertInputDocument };
@@ -0,0 +1,145 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+let convertInputDocument;
+
+before(() => {
+  // Keep the registries and temp files out of /app
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'synoptic-test-'));
+  for (const name of ['TEMP_DIR', 'FONT_REGISTRY_DIR', 'TEMPLATE_DIR', 'ASSET_DIR']) {
+    process.env[name] = path.join(dir, name.toLowerCase());
+  }
+  ({ convertInputDocument } = require('..'));
+});
+
+const fixture = (name, encoding) => fs.readFileSync(path.join(FIXTURES, name), encoding);
+const count = (html, pattern) => (html.match(pattern) || []).length;
+const chapterHeadings = (html) =>
+  [...html.matchAll(/<section class="chapter-start">\s*<h1\b[^>]*>([^<]*)<\/h1>/g)].map(match => match[1]);
+
+test('markdown: front matter becomes metadata and a title page', async () => {
+  const result = await convertInputDocument({ format: 'markdown', source: fixture('harbour.md', 'utf8') });
+
+  assert.equal(result.metadata.title, 'The Harbour');
+  assert.equal(result.metadata.author, 'Ada Marsh, Tom Reed');
+  assert.deepEqual(result.metadata.keywords, ['sea', 'boats']);
+  assert.equal(result.options.lang, 'en-GB');
+  assert.match(result.html, /^<section class="front-matter title-page">/);
+  assert.match(result.html, /<h1 class="book-title" data-toc="false">The Harbour<\/h1>/);
+  assert.match(result.html, /<p class="subtitle">A Year on the Quay<\/p>/);
+  assert.match(result.html, /<p class="author-name">Ada Marsh, Tom Reed<\/p>/);
+});
+
+test('markdown: one chapter section per h1', async () => {
+  const result = await convertInputDocument({ format: 'markdown', source: fixture('harbour.md', 'utf8') });
+
+  assert.deepEqual(chapterHeadings(result.html), ['Spring', 'Summer']);
+});
+
+test('markdown: notes are inlined once and repeated references link back', async () => {
+  const { html } = await convertInputDocument({ format: 'markdown', source: fixture('harbour.md', 'utf8') });
+
+  assert.equal(count(html, /Before six in the morning\./g), 1);
+  assert.match(html, /dawn\.<span class="footnote" id="fn1">Before six in the morning\.<\/span>/);
+  assert.match(html, /early,<sup><a class="footnote-ref" href="#fn1">1<\/a><\/sup>/);
+  assert.match(html, /<span class="footnote" id="fn2">Tarred twine, never nylon\.<\/span>/);
+  assert.doesNotMatch(html, /class="footnotes"|footnote-backref|footnotes-sep/);
+});
+
+test('markdown: images are kept', async () => {
+  const { html } = await convertInputDocument({ format: 'markdown', source: fixture('harbour.md', 'utf8') });
+
+  assert.match(html, /<img src="images\/quay\.png" alt="The quay at low tide">/);
+});
+
+test('markdown: request metadata wins over front matter', async () => {
+  const result = await convertInputDocument({
+    format: 'markdown',
+    source: fixture('harbour.md', 'utf8'),
+    metadata: { title: 'Harbour Lights' },
+    options: { lang: 'cy' },
+  });
+
+  assert.equal(result.metadata.title, 'Harbour Lights');
+  assert.equal(result.metadata.author, 'Ada Marsh, Tom Reed');
+  assert.equal(result.options.lang, 'cy');
+  assert.match(result.html, /<h1 class="book-title" data-toc="false">Harbour Lights<\/h1>/);
+});
+
+test('docx: Word title and author paragraphs are the front matter', async () => {
+  const result = await convertInputDocument({ format: 'docx', source: fixture('lighthouse.docx').toString('base64') });
+
+  assert.equal(result.metadata.title, 'The Lighthouse Keeper');
+  assert.equal(result.metadata.author, 'Ada Marsh');
+  assert.deepEqual(result.metadata.keywords, ['sea', 'lights']);
+  assert.equal(result.options.lang, 'en-GB');
+  assert.match(result.html,
+    /^<section class="front-matter"><h1 data-toc="false" class="book-title">The Lighthouse Keeper<\/h1><p class="author-name">Ada Marsh<\/p><\/section>/);
+  assert.equal(count(result.html, /book-title/g), 1);
+});
+
+test('docx: one chapter section per Heading 1', async () => {
+  const { html } = await convertInputDocument({ format: 'docx', source: fixture('lighthouse.docx').toString('base64') });
+
+  assert.deepEqual(chapterHeadings(html), ['The Rock', 'The Storm']);
+});
+
+test('docx: footnotes are inlined, out of the superscript', async () => {
+  const { html } = await convertInputDocument({ format: 'docx', source: fixture('lighthouse.docx').toString('base64') });
+
+  assert.match(html, /rock\.<span class="footnote" id="footnote-1">Built in 1848\.<\/span><\/p>/);
+  assert.equal(count(html, /Built in 1848/g), 1);
+  assert.doesNotMatch(html, /<sup>|footnote-ref-1|↑/);
+});
+
+test('docx: images are kept as data URIs', async () => {
+  const { html } = await convertInputDocument({ format: 'docx', source: fixture('lighthouse.docx').toString('base64') });
+
+  assert.match(html, /<img alt="The lamp room" src="data:image\/png;base64,[A-Za-z0-9+/=]+" \/>/);
+});
+
+test('epub: package metadata becomes the title page', async () => {
+  const result = await convertInputDocument({ format: 'epub', source: fixture('tides.epub').toString('base64') });
+
+  assert.equal(result.metadata.title, 'Tides & Lights');
+  assert.equal(result.metadata.author, 'Ada Marsh, Tom Reed');
+  assert.equal(result.metadata.isbn, '9780306406157');
+  assert.equal(result.options.lang, 'en');
+  assert.match(result.html, /<h1 class="book-title" data-toc="false">Tides &amp; Lights<\/h1>/);
+  assert.match(result.html, /<p class="author-name">Ada Marsh, Tom Reed<\/p>/);
+});
+
+test('epub: one chapter section per spine document, without the navigation document', async () => {
+  const { html } = await convertInputDocument({ format: 'epub', source: fixture('tides.epub').toString('base64') });
+
+  assert.deepEqual(chapterHeadings(html), ['Ebb', 'Flow']);
+  assert.doesNotMatch(html, /<nav\b/);
+  assert.match(html, /See <a href="#flow">Flow<\/a>/);
+});
+
+test('epub: a note referenced twice is inlined once', async () => {
+  const { html } = await convertInputDocument({ format: 'epub', source: fixture('tides.epub').toString('base64') });
+
+  assert.equal(count(html, /Twice a day\./g), 1);
+  assert.match(html, /went out<span class="footnote" id="n1">Twice a day\.<\/span>/);
+  assert.match(html, /out again<sup><a class="footnote-ref" href="#n1">1<\/a><\/sup>/);
+  assert.doesNotMatch(html, /<aside\b/);
+});
+
+test('epub: images are inlined as data URIs', async () => {
+  const { html } = await convertInputDocument({ format: 'epub', source: fixture('tides.epub').toString('base64') });
+
+  assert.match(html, /<img src="data:image\/png;base64,[A-Za-z0-9+/=]+" alt="The lamp"\/>/);
+});
+
+test('rejects unknown formats and sources that are not documents', async () => {
+  await assert.rejects(convertInputDocument({ format: 'odt', source: 'x' }), { name: 'RequestError', message: 'Unknown input format: odt' });
+  await assert.rejects(convertInputDocument({ format: 'docx', source: Buffer.from('plain text').toString('base64') }),
+    { name: 'RequestError', message: 'source is not a base64 DOCX file' });
+  await assert.rejects(convertInputDocument({ format: 'markdown' }), { name: 'RequestError' });
+});